@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+
+const CONFIG_FILE = 'contract.config';
+const ZIP_VERSION = 20; // 2.0, Needed for deflate and directories.
+const ZIP_MADE_BY_UNIX = 3 << 8;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+// Entries are timestamped with the earliest dos date (1980-01-01), So the same contract always gives the same bundle hash.
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1;
+
+const CRC_TABLE = (() => {
+    const table = new Int32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++)
+            c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        table[n] = c;
+    }
+    return table;
+})();
+
+const crc32 = (buf) => {
+    let crc = -1;
+    for (let i = 0; i < buf.length; i++)
+        crc = CRC_TABLE[(crc ^ buf[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ -1) >>> 0;
+}
+
+// Prepares a zip entry. File data is compressed unless compression doesn't make it smaller.
+const createEntry = (name, data = null, mode = 0o644) => {
+    const isDir = data === null;
+    const content = isDir ? Buffer.alloc(0) : data;
+    const deflated = isDir ? content : zlib.deflateRawSync(content);
+    const useDeflate = deflated.length < content.length;
+    return {
+        name: Buffer.from(isDir ? `${name}/` : name, 'utf8'),
+        crc: crc32(content),
+        size: content.length,
+        method: useDeflate ? METHOD_DEFLATE : METHOD_STORE,
+        data: useDeflate ? deflated : content,
+        // Unix file type and permission bits, So the file modes are kept when extracting.
+        attributes: ((((isDir ? 0o040000 : 0o100000) | mode) << 16) | (isDir ? 0x10 : 0)) >>> 0
+    };
+}
+
+/**
+ * Assembles a zip archive from the prepared entries.
+ * @param {object[]} entries Entries created with createEntry.
+ * @returns {Buffer} Zip archive content.
+ */
+const writeZip = (entries) => {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(ZIP_VERSION, 4);
+        local.writeUInt16LE(0x0800, 6); // Names are utf8.
+        local.writeUInt16LE(entry.method, 8);
+        local.writeUInt16LE(DOS_TIME, 10);
+        local.writeUInt16LE(DOS_DATE, 12);
+        local.writeUInt32LE(entry.crc, 14);
+        local.writeUInt32LE(entry.data.length, 18);
+        local.writeUInt32LE(entry.size, 22);
+        local.writeUInt16LE(entry.name.length, 26);
+        local.writeUInt16LE(0, 28);
+        localParts.push(local, entry.name, entry.data);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(ZIP_MADE_BY_UNIX | ZIP_VERSION, 4);
+        central.writeUInt16LE(ZIP_VERSION, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(entry.method, 10);
+        central.writeUInt16LE(DOS_TIME, 12);
+        central.writeUInt16LE(DOS_DATE, 14);
+        central.writeUInt32LE(entry.crc, 16);
+        central.writeUInt32LE(entry.data.length, 20);
+        central.writeUInt32LE(entry.size, 24);
+        central.writeUInt16LE(entry.name.length, 28);
+        // Extra field, comment, disk number and internal attributes are left as zeros.
+        central.writeUInt32LE(entry.attributes, 38);
+        central.writeUInt32LE(offset, 42);
+        centralParts.push(central, entry.name);
+
+        offset += local.length + entry.name.length + entry.data.length;
+    }
+
+    const centralSize = centralParts.reduce((t, b) => t + b.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+// Lists the contract files in a stable order. Hidden files at the top level are skipped like 'zip -r bundle *' does.
+const listFiles = (contractPath, relPath = '') => {
+    const res = [];
+    const names = fs.readdirSync(path.join(contractPath, relPath)).sort();
+    for (const name of names) {
+        if (!relPath && name.startsWith('.'))
+            continue;
+
+        const filePath = relPath ? `${relPath}/${name}` : name;
+        const stat = fs.statSync(path.join(contractPath, filePath));
+        if (stat.isDirectory()) {
+            res.push({ path: filePath, stat: stat, isDir: true });
+            res.push(...listFiles(contractPath, filePath));
+        }
+        else if (stat.isFile()) {
+            res.push({ path: filePath, stat: stat, isDir: false });
+        }
+    }
+    return res;
+}
+
+/**
+ * Builds the contract bundles in memory. Contract directory is never modified, The contract config is patched
+ * with the given overlay inside the bundle only.
+ * Compressed contract files are cached per contract directory and reused until a file in the directory changes.
+ */
+class ContractBundler {
+    #cache = new Map();
+
+    /**
+     * @param {string} contractPath Contract directory.
+     * @param {object} configOverlay Fields to override in the contract config (Eg: { unl: [pubkey] }).
+     * @returns {{ content: Buffer, hash: string, cached: boolean }} Zip content, sha256 hash of the content and whether the cached files were used.
+     */
+    build(contractPath, configOverlay = {}) {
+        const { base, cached } = this.#getBase(contractPath);
+
+        const entries = [...base.entries];
+        if (base.config) {
+            const config = { ...base.config, ...configOverlay };
+            entries.push(createEntry(CONFIG_FILE, Buffer.from(JSON.stringify(config, null, 4))));
+        }
+
+        const content = writeZip(entries);
+        return {
+            content: content,
+            hash: crypto.createHash('sha256').update(content).digest('hex'),
+            cached: cached
+        };
+    }
+
+    // Returns the compressed contract files other than the config, Rebuilt only when the files have changed.
+    #getBase(contractPath) {
+        const files = listFiles(contractPath);
+        const fingerprint = files.map(f => `${f.path}:${f.stat.size}:${f.stat.mtimeMs}:${f.stat.mode}`).join('|');
+
+        const cachedBase = this.#cache.get(contractPath);
+        if (cachedBase && cachedBase.fingerprint === fingerprint)
+            return { base: cachedBase, cached: true };
+
+        const base = { fingerprint: fingerprint, entries: [], config: null };
+        for (const file of files) {
+            const mode = file.stat.mode & 0o777;
+            if (file.isDir)
+                base.entries.push(createEntry(file.path, null, mode));
+            else if (file.path === CONFIG_FILE)
+                base.config = JSON.parse(fs.readFileSync(path.join(contractPath, file.path), 'utf8'));
+            else
+                base.entries.push(createEntry(file.path, fs.readFileSync(path.join(contractPath, file.path)), mode));
+        }
+
+        this.#cache.set(contractPath, base);
+        return { base: base, cached: false };
+    }
+}
+
+module.exports = {
+    ContractBundler,
+    createEntry,
+    writeZip,
+    crc32
+}
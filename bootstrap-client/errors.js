@@ -0,0 +1,47 @@
+// Side which caused a failure. Host faults fail the audit, Auditor faults mean the host could not be judged.
+const Faults = {
+    HOST: 'host',
+    AUDITOR: 'auditor'
+}
+
+const ErrorCodes = {
+    // Host faults.
+    CONNECTION_FAILED: 'connection_failed',
+    DISCONNECTED: 'disconnected',
+    INPUT_REJECTED: 'input_rejected',
+    TIMEOUT: 'timeout',
+    REQUEST_FAILED: 'request_failed',
+    // Auditor faults.
+    NOT_CONNECTED: 'not_connected',
+    CLOSED: 'closed',
+    BUNDLE_FAILED: 'bundle_failed'
+}
+
+/**
+ * Failure of a bootstrap contract operation. reason is kept as the message like the other errors in the auditor.
+ */
+class BootstrapError {
+    constructor(code, fault, reason) {
+        this.code = code;
+        this.fault = fault;
+        this.reason = reason;
+    }
+
+    static host(code, reason) {
+        return new BootstrapError(code, Faults.HOST, reason);
+    }
+
+    static auditor(code, reason) {
+        return new BootstrapError(code, Faults.AUDITOR, reason);
+    }
+
+    toString() {
+        return `${this.reason} (${this.fault} fault: ${this.code})`;
+    }
+}
+
+module.exports = {
+    Faults,
+    ErrorCodes,
+    BootstrapError
+}
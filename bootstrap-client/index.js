@@ -1,149 +1,374 @@
-const fs = require('fs');
+const crypto = require('crypto');
 const bson = require('bson');
-var path = require("path");
 const HotPocket = require('hotpocket-js-client');
-const child_process = require("child_process");
+const { ContractBundler } = require('./bundle');
+const { Faults, ErrorCodes, BootstrapError } = require('./errors');
+const logger = require('../lib/logger');
+
+const BUNDLE_NAME = 'bundle.zip';
+const DEFAULT_CHUNK_SIZE = 256 * 1024; // 256 KB.
+const DEFAULT_START_TIMEOUT = 10000; // Time to wait for the bootstrap contract to accept a chunked upload.
+const LEGACY_RECHECK_INTERVAL = 24 * 60 * 60 * 1000; // Hosts without chunked upload support are probed again after a day.
+const DEFAULT_REQUEST_TIMEOUT = 60000; // 1 Minute.
+const MAX_UPLOAD_RESUMES = 3;
+
+const UploadModes = {
+    SINGLE: 'single',
+    CHUNKED: 'chunked'
+}
+
+// Shared by all the clients, So the contract files are compressed once and reused across the audits.
+const contractBundler = new ContractBundler();
+
+// Hosts (by ip) whose bootstrap contract didn't take the chunked upload, So their next audits don't wait for the start timeout again.
+const legacyHosts = new Map();
 
 /**
  * Responsible for communciating with the bootstrap contract.
+ * Public operations return a boolean, The reason of a failure is kept in lastError as a BootstrapError.
  */
 class BootstrapClient {
-    constructor() {
+    // Requests waiting for their responses by the request id.
+    #pending = new Map();
+    // Removes the deadline abort listener, So a long lived deadline doesn't keep the disconnected clients.
+    #offAbort = () => { };
+    // Counts the disconnects, A connection which was being made meanwhile is not kept.
+    #disconnects = 0;
+
+    // log is the logger with the audit context, So the lines can be tied to the moment and the host.
+    constructor(deadline = null, hotPocket = HotPocket, log = logger.create('bootstrap')) {
         this.hpc = null;
+        this.deadline = deadline;
+        // HotPocket client module can be replaced (Eg: with the simulation hosts).
+        this.hotPocket = hotPocket;
+        this.log = log;
+        this.lastError = null;
+        // Details of the last contract upload { bundleHash, size, mode, chunks, resentChunks, duration, throughput }.
+        this.uploadStats = null;
+
+        // Close the connection when the deadline is reached, So the pending operations won't hang.
+        if (this.deadline)
+            this.#offAbort = this.deadline.onAbort(() => this.disconnect());
+    }
+
+    // Pending operations are cancelled with the deadline abort reason if a deadline is given.
+    #withDeadline(promise) {
+        return this.deadline ? this.deadline.race(promise) : promise;
     }
 
     async generateKeys() {
-        this.keys = await HotPocket.generateKeys();
+        this.keys = await this.hotPocket.generateKeys();
         return this.keys;
     }
 
+    setKeys(keys) {
+        this.keys = keys;
+    }
+
     async connect(instanceInfo) {
+        return this.#withDeadline(this.#run(() => this.#connect(instanceInfo)));
+    }
+
+    // options.timeout is the time to wait for the status response in milliseconds.
+    async checkStatus(options = {}) {
+        return this.#withDeadline(this.#run(() => this.#checkStatus(options)));
+    }
+
+    /**
+     * Uploads the contract bundle. Bundles larger than the chunk size are uploaded in chunks,
+     * The whole bundle is sent as one input if the bootstrap contract doesn't support chunked uploads.
+     * @param {string} contractPath Contract directory.
+     * @param {object} options { chunked (default true), chunkSize (bytes), startTimeout (ms), timeout (ms) }.
+     * @returns {boolean} Whether the upload succeeded.
+     */
+    async uploadContract(contractPath, options = {}) {
+        return this.#withDeadline(this.#run(() => this.#uploadContract(contractPath, options)));
+    }
+
+    // Runs the operation and converts the bootstrap errors to a false result.
+    async #run(operation) {
+        this.lastError = null;
+        try {
+            await operation();
+            return true;
+        }
+        catch (e) {
+            if (!(e instanceof BootstrapError))
+                throw e;
+            this.lastError = e;
+            this.log.warn(e.reason);
+            return false;
+        }
+    }
+
+    async #connect(instanceInfo) {
+        if (this.deadline)
+            this.deadline.throwIfAborted();
+
         this.instanceInfo = instanceInfo;
         let server = `wss://${this.instanceInfo.ip}:${this.instanceInfo.user_port}`
-        this.hpc = await HotPocket.createClient([server], this.keys, { protocol: HotPocket.protocols.bson });
+        const disconnects = this.#disconnects;
+        // Deadline might have been reached or the client disconnected while creating the client or connecting.
+        const throwIfClosed = () => {
+            if (this.deadline && this.deadline.aborted)
+                throw BootstrapError.auditor(ErrorCodes.CLOSED, 'Moment expired while connecting.');
+            if (this.#disconnects !== disconnects)
+                throw BootstrapError.auditor(ErrorCodes.CLOSED, 'Connection was closed by the auditor while connecting.');
+        };
 
-        // Establish HotPocket connection.
-        if (!await this.hpc.connect()) {
-            console.log('Connection failed.');
-            return false;
+        const hpc = await this.hotPocket.createClient([server], this.keys, { protocol: this.hotPocket.protocols.bson });
+        try {
+            throwIfClosed();
+            // Establish HotPocket connection.
+            if (!await hpc.connect())
+                throw BootstrapError.host(ErrorCodes.CONNECTION_FAILED, 'Connection failed.');
+            throwIfClosed();
+        }
+        catch (e) {
+            await this.#close(hpc);
+            throw e;
         }
-        console.log('HotPocket Connected.');
+        this.hpc = hpc;
+        this.log.debug('HotPocket Connected.');
+
+        // Single output listener for the connection, Outputs are routed to the pending requests.
+        this.hpc.on(this.hotPocket.events.contractOutput, (r) => {
+            for (const output of r.outputs)
+                this.#onOutput(output, r.ledgerSeqNo);
+        });
 
         // This will get fired if HP server disconnects unexpectedly.
-        this.hpc.on(HotPocket.events.disconnect, () => {
-            console.log('Disconnected');
+        this.hpc.on(this.hotPocket.events.disconnect, () => {
+            if (this.hpc !== hpc)
+                return;
+            this.log.debug('Disconnected');
             this.hpc = null;
-        })
-        return true;
+            this.#failPending(BootstrapError.host(ErrorCodes.DISCONNECTED, 'Host closed the connection.'));
+        });
+    }
+
+    async #checkStatus(options) {
+        const res = await this.#request({ type: 'status' }, 'statusResult', options.timeout);
+        if (res.status != 'ok')
+            throw BootstrapError.host(ErrorCodes.REQUEST_FAILED, `(ledger:${res.ledgerSeqNo})>> Status failed. reason: ${res.status}`);
+        this.log.debug(`(ledger:${res.ledgerSeqNo})>> ${res.message}`);
     }
 
-    async checkStatus() {
-        return new Promise(async (resolve, reject) => {
-            const input = await this.hpc.submitContractInput(bson.serialize({
-                type: "status"
-            }));
+    async #uploadContract(contractPath, options) {
+        this.uploadStats = null;
+        let bundle = null;
+        try {
+            // Generate zip bundle with the instance as the only unl node.
+            bundle = contractBundler.build(contractPath, { unl: [this.instanceInfo.pubkey] });
+        } catch (error) {
+            this.log.error(error);
+            throw BootstrapError.auditor(ErrorCodes.BUNDLE_FAILED, `Contract bundle could not be created. ${error.message || error}`);
+        }
+
+        const sizeKB = Math.round(bundle.content.length / 1024);
+        this.log.info(`Uploading file ${BUNDLE_NAME} (${sizeKB} KB, sha256 ${bundle.hash}${bundle.cached ? ', cached contract files' : ''})`);
 
-            const submission = await input.submissionStatus;
-            if (submission.status != "accepted") {
-                console.log("Status failed. reason: " + submission.reason);
-                resolve(false);
+        const startTime = new Date().getTime();
+        const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+        const stats = {
+            bundleHash: bundle.hash,
+            size: bundle.content.length,
+            mode: UploadModes.SINGLE,
+            chunks: 1,
+            resentChunks: 0,
+            duration: null,
+            // Bytes per second.
+            throughput: null
+        };
+        this.uploadStats = stats;
+
+        try {
+            // Small bundles are sent as one input, So they don't need the extra round trips.
+            const chunked = options.chunked !== false && bundle.content.length > chunkSize && !this.#isLegacyHost();
+            const received = chunked ? await this.#startChunkedUpload(bundle, chunkSize, options.startTimeout) : null;
+            if (received) {
+                stats.mode = UploadModes.CHUNKED;
+                await this.#uploadChunks(bundle, chunkSize, received, stats, options.timeout);
+            }
+            else {
+                const res = await this.#request({ type: 'upload', content: bundle.content }, 'uploadResult', options.timeout);
+                if (res.status != 'ok')
+                    throw BootstrapError.host(ErrorCodes.REQUEST_FAILED, `(ledger:${res.ledgerSeqNo})>> Zip upload failed. reason: ${res.status}`);
+                this.log.debug(`(ledger:${res.ledgerSeqNo})>> ${res.message}`);
             }
+            stats.throughput = Math.round(bundle.content.length * 1000 / Math.max(new Date().getTime() - startTime, 1));
+        }
+        finally {
+            stats.duration = new Date().getTime() - startTime;
+        }
+    }
 
-            this.hpc.on(HotPocket.events.contractOutput, (r) => {
-                r.outputs.forEach(output => {
-                    // If bson.deserialize error occured it'll be caught by this try catch.
-                    try {
-                        const result = bson.deserialize(output);
-                        if (result.type == "statusResult") {
-                            if (result.status == "ok") {
-                                console.log(`(ledger:${r.ledgerSeqNo})>> ${result.message}`);
-                                resolve(true);
-                            }
-                            else {
-                                console.log(`(ledger:${r.ledgerSeqNo})>> Status failed. reason: ${result.status}`);
-                                resolve(false);
-                            }
-                        }
-                    }
-                    catch (e) {
-                        console.error(e);
-                        reject(false);
-                    }
-                });
-            })
-        });
+    #isLegacyHost() {
+        const checkedOn = legacyHosts.get(this.instanceInfo.ip);
+        if (!checkedOn || new Date().getTime() - checkedOn >= LEGACY_RECHECK_INTERVAL)
+            return false;
+        this.log.info('Bootstrap contract of the host did not support chunked uploads before, Uploading as a single input.');
+        return true;
+    }
+
+    // Returns the chunks which the bootstrap contract already has, null if it doesn't support the chunked upload.
+    async #startChunkedUpload(bundle, chunkSize, startTimeout = DEFAULT_START_TIMEOUT) {
+        const chunkCount = Math.ceil(bundle.content.length / chunkSize);
+        let res;
+        try {
+            res = await this.#request({ type: 'uploadStart', hash: bundle.hash, size: bundle.content.length, chunkSize: chunkSize, chunkCount: chunkCount }, 'uploadStartResult', startTimeout);
+        }
+        catch (e) {
+            // Older bootstrap contracts don't respond to the chunked upload inputs.
+            if (e.code !== ErrorCodes.TIMEOUT)
+                throw e;
+            res = null;
+        }
+
+        if (!res || res.status !== 'ok') {
+            this.log.info('Bootstrap contract does not support chunked uploads, Uploading as a single input.');
+            legacyHosts.set(this.instanceInfo.ip, new Date().getTime());
+            return null;
+        }
+        legacyHosts.delete(this.instanceInfo.ip);
+
+        // Chunks received in an earlier attempt of the same bundle are not sent again.
+        const received = new Set(res.received || []);
+        if (received.size)
+            this.log.info(`Resuming the upload, ${received.size} of ${chunkCount} chunks were already received.`);
+        return received;
     }
 
-    async uploadContract(contractPath) {
-        return new Promise(async (resolve, reject) => {
-            const zipPath = path.join(__dirname, 'bundle.zip');
-            try {
-                // Generate zip bundle.
-                const configPath = path.join(contractPath, '/contract.config');
-                if (fs.existsSync(configPath)) {
-                    const file = fs.readFileSync(configPath, 'utf8');
-                    const json = JSON.parse(file);
-                    json.unl = [this.instanceInfo.pubkey];
-                    fs.writeFileSync(configPath, JSON.stringify(json, null, 4));
-                }
-                child_process.execSync(`zip -r ${zipPath} *`, {
-                    cwd: contractPath
-                });
-
-            } catch (error) {
-                console.log(error);
-                reject(false);
+    // Sends the sequence numbered chunks and asks the bootstrap contract to verify the hash.
+    // Chunks which the bootstrap contract reports as missing are sent again.
+    async #uploadChunks(bundle, chunkSize, received, stats, timeout) {
+        const hash = bundle.hash;
+        stats.chunks = Math.ceil(bundle.content.length / chunkSize);
+        let pending = [...Array(stats.chunks).keys()].filter(seq => !received.has(seq));
+
+        for (let attempt = 0; ; attempt++) {
+            for (const seq of pending) {
+                await this.#submit({ type: 'uploadChunk', hash: hash, seq: seq, content: bundle.content.subarray(seq * chunkSize, (seq + 1) * chunkSize) });
+                this.log.debug(`Sent chunk ${seq + 1} of ${stats.chunks}.`);
             }
-            const fileName = path.basename(zipPath);
-            if (fs.existsSync(zipPath)) {
-                const fileContent = fs.readFileSync(zipPath);
-                const sizeKB = Math.round(fileContent.length / 1024);
-                console.log("Uploading file " + fileName + " (" + sizeKB + " KB)");
-
-                const input = await this.hpc.submitContractInput(bson.serialize({
-                    type: "upload",
-                    content: fileContent
-                }));
-
-                const submission = await input.submissionStatus;
-                if (submission.status != "accepted") {
-                    console.log("Upload failed. reason: " + submission.reason);
-                    resolve(false);
-                }
-
-                this.hpc.on(HotPocket.events.contractOutput, (r) => {
-                    r.outputs.forEach(output => {
-                        // If bson.deserialize error occured it'll be caught by this try catch.
-                        try {
-                            const result = bson.deserialize(output);
-                            if (result.type == "uploadResult") {
-                                if (result.status == "ok") {
-                                    console.log(`(ledger:${r.ledgerSeqNo})>> ${result.message}`);
-                                    resolve(true);
-                                }
-                                else {
-                                    console.log(`(ledger:${r.ledgerSeqNo})>> Zip upload failed. reason: ${result.status}`);
-                                    resolve(false);
-                                }
-                            }
-                        }
-                        catch (e) {
-                            console.error(e);
-                            reject(false);
-                        }
-                    });
-                })
+
+            const res = await this.#request({ type: 'uploadComplete', hash: hash }, 'uploadResult', timeout);
+            if (res.status === 'ok') {
+                this.log.debug(`(ledger:${res.ledgerSeqNo})>> ${res.message}`);
+                return;
             }
-            else {
-                console.log("Zip bundle not found");
-                resolve(false);
+            if (res.status === 'missing' && res.missing && res.missing.length && attempt < MAX_UPLOAD_RESUMES) {
+                pending = res.missing;
+                stats.resentChunks += pending.length;
+                this.log.info(`Sending ${pending.length} missing chunks again.`);
+                continue;
             }
+
+            throw BootstrapError.host(ErrorCodes.REQUEST_FAILED, `(ledger:${res.ledgerSeqNo})>> Chunked upload failed. reason: ${res.status}${res.message ? ` ${res.message}` : ''}`);
+        }
+    }
+
+    // Submits a bson input which doesn't have a response.
+    async #submit(input) {
+        if (!this.hpc)
+            throw BootstrapError.auditor(ErrorCodes.NOT_CONNECTED, `Cannot send ${input.type}, Not connected to the host.`);
+
+        const inputRes = await this.hpc.submitContractInput(bson.serialize(input));
+        const submission = await inputRes.submissionStatus;
+        if (submission.status != "accepted")
+            throw BootstrapError.host(ErrorCodes.INPUT_REJECTED, `Input ${input.type} was rejected. reason: ${submission.reason}`);
+    }
+
+    /**
+     * Submits the input with a request id and resolves with the response output.
+     * Bootstrap contract echoes the id in the response, Responses with another id belong to other requests.
+     * Responses without an id (older bootstrap contracts) are matched by the response type.
+     * @returns The response with the ledgerSeqNo it was received in. Rejects with a BootstrapError.
+     */
+    async #request(input, responseType, timeout = DEFAULT_REQUEST_TIMEOUT) {
+        const id = crypto.randomUUID();
+        const response = new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                this.#pending.delete(id);
+                reject(BootstrapError.host(ErrorCodes.TIMEOUT, `No response for ${input.type} within ${timeout}ms.`));
+            }, timeout || DEFAULT_REQUEST_TIMEOUT);
+            this.#pending.set(id, { responseType: responseType, resolve: resolve, reject: reject, timer: timer });
         });
+
+        try {
+            await this.#submit({ ...input, id: id });
+        }
+        catch (e) {
+            this.#settle(id);
+            response.catch(() => { });
+            throw e;
+        }
+        return await response;
+    }
+
+    #onOutput(output, ledgerSeqNo) {
+        let result;
+        try {
+            result = bson.deserialize(output);
+        }
+        catch (e) {
+            // Outputs which are not bson are not responses of the requests.
+            this.log.debug('Ignored a malformed output.');
+            return;
+        }
+
+        const id = (result.id !== undefined && result.id !== null) ? result.id : [...this.#pending.keys()].find(k => this.#pending.get(k).responseType === result.type);
+        const request = this.#pending.get(id);
+        if (!request || request.responseType !== result.type)
+            return;
+
+        this.#settle(id);
+        request.resolve({ ...result, ledgerSeqNo: ledgerSeqNo });
     }
 
-    disconnect() {
+    // Removes the pending request, Returns it if it was pending.
+    #settle(id) {
+        const request = this.#pending.get(id);
+        if (request) {
+            clearTimeout(request.timer);
+            this.#pending.delete(id);
+        }
+        return request;
+    }
+
+    #failPending(error) {
+        for (const id of [...this.#pending.keys()])
+            this.#settle(id).reject(error);
+    }
+
+    async #close(hpc) {
+        try {
+            await hpc.close();
+        }
+        catch (e) {
+            this.log.error('Error closing the HotPocket connection.', e);
+        }
+    }
+
+    async disconnect() {
+        this.#disconnects++;
+        this.#offAbort();
+        // Requests won't receive their responses once the connection is closed.
+        this.#failPending(BootstrapError.auditor(ErrorCodes.CLOSED, 'Connection was closed by the auditor.'));
+
+        if (!this.hpc)
+            return;
+
+        const hpc = this.hpc;
         this.hpc = null;
+        await this.#close(hpc);
     }
 }
 
-module.exports = { BootstrapClient };
\ No newline at end of file
+module.exports = {
+    BootstrapClient,
+    BootstrapError,
+    ErrorCodes,
+    Faults,
+    UploadModes
+};
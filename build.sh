@@ -9,6 +9,7 @@ if [ "$1" != "installer" ]; then
 
     # Build default audit client and contract
     ncc build ./dependencies/default-client/default-client.js -o dist/default-client
+    cp -r ./dependencies/default-client/tests dist/default-client
     ncc build ./dependencies/default-contract/default-contract.js -o dist/default-contract
     cp ./dependencies/default-contract/contract.config dist/default-contract
 else
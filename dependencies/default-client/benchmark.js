@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+const { Worker } = require('worker_threads');
+const { iterateHash } = require('./challenge');
+
+const BENCHMARK_SUITE = 'benchmark';
+// Work which is done within the round trip noise is counted as this many milliseconds.
+const MIN_WORK_DURATION = 1;
+
+const rate = (amount, durationMs) => durationMs > 0 ? Math.round(amount / (durationMs / 1000)) : null;
+const average = (values) => values.length ? Math.round(values.reduce((t, v) => t + v, 0) / values.length) : null;
+
+// Iterated hash is computed in a worker thread, So it doesn't block the auditor while the other audits are running.
+// Worker is kept for the next audits, It keeps the process alive only while an answer is being computed.
+const WORKER_SOURCE = `
+const crypto = require('crypto');
+const { parentPort } = require('worker_threads');
+const iterateHash = ${iterateHash.toString()};
+parentPort.on('message', ({ id, nonce, iterations }) => parentPort.postMessage({ id: id, hash: iterateHash(nonce, iterations) }));
+`;
+
+let hashWorker = null;
+let hashRequestId = 0;
+const hashRequests = {};
+
+const computeHash = (nonce, iterations) => {
+    if (!hashWorker) {
+        hashWorker = new Worker(WORKER_SOURCE, { eval: true });
+        hashWorker.on('message', ({ id, hash }) => {
+            hashRequests[id].resolve(hash);
+            delete hashRequests[id];
+            if (!Object.keys(hashRequests).length)
+                hashWorker.unref();
+        });
+        hashWorker.on('error', (e) => {
+            hashWorker = null;
+            for (const id of Object.keys(hashRequests)) {
+                hashRequests[id].reject(e);
+                delete hashRequests[id];
+            }
+        });
+    }
+
+    const id = hashRequestId++;
+    return new Promise((resolve, reject) => {
+        hashRequests[id] = { resolve: resolve, reject: reject };
+        hashWorker.ref();
+        hashWorker.postMessage({ id: id, nonce: nonce, iterations: iterations });
+    });
+}
+
+/**
+ * Benchmarks of the host performance. Each benchmark is sent as a contract input and the answer is verified.
+ * Durations are measured by the client from the submission to the output, So the host can't report a faster run.
+ * Pings are run first and their shortest round trip is taken as the baseline of the consensus round,
+ * Which is subtracted from the cpu and disk durations before the rates are calculated.
+ */
+class Benchmark {
+    constructor(options) {
+        this.options = options;
+        this.results = {
+            cpu: null,
+            disk: null,
+            rounds: null
+        };
+        this.baseline = 0;
+    }
+
+    // Duration of the work alone, Round trip of the consensus round is taken out.
+    #workDuration(duration) {
+        return Math.max(duration - this.baseline, MIN_WORK_DURATION);
+    }
+
+    // Hash rate of iterated sha256 hashing.
+    async cpuTest() {
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const iterations = this.options.cpuIterations;
+        const hash = await computeHash(nonce, iterations);
+        return {
+            suite: BENCHMARK_SUITE,
+            input: `benchmark:cpu:${nonce}`,
+            mode: 'contractInput',
+            message: { type: 'benchmark', kind: 'cpu', nonce: nonce, iterations: iterations },
+            verify: (res) => res.output === hash,
+            setDuration: (duration) => {
+                const workDuration = this.#workDuration(duration);
+                this.results.cpu = { iterations: iterations, duration: duration, workDuration: workDuration, hashRate: rate(iterations, workDuration) };
+            }
+        };
+    }
+
+    // Throughput of writing (with fsync) and reading back the content in the contract state directory.
+    diskTest() {
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const size = this.options.diskSize;
+        // Same content as the contract writes, The nonce hash is repeated to the size.
+        const content = Buffer.alloc(size, crypto.createHash('sha256').update(nonce).digest());
+        const hash = crypto.createHash('sha256').update(content).digest('hex');
+        return {
+            suite: BENCHMARK_SUITE,
+            input: `benchmark:disk:${nonce}`,
+            mode: 'contractInput',
+            message: { type: 'benchmark', kind: 'disk', nonce: nonce, size: size },
+            verify: (res) => res.output === hash,
+            setDuration: (duration) => {
+                const workDuration = this.#workDuration(duration);
+                this.results.disk = { size: size, duration: duration, workDuration: workDuration, rate: rate(size, workDuration) };
+            }
+        };
+    }
+
+    // Pings are sent one after the other, So each of them is processed in a new consensus round.
+    pingTest(pings) {
+        const nonce = crypto.randomBytes(16).toString('hex');
+        return {
+            suite: BENCHMARK_SUITE,
+            input: `benchmark:ping:${nonce}`,
+            mode: 'contractInput',
+            message: { type: 'benchmark', kind: 'ping', nonce: nonce },
+            verify: (res) => {
+                if (res.output !== nonce || !res.timestamp)
+                    return false;
+                pings.push({ timestamp: parseInt(res.timestamp) });
+                return true;
+            }
+        };
+    }
+
+    // Summarizes the round trip times and the time between the rounds which processed the pings. Shortest round trip is the baseline.
+    setRounds(pings) {
+        const intervals = pings.slice(1).map((p, i) => p.timestamp - pings[i].timestamp);
+        const roundTrips = pings.map(p => p.roundTrip);
+        this.baseline = roundTrips.length ? Math.min(...roundTrips) : 0;
+        this.results.rounds = {
+            count: pings.length,
+            minRoundTrip: roundTrips.length ? this.baseline : null,
+            avgRoundTrip: average(roundTrips),
+            maxRoundTrip: roundTrips.length ? Math.max(...roundTrips) : null,
+            avgInterval: average(intervals)
+        };
+    }
+
+    // Returns the reasons for the results which do not meet the thresholds. Missing results fail the thresholds set for them.
+    checkThresholds() {
+        const thresholds = this.options.thresholds || {};
+        const { cpu, disk, rounds } = this.results;
+        const failures = [];
+        const checkMin = (name, value, min, unit) => {
+            if (min && !(value >= min))
+                failures.push(`${name} ${value === null || value === undefined ? 'unknown' : value} ${unit} is below ${min} ${unit}.`);
+        }
+        const checkMax = (name, value, max, unit) => {
+            if (max && !(value <= max))
+                failures.push(`${name} ${value === null || value === undefined ? 'unknown' : value} ${unit} is above ${max} ${unit}.`);
+        }
+
+        checkMin('CPU hash rate', cpu && cpu.hashRate, thresholds.minCpuHashRate, 'hashes/s');
+        checkMin('Disk rate', disk && disk.rate, thresholds.minDiskRate, 'bytes/s');
+        checkMax('Round trip', rounds && rounds.maxRoundTrip, thresholds.maxRoundTrip, 'ms');
+        checkMax('Round interval', rounds && rounds.avgInterval, thresholds.maxRoundInterval, 'ms');
+        return failures;
+    }
+}
+
+module.exports = {
+    Benchmark
+}
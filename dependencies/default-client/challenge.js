@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+
+const CHALLENGE_SUITE = 'challenge';
+
+// Same as the default contract, Each round hashes the hex digest of the previous round.
+const iterateHash = (value, iterations) => {
+    let hash = value;
+    for (let i = 0; i < iterations; i++)
+        hash = crypto.createHash('sha256').update(hash).digest('hex');
+    return hash;
+}
+
+// Execution timestamp state should contain the round which the challenge was answered in.
+const hasRound = (ts, timestamp) => {
+    return typeof ts === 'string' && ts.split('\n').includes(`ts:${timestamp}`);
+}
+
+/**
+ * Prepares a challenge with a random nonce. The contract input test gets the answer derived from the nonce and the round timestamp.
+ * The read request test which is sent after the answer proves that the answer is kept in the contract state.
+ * Both tests are required, So the audit fails if the host can't answer the challenge.
+ * @returns {object} Challenge with the contract input test and the proof test.
+ */
+const createChallenge = (iterations) => {
+    const nonce = crypto.randomBytes(32).toString('hex');
+    const challenge = {
+        nonce: nonce,
+        result: null,
+        timestamp: null
+    };
+
+    challenge.test = {
+        suite: CHALLENGE_SUITE,
+        input: `challenge:${nonce}`,
+        mode: 'contractInput',
+        required: true,
+        message: { type: 'challenge', nonce: nonce, iterations: iterations },
+        verify: (res) => {
+            if (!res.timestamp || !hasRound(res.ts, res.timestamp) || res.output !== iterateHash(`${nonce}:${res.timestamp}`, iterations))
+                return false;
+            challenge.result = res.output;
+            challenge.timestamp = res.timestamp;
+            return true;
+        }
+    };
+
+    challenge.proofTest = {
+        suite: CHALLENGE_SUITE,
+        input: `challengeProof:${nonce}`,
+        mode: 'readRequest',
+        required: true,
+        message: { type: 'challengeProof', nonce: nonce },
+        verify: (res) => challenge.result !== null && res.output === challenge.result && res.timestamp === challenge.timestamp && hasRound(res.ts, res.timestamp)
+    };
+
+    return challenge;
+}
+
+module.exports = {
+    createChallenge,
+    iterateHash
+}
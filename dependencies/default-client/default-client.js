@@ -1,10 +1,62 @@
+const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const HotPocket = require('hotpocket-js-client');
+const { TestModes, loadSuites, buildTestCases, matchOutput } = require('./test-suites');
+const { createChallenge } = require('./challenge');
+const { Benchmark } = require('./benchmark');
+
+const DEFAULT_INPUT_TIMEOUT = 5000;
+const DEFAULT_TESTS_DIR = path.join(__dirname, 'tests');
+// Each test earns correctness points and timing points. Read requests are timed against the latency target,
+// Contract inputs go through consensus, So they are timed against the round time target.
+const DEFAULT_SCORING = {
+    passScore: 0.8,
+    latencyTarget: 1000,
+    roundTimeTarget: 2000,
+    weights: {
+        correctness: 0.7,
+        latency: 0.3,
+        roundTime: 0.3
+    }
+};
+
+// Challenges with random nonces which the contract should answer in a consensus round (See challenge.js).
+const DEFAULT_CHALLENGE = {
+    enabled: true,
+    count: 1,
+    iterations: 1000
+};
+
+// Host performance benchmarks, Results which do not meet the thresholds fail the audit (See benchmark.js).
+const DEFAULT_BENCHMARK = {
+    enabled: true,
+    cpuIterations: 100000,
+    diskSize: 1048576,
+    rounds: 3,
+    thresholds: {}
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
 
 class AuditorClient {
-    constructor(auditTimeout, tests) {
+    // options are { scoring, challenge, benchmark }.
+    constructor(auditTimeout, tests, log = console.log, hotPocket = HotPocket, options = {}) {
+        const scoring = options.scoring || {};
         this.auditTimeout = auditTimeout;
         this.tests = tests;
+        this.challenge = { ...DEFAULT_CHALLENGE, ...(options.challenge || {}) };
+        this.benchmark = { ...DEFAULT_BENCHMARK, ...(options.benchmark || {}) };
+        this.benchmarkResults = null;
+        this.scoring = {
+            ...DEFAULT_SCORING,
+            ...scoring,
+            weights: { ...DEFAULT_SCORING.weights, ...(scoring.weights || {}) }
+        };
+        this.log = log;
+        // Auditor's log function has level functions as properties, A plain function is used for all the levels otherwise.
+        this.logDebug = log.debug || log;
+        this.logError = log.error || log;
+        this.hotPocket = hotPocket;
 
         this.resolvers = {
             rr: {},
@@ -13,51 +65,112 @@ class AuditorClient {
         this.promises = [];
     }
 
+    // Timing factor is 1 within the target and reduces linearly to 0 at the input timeout.
+    timingFactor = (time, target, timeout = this.auditTimeout) => {
+        if (time === null)
+            return 0;
+        if (time <= target)
+            return 1;
+        return (timeout > target) ? Math.max(0, (timeout - time) / (timeout - target)) : 0;
+    }
+
+    // Weighted points of a test. Timing points are earned only with a correct output.
+    scoreTest = (test) => {
+        const weights = this.scoring.weights;
+        const isReadRequest = test.type === 'readRequest';
+        const timingComponent = isReadRequest ? 'latency' : 'roundTime';
+        const timingWeight = weights[timingComponent];
+        const timingTarget = isReadRequest ? this.scoring.latencyTarget : this.scoring.roundTimeTarget;
+        return {
+            correctness: test.success ? weights.correctness : 0,
+            [timingComponent]: test.success ? timingWeight * this.timingFactor(test.time, timingTarget, test.timeout || this.auditTimeout) : 0,
+            max: weights.correctness + timingWeight
+        };
+    }
+
     returnAuditResult = () => {
-        // Just create a resultset for loggin purpose.
-        const auditOutput = {
-            readRequests: [],
-            contractInputs: []
-        }
-        for (let [i, key] of Object.keys(this.resolvers['rr']).entries()) {
+        // Create a structured result set with per test outcomes, timings and points.
+        const tests = [];
+        for (let key of Object.keys(this.resolvers['rr'])) {
             const rr = this.resolvers['rr'][key];
-            auditOutput.readRequests.push({
+            tests.push({
+                type: 'readRequest',
+                suite: rr.suite,
                 input: rr.input,
+                required: rr.required,
                 success: rr.success,
-                time: rr.outTime ? `${rr.outTime - rr.inTime}ms` : null
+                time: rr.outTime ? (rr.outTime - rr.inTime) : null,
+                timeout: rr.timeout
             });
         }
-        for (let [i, key] of Object.keys(this.resolvers['ci']).entries()) {
+        for (let key of Object.keys(this.resolvers['ci'])) {
             const ci = this.resolvers['ci'][key]
-            auditOutput.contractInputs.push({
+            tests.push({
+                type: 'contractInput',
+                suite: ci.suite,
                 input: ci.input,
+                required: ci.required,
                 success: ci.success,
-                time: ci.outTime ? `${ci.outTime - ci.inTime}ms` : null
+                time: ci.outTime ? (ci.outTime - ci.inTime) : null,
+                timeout: ci.timeout
             });
         }
 
-        // If all the results are success, return true.
-        if (!auditOutput.readRequests.find(o => !o.success) && !auditOutput.contractInputs.find(o => !o.success)) {
-            console.log('Returning true.....');
-            console.log('Audit success');
-            console.log(auditOutput);
-            return true;
-        }
-        else {
-            console.log('Returning false.....');
-            console.log('Audit failed');
-            console.log(auditOutput);
-            return false;
+        // Points earned per component against the max points of all the tests.
+        const breakdown = { correctness: 0, latency: 0, roundTime: 0, max: 0 };
+        for (const test of tests) {
+            test.points = this.scoreTest(test);
+            for (const [component, points] of Object.entries(test.points))
+                breakdown[component] += points;
         }
+        for (const component of Object.keys(breakdown))
+            breakdown[component] = round(breakdown[component]);
+
+        const passed = tests.filter(t => t.success);
+        const times = passed.map(t => t.time);
+        const score = breakdown.max ? round((breakdown.correctness + breakdown.latency + breakdown.roundTime) / breakdown.max) : 0;
+        const failedRequired = tests.filter(t => t.required && !t.success);
+        const benchmarkFailures = this.benchmarkResults ? this.benchmarkResults.checkThresholds() : [];
+        const success = tests.length > 0 && score >= this.scoring.passScore && !failedRequired.length && !benchmarkFailures.length;
+
+        let reason = null;
+        if (failedRequired.length)
+            reason = `${failedRequired.length} required tests failed (${[...new Set(failedRequired.map(t => t.suite))].join(', ')}).`;
+        else if (benchmarkFailures.length)
+            reason = benchmarkFailures.join(' ');
+        else if (!success)
+            reason = `Score ${score} is below the pass score ${this.scoring.passScore}. ${tests.length - passed.length} of ${tests.length} tests failed.`;
+
+        const auditOutput = {
+            // Audit is success if the score reaches the pass score, So a few slow or failed tests do not fail the audit.
+            // Required tests (Eg: challenges) should pass regardless of the score.
+            success: success,
+            score: score,
+            passScore: this.scoring.passScore,
+            breakdown: breakdown,
+            benchmarks: this.benchmarkResults ? this.benchmarkResults.results : null,
+            tests: tests,
+            timings: {
+                total: new Date().getTime() - this.startTime,
+                maxResponse: times.length ? Math.max(...times) : null,
+                avgResponse: times.length ? Math.round(times.reduce((t, v) => t + v, 0) / times.length) : null
+            },
+            reason: reason
+        };
+
+        this.log(auditOutput.success ? 'Audit success' : 'Audit failed', JSON.stringify(auditOutput));
+        return auditOutput;
     }
 
+    // Returns { id, response } where response resolves with the test outcome.
     handleInput = async (test, isReadRequest = false) => {
         // Send contract inputs and read requests.
         // Prepare promises and resolvers.
         let submitRes;
         let key;
         const id = uuidv4();
-        const input = JSON.stringify({
+        // Tests with a message (Eg: challenges) send it instead of the plain input.
+        const input = JSON.stringify(test.message ? { id: id, ...test.message } : {
             id: id,
             input: test.input
         });
@@ -71,7 +184,8 @@ class AuditorClient {
             submitRes = await this.hpc.submitContractInput(input);
         }
 
-        this.promises.push(new Promise((resolve, reject) => {
+        const timeout = test.timeout || this.auditTimeout;
+        const response = new Promise((resolve, reject) => {
             let completed = false;
             // Resolvers are stores against the input id.
             this.resolvers[key][id] = {
@@ -84,21 +198,73 @@ class AuditorClient {
                     completed = true;
                 },
                 inTime: inTime,
+                suite: test.suite,
                 input: test.input,
-                output: test.output,
+                required: !!test.required,
+                // Tests without matchers expect the exact output. verify(output object) replaces the matchers.
+                verify: test.verify || ((res) => matchOutput(test.expect || { exact: test.output }, res.output)),
+                timeout: timeout,
                 success: false
             }
             setTimeout(() => {
                 if (!completed)
                     reject('Input timeout reached.');
-            }, this.auditTimeout);
-        }));
+            }, timeout);
+        });
+        // Outcomes are taken from the resolvers, So a rejection is not left unhandled while waiting for the challenges.
+        response.catch(() => { });
+        this.promises.push(response);
 
         if (!isReadRequest) {
             const submission = await submitRes.submissionStatus;
             if (submission.status != "accepted")
                 this.resolvers[key][id].reject(submission.reason);
         }
+        return { id: id, response: response };
+    }
+
+    // Proof is requested only after the challenge is answered, Since it reads the answer from the contract state.
+    runChallenge = async () => {
+        const challenge = createChallenge(this.challenge.iterations);
+        const answer = await this.handleInput(challenge.test);
+        if (await answer.response.catch(() => false)) {
+            const proof = await this.handleInput(challenge.proofTest, true);
+            await proof.response.catch(() => false);
+        }
+    }
+
+    runBenchmarks = async () => {
+        const benchmark = new Benchmark(this.benchmark);
+        // Expected cpu answer is computed while the pings are running.
+        const cpuTest = benchmark.cpuTest().catch(e => {
+            this.logError('Cpu benchmark preparation failed.', e);
+            return null;
+        });
+
+        // Pings go first, Their round trip is the baseline which is taken out of the cpu and disk durations.
+        const pings = [];
+        for (let i = 0; i < this.benchmark.rounds; i++) {
+            const { id, response } = await this.handleInput(benchmark.pingTest(pings));
+            if (await response.catch(() => false)) {
+                const resolver = this.resolvers.ci[id];
+                pings[pings.length - 1].roundTrip = resolver.outTime - resolver.inTime;
+            }
+        }
+        benchmark.setRounds(pings);
+
+        // Cpu and disk inputs are timed the same way as the pings.
+        const tests = [await cpuTest, benchmark.diskTest()].filter(t => t);
+        // Client is closed if the audit ended while the answer was computed.
+        if (!this.hpc)
+            return;
+        for (const test of tests) {
+            const { id, response } = await this.handleInput(test);
+            if (await response.catch(() => false)) {
+                const resolver = this.resolvers.ci[id];
+                test.setDuration(resolver.outTime - resolver.inTime);
+            }
+        }
+        this.benchmarkResults = benchmark;
     }
 
     handleOutput = (output, isReadRequest = false) => {
@@ -107,15 +273,13 @@ class AuditorClient {
         const id = obj.id;
         const resolver = this.resolvers[isReadRequest ? 'rr' : 'ci'][id];
         if (!resolver) {
-            console.log('Output for unawaited input');
+            this.logDebug('Output for unawaited input');
             return;
         }
 
-        const receivedOutput = obj.output;
-        const actualOutput = resolver.output;
         const ts = obj.ts;
         resolver.outTime = new Date().getTime();
-        if (ts && (receivedOutput === actualOutput)) {
+        if (ts && resolver.verify(obj)) {
             resolver.resolve(true);
             resolver.success = true;
         }
@@ -123,83 +287,115 @@ class AuditorClient {
             resolver.resolve(false);
     }
 
-    audit = async (ip, userPort) => {
+    audit = async (ip, userPort, signal = null) => {
         // Full audit process.
+        this.startTime = new Date().getTime();
+        // Close the connection when the auditor cancels the audit.
+        const offAbort = signal ? signal.onAbort(() => this.close()) : () => { };
         try {
             // Generate or fetch existing keys.
-            const keys = await HotPocket.generateKeys();
+            const keys = await this.hotPocket.generateKeys();
 
             const pkhex = Buffer.from(keys.publicKey).toString('hex');
-            console.log('My public key is: ' + pkhex);
+            this.logDebug('My public key is: ' + pkhex);
 
-            this.hpc = await HotPocket.createClient([`wss://${ip}:${userPort}`], keys, { protocol: HotPocket.protocols.bson });
+            this.hpc = await this.hotPocket.createClient([`wss://${ip}:${userPort}`], keys, { protocol: this.hotPocket.protocols.bson });
 
             // Establish HotPocket connection.
             // If failed audit process is failed.
             if (!await this.hpc.connect()) {
-                console.log('Returning false.....');
-                console.log('Connection failed.');
-                return false;
+                this.log('Connection failed.');
+                return { success: false, reason: 'Connection failed.' };
             }
-            console.log('HotPocket Connected.');
+            this.logDebug('HotPocket Connected.');
 
             // This will get fired if HP server disconnects unexpectedly.
-            this.hpc.on(HotPocket.events.disconnect, () => {
-                console.log('Disconnected');
+            this.hpc.on(this.hotPocket.events.disconnect, () => {
+                this.logDebug('Disconnected');
             })
 
             // This will get fired when contract sends an output.
-            this.hpc.on(HotPocket.events.contractOutput, (r) => {
+            this.hpc.on(this.hotPocket.events.contractOutput, (r) => {
                 r.outputs.forEach(output => {
                     this.handleOutput(output);
                 });
             });
 
             // This will get fired when contract sends an read request result.
-            this.hpc.on(HotPocket.events.contractReadResponse, (output) => {
+            this.hpc.on(this.hotPocket.events.contractReadResponse, (output) => {
                 this.handleOutput(output, true);
             });
 
             // Send test inputs and read requests.
             for (let test of this.tests) {
-                await this.handleInput(test);
-                await this.handleInput(test, true);
+                const mode = test.mode || TestModes.BOTH;
+                if (mode !== TestModes.READ_REQUEST)
+                    await this.handleInput(test);
+                if (mode !== TestModes.CONTRACT_INPUT)
+                    await this.handleInput(test, true);
+            }
+
+            // Challenges run along with the other tests.
+            if (this.challenge.enabled) {
+                for (let i = 0; i < this.challenge.count; i++)
+                    await this.runChallenge();
             }
 
+            if (this.benchmark.enabled)
+                await this.runBenchmarks();
+
             // Wait for the result.
-            await Promise.all(this.promises);
+            // Failed inputs are marked in the resolvers, So the result set is built regardless of the rejections.
+            await Promise.allSettled(this.promises);
             // Log output and return.
             return this.returnAuditResult();
         }
         catch (e) {
-            console.log('Returning false.....');
-            console.log(e);
-            return false;
+            this.logError('Audit error', e);
+            return { success: false, reason: e.reason || String(e) };
+        }
+        finally {
+            offAbort();
+            await this.close();
+        }
+    }
+
+    close = async () => {
+        if (!this.hpc)
+            return;
+
+        const hpc = this.hpc;
+        this.hpc = null;
+        try {
+            await hpc.close();
+        }
+        catch (e) {
+            this.logError('Error closing the connection', e);
         }
     }
 }
 
+exports.AuditorClient = AuditorClient;
+
 // Logic inside this audit function might deffer according to the audit.
-exports.audit = async (ip, userPort) => {
-    // Test inputs and expected output.
-    const testcases = [
-        {
-            input: 'This is invalid input [||]',
-            output: 'INVALID_INPUT'
-        },
-        {
-            input: 'This is valid input(*)45',
-            output: 'This is valid input'.repeat(45)
-        },
-        {
-            input: '1234567891011121314151617181920(*)100',
-            output: '1234567891011121314151617181920'.repeat(100)
-        },
-        {
-            input: 'This is valid input 1234567891011121314151617181920(*)500',
-            output: 'This is valid input 1234567891011121314151617181920'.repeat(500)
-        }
-    ];
-    const auditorClient = new AuditorClient(5000, testcases);
-    return (await auditorClient.audit(ip, userPort));
+// ctx contains the instance info, the keys generated for the audit round, the moment info and a scoped logger.
+exports.audit = async (ip, userPort, ctx = {}) => {
+    const config = ctx.config || {};
+    // Test cases are loaded from the suite files, Generated inputs get new values in every audit.
+    let testcases;
+    try {
+        const testsDir = config.testsDir ? path.resolve(__dirname, config.testsDir) : DEFAULT_TESTS_DIR;
+        testcases = buildTestCases(loadSuites(testsDir));
+    }
+    catch (e) {
+        // Host can't be judged without the test cases.
+        return { success: false, reason: e.reason || String(e), fault: 'auditor' };
+    }
+
+    const auditorClient = new AuditorClient(config.inputTimeout || DEFAULT_INPUT_TIMEOUT, testcases, ctx.log, ctx.hotPocket || HotPocket, {
+        scoring: config.scoring,
+        challenge: config.challenge,
+        benchmark: config.benchmark
+    });
+    return (await auditorClient.audit(ip, userPort, ctx.signal));
 }
\ No newline at end of file
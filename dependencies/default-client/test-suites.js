@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const yaml = require('js-yaml');
+
+const SUITE_EXTENSIONS = ['.json', '.yml', '.yaml'];
+
+const TestModes = {
+    READ_REQUEST: 'readRequest',
+    CONTRACT_INPUT: 'contractInput',
+    BOTH: 'both'
+}
+
+const Charsets = {
+    alphanumeric: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+    alpha: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    digits: '0123456789',
+    hex: '0123456789abcdef'
+}
+
+const MATCHERS = ['exact', 'regex', 'hash', 'length'];
+
+// ${name} is replaced with the variable value, ${name * count} repeats the value count times (count is a variable or a number).
+const TEMPLATE_REGEX = /\$\{\s*([a-zA-Z_]\w*)\s*(?:\*\s*([a-zA-Z_]\w*|\d+)\s*)?\}/g;
+
+const interpolate = (template, vars) => {
+    return template.replace(TEMPLATE_REGEX, (m, name, factor) => {
+        if (!(name in vars))
+            throw `Unknown variable ${name}.`;
+        if (factor === undefined)
+            return String(vars[name]);
+
+        const count = /^\d+$/.test(factor) ? parseInt(factor) : vars[factor];
+        if (!Number.isInteger(count) || count < 0)
+            throw `Repeat count ${factor} is not a positive integer.`;
+        return String(vars[name]).repeat(count);
+    });
+}
+
+// Variables with a type are generated for every audit, Other values are taken as they are.
+const generateValue = (spec) => {
+    if (typeof spec !== 'object' || spec === null)
+        return spec;
+
+    switch (spec.type) {
+        case 'integer':
+            return crypto.randomInt(spec.min || 0, (spec.max || 0) + 1);
+        case 'string': {
+            const chars = Charsets[spec.charset || 'alphanumeric'] || spec.charset;
+            const [min, max] = Array.isArray(spec.length) ? spec.length : [spec.length, spec.length];
+            const length = crypto.randomInt(min, max + 1);
+            let value = '';
+            for (let i = 0; i < length; i++)
+                value += chars[crypto.randomInt(chars.length)];
+            return value;
+        }
+        case 'choice':
+            return spec.values[crypto.randomInt(spec.values.length)];
+        default:
+            throw `Unknown variable type ${spec.type}.`;
+    }
+}
+
+const validateCase = (c, i) => {
+    if (typeof c.input !== 'string')
+        throw `Case ${i} input should be a string.`;
+    const expect = c.expect || (c.output !== undefined ? { exact: c.output } : null);
+    if (!expect || !Object.keys(expect).length)
+        throw `Case ${i} has no expected output.`;
+    const unknown = Object.keys(expect).filter(k => !MATCHERS.includes(k));
+    if (unknown.length)
+        throw `Case ${i} has unknown matchers ${unknown.join(', ')}.`;
+    if (c.mode && !Object.values(TestModes).includes(c.mode))
+        throw `Case ${i} mode should be one of ${Object.values(TestModes).join(', ')}.`;
+    if (expect.regex !== undefined)
+        new RegExp(expect.regex);
+    for (const [name, spec] of Object.entries(c.vars || {})) {
+        if (typeof spec === 'object' && spec !== null && !['integer', 'string', 'choice'].includes(spec.type))
+            throw `Case ${i} variable ${name} has an unknown type ${spec.type}.`;
+    }
+}
+
+/**
+ * Loads the test suites (json or yaml files) in the given directory in the file name order.
+ * A suite is { name, mode, timeout, cases: [{ input, expect, mode, timeout, vars, generate }] }.
+ * @returns {object[]} Suites.
+ */
+const loadSuites = (dir) => {
+    const files = fs.readdirSync(dir).filter(f => SUITE_EXTENSIONS.includes(path.extname(f))).sort();
+    return files.map(file => {
+        const filePath = path.join(dir, file);
+        try {
+            const content = fs.readFileSync(filePath, 'utf8');
+            const suite = (path.extname(file) === '.json') ? JSON.parse(content) : yaml.load(content);
+            if (!suite || !Array.isArray(suite.cases))
+                throw 'Suite should have a cases list.';
+            suite.cases.forEach((c, i) => validateCase(c, i));
+            return { name: path.basename(file, path.extname(file)), ...suite };
+        }
+        catch (e) {
+            throw `Invalid test suite ${file}. ${e.message || e}`;
+        }
+    });
+}
+
+/**
+ * Prepares the test cases of an audit. Variables are generated again for each call, So the inputs differ between the audits.
+ * @returns {object[]} Test cases { suite, input, expect, mode, timeout }.
+ */
+const buildTestCases = (suites) => {
+    const tests = [];
+    for (const suite of suites) {
+        for (const c of suite.cases) {
+            const count = c.generate || 1;
+            for (let n = 0; n < count; n++) {
+                const vars = {};
+                for (const [name, spec] of Object.entries(c.vars || {}))
+                    vars[name] = generateValue(spec);
+
+                const expect = { ...(c.expect || { exact: c.output }) };
+                if (typeof expect.exact === 'string')
+                    expect.exact = interpolate(expect.exact, vars);
+
+                tests.push({
+                    suite: suite.name,
+                    input: interpolate(c.input, vars),
+                    expect: expect,
+                    mode: c.mode || suite.mode || TestModes.BOTH,
+                    timeout: c.timeout || suite.timeout || null
+                });
+            }
+        }
+    }
+    return tests;
+}
+
+// Output should satisfy all the given matchers.
+const matchOutput = (expect, output) => {
+    if (typeof output !== 'string')
+        return false;
+    if (expect.exact !== undefined && output !== String(expect.exact))
+        return false;
+    if (expect.regex !== undefined && !new RegExp(expect.regex).test(output))
+        return false;
+    if (expect.length !== undefined && output.length !== expect.length)
+        return false;
+    if (expect.hash !== undefined) {
+        // Hash is a sha256 hex string or { algorithm, value }.
+        const hash = (typeof expect.hash === 'object') ? expect.hash : { value: expect.hash };
+        if (crypto.createHash(hash.algorithm || 'sha256').update(output).digest('hex') !== hash.value.toLowerCase())
+            return false;
+    }
+    return true;
+}
+
+module.exports = {
+    TestModes,
+    loadSuites,
+    buildTestCases,
+    matchOutput
+}
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { runBenchmark } = require('./benchmark');
+
+const MAX_CHALLENGE_ITERATIONS = 100000;
+// Only the recent challenges are kept in the state.
+const MAX_CHALLENGES = 100;
+
+// Hashes the value the given number of times, Each round hashes the hex digest of the previous round.
+const iterateHash = (value, iterations) => {
+    let hash = value;
+    for (let i = 0; i < iterations; i++)
+        hash = crypto.createHash('sha256').update(hash).digest('hex');
+    return hash;
+}
+
+// Timestamp of the last execution round in the execution timestamp state.
+const lastTimestamp = (ts) => {
+    const lines = (ts || '').split('\n').filter(l => l.startsWith('ts:'));
+    return lines.length ? lines[lines.length - 1].substring(3) : null;
+}
+
+// Challenge answer is derived from the nonce and the round timestamp, So it can't be computed before the round.
+// Answer is kept in the state, So a later read request can prove that the state persisted across the rounds.
+const handleChallenge = (msg, ts, state, readonly) => {
+    const timestamp = lastTimestamp(ts);
+    const iterations = parseInt(msg.iterations);
+    if (readonly || !state || !timestamp || typeof msg.nonce !== 'string' || !(iterations > 0 && iterations <= MAX_CHALLENGE_ITERATIONS)) {
+        return {
+            id: msg.id,
+            output: "INVALID_CHALLENGE",
+            ts: ts
+        };
+    }
+
+    const result = iterateHash(`${msg.nonce}:${timestamp}`, iterations);
+    state.challenges[msg.nonce] = { result: result, timestamp: timestamp };
+    const nonces = Object.keys(state.challenges);
+    for (const nonce of nonces.slice(0, Math.max(0, nonces.length - MAX_CHALLENGES)))
+        delete state.challenges[nonce];
+
+    return {
+        id: msg.id,
+        output: result,
+        timestamp: timestamp,
+        ts: ts
+    };
+}
+
+const handleChallengeProof = (msg, ts, state) => {
+    const challenge = state && state.challenges[msg.nonce];
+    return {
+        id: msg.id,
+        output: challenge ? challenge.result : "UNKNOWN_CHALLENGE",
+        timestamp: challenge ? challenge.timestamp : null,
+        ts: ts
+    };
+}
+
+const handleBenchmark = (msg, ts, state, readonly) => {
+    const res = runBenchmark(msg, lastTimestamp(ts), (state && state.dir) || '.', readonly, iterateHash);
+    return {
+        id: msg.id,
+        output: "INVALID_BENCHMARK",
+        ...res,
+        ts: ts
+    };
+}
+
+// Contract logic is to reapeat a string and concat.
+// Input pattern should be {some text}(*){number of times}.
+// If input does not match the patter return error.
+// Input id is forwarded so client side can identify the outputs respective to the input.
+// ts is the execution timestamp state which proves the contract is executed in consensus rounds.
+// state is the contract state ({ challenges }) kept across the rounds, It's not changed by the readonly inputs (read requests).
+// state.dir is the directory which the disk benchmark writes to.
+const handleInput = (msg, ts, state = null, readonly = false) => {
+    if (msg.type === 'challenge')
+        return handleChallenge(msg, ts, state, readonly);
+    if (msg.type === 'challengeProof')
+        return handleChallengeProof(msg, ts, state);
+    if (msg.type === 'benchmark')
+        return handleBenchmark(msg, ts, state, readonly);
+
+    if (!(/^([a-zA-Z0-9\s]{5,}\(\*\)[0-9]*)$/.test(msg.input))) {
+        return {
+            id: msg.id,
+            output: "INVALID_INPUT",
+            ts: ts
+        };
+    }
+
+    const args = msg.input.split("(*)");
+    const text = args[0];
+    const n = parseInt(args[1]);
+    let output = "";
+    for (let i = 0; i < n; i++)
+        output += text;
+    return {
+        id: msg.id,
+        output: output,
+        ts: ts
+    };
+}
+
+module.exports = {
+    handleInput,
+    iterateHash
+}
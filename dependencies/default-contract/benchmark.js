@@ -0,0 +1,68 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+
+const MAX_CPU_ITERATIONS = 1000000;
+const MAX_DISK_SIZE = 16 * 1024 * 1024; // 16 MB.
+
+// Disk benchmark content is derived from the nonce, So the client can compute its hash without receiving it.
+const benchmarkContent = (nonce, size) => {
+    return Buffer.alloc(size, crypto.createHash('sha256').update(nonce).digest());
+}
+
+// Hashes the nonce the given number of times.
+const cpuBenchmark = (msg, iterateHash) => {
+    const iterations = parseInt(msg.iterations);
+    if (!(iterations > 0 && iterations <= MAX_CPU_ITERATIONS))
+        return null;
+
+    return { output: iterateHash(msg.nonce, iterations) };
+}
+
+// Writes the content to the state directory, Reads it back and removes it. Hash of the read content proves the round trip.
+const diskBenchmark = (msg, dir) => {
+    const size = parseInt(msg.size);
+    if (!(size > 0 && size <= MAX_DISK_SIZE))
+        return null;
+
+    const content = benchmarkContent(msg.nonce, size);
+    const filePath = path.join(dir, `benchmark-${msg.nonce}.tmp`);
+    try {
+        const fd = fs.openSync(filePath, 'w');
+        fs.writeSync(fd, content);
+        fs.fsyncSync(fd);
+        fs.closeSync(fd);
+
+        const read = fs.readFileSync(filePath);
+        return { output: crypto.createHash('sha256').update(read).digest('hex') };
+    }
+    finally {
+        fs.rmSync(filePath, { force: true });
+    }
+}
+
+/**
+ * Runs a benchmark input { type: 'benchmark', kind, nonce, ... }. Kinds are 'cpu' ({ iterations }), 'disk' ({ size }, not in read requests)
+ * and 'ping' which returns the round timestamp, So the client can measure the consecutive rounds.
+ * Durations are not reported, The client times the benchmarks since a host could report any duration.
+ * @returns {object} Benchmark result fields or null if the input is invalid.
+ */
+const runBenchmark = (msg, timestamp, dir, readonly, iterateHash) => {
+    // Nonce is used in the file names, So only hex nonces are accepted.
+    if (typeof msg.nonce !== 'string' || !/^[0-9a-f]{1,64}$/.test(msg.nonce))
+        return null;
+
+    if (msg.kind === 'cpu')
+        return cpuBenchmark(msg, iterateHash);
+    if (msg.kind === 'disk' && !readonly)
+        return diskBenchmark(msg, dir);
+    if (msg.kind === 'ping' && timestamp)
+        return { output: msg.nonce, timestamp: timestamp };
+    return null;
+}
+
+module.exports = {
+    runBenchmark,
+    benchmarkContent
+}
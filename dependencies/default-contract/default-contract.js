@@ -1,7 +1,9 @@
 const fs = require('fs');
 const HotPocket = require("hotpocket-nodejs-contract");
+const { handleInput } = require("./audit-logic");
 
 const exectsFile = "exects.txt";
+const challengesFile = "challenges.json";
 
 // HP smart contract is defined as a function which takes HP ExecutionContext as an argument.
 // HP considers execution as complete, when this function completes and all the NPL message callbacks are complete.
@@ -16,6 +18,13 @@ const auditContract = async (ctx) => {
             fs.truncateSync(exectsFile);
     }
 
+    // Challenge answers are kept in the state, So they can be proven in the later rounds.
+    // Disk benchmark is run in the state directory which is the working directory of the contract.
+    const state = {
+        dir: '.',
+        challenges: fs.existsSync(challengesFile) ? JSON.parse(fs.readFileSync(challengesFile).toString()) : {}
+    };
+
     // Collection of per-user promises to wait for. Each promise completes when inputs for that user is processed.
     const userHandlers = [];
 
@@ -33,32 +42,7 @@ const auditContract = async (ctx) => {
                 const buf = await ctx.users.read(input);
                 const msg = JSON.parse(buf);
 
-                // Contract logic is to reapeat a string and concat.
-                // Input pattern should be {some text}(*){number of times}.
-                // If input does not match the patter return error.
-                // Input id is forwarded so client side can identify the outputs respective to the input.
-                let output;
-                if (!(/^([a-zA-Z0-9\s]{5,}\(\*\)[0-9]*)$/.test(msg.input))) {
-                    output = {
-                        id: msg.id,
-                        output: "INVALID_INPUT",
-                        ts: fs.readFileSync("exects.txt").toString()
-                    };
-                }
-                else {
-                    const args = msg.input.split("(*)");
-                    const text = args[0];
-                    const n = parseInt(args[1]);
-                    output = "";
-                    for (let i = 0; i < n; i++)
-                        output += text;
-                    output = {
-                        id: msg.id,
-                        output: output,
-                        ts: fs.readFileSync("exects.txt").toString()
-                    };
-                }
-
+                const output = handleInput(msg, fs.readFileSync(exectsFile).toString(), state, ctx.readonly);
                 await user.send(output);
 
             }
@@ -70,6 +54,9 @@ const auditContract = async (ctx) => {
 
     // Wait until all user promises are complete.
     await Promise.all(userHandlers);
+
+    if (!ctx.readonly)
+        fs.writeFileSync(challengesFile, JSON.stringify(state.challenges));
 }
 
 const hpc = new HotPocket.Contract();
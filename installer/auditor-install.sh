@@ -5,9 +5,12 @@
 auditor_bin=/usr/bin/evernode-auditor
 auditor_data=/etc/evernode-auditor
 auditor_conf="$auditor_data"/auditor.cfg
+auditor_secret="$auditor_data"/xrpl.secret
+auditor_passphrase_cred="$auditor_data"/keystore-passphrase.cred
 auditor_contract="$auditor_data"/auditor-contract
 auditor_client="$auditor_data"/auditor-client
 auditor_service="evernode-auditor"
+auditor_cli=/usr/local/bin/evernode-auditor
 hook_xrpl_addr="rb4H5w7H1QA2qKjHCRSuUey2fnMBGbN2c"
 script_dir=$(dirname "$(realpath "$0")")
 default_image="hp.latest-ubt.20.04-njs.14"
@@ -48,11 +51,38 @@ while [ -z "$address" ] || [[ ! "$address" =~ ^[A-Za-z0-9]{34}$ ]]; do
     ([ -z "$address" ] && echo "Xrpl address cannot be empty.") || ([[ ! "$address" =~ ^[A-Za-z0-9]{34}$ ]] && echo "Invalid xrpl address.")
 done
 while [ -z "$secret" ] || [[ ! "$secret" =~ ^[A-Za-z0-9]{29}$ ]]; do
-    read -p "Xrpl Secret? " secret </dev/tty
+    read -s -p "Xrpl Secret? " secret </dev/tty && echo
     ([ -z "$secret" ] && echo "Xrpl secret cannot be empty.") || ([[ ! "$secret" =~ ^[A-Za-z0-9]{29}$ ]] && echo "Invalid xrpl secret.")
 done
 
-(! echo "{\"xrpl\":{\"address\":\"$address\",\"secret\":\"$secret\",\"hookAddress\":\"$hook_xrpl_addr\"},\"instance\":{\"image\":\"$default_image\"}}" | jq . >$auditor_conf) && rollback
+# Secret is encrypted into a keystore if the passphrase can be given to the service as an encrypted credential.
+# Otherwise it's kept in a separate file which is only readable by root.
+if command -v systemd-creds &>/dev/null; then
+    use_keystore=1
+    while [ -z "$passphrase" ] || [ "$passphrase" != "$passphrase_confirm" ]; do
+        read -s -p "Keystore passphrase? " passphrase </dev/tty && echo
+        read -s -p "Confirm the passphrase: " passphrase_confirm </dev/tty && echo
+        ([ -z "$passphrase" ] && echo "Passphrase cannot be empty.") || ([ "$passphrase" != "$passphrase_confirm" ] && echo "Passphrases do not match.")
+    done
+else
+    echo "systemd-creds is not available, The xrpl secret is kept in plain text in '$auditor_secret' which is only readable by root."
+    (! (umask 077 && echo "$secret" >$auditor_secret)) && echo "Could not create '$auditor_secret'." && rollback
+fi
+(! (umask 077 && echo "{\"xrpl\":{\"address\":\"$address\",\"hookAddress\":\"$hook_xrpl_addr\"},\"instance\":{\"image\":\"$default_image\"}}" | jq . >$auditor_conf)) && rollback
+
+if [ "$use_keystore" == "1" ]; then
+    # Passphrase is encrypted with the host key, So it's not kept in plain text next to the keystore.
+    echo "Creating the xrpl secret keystore..."
+    (! AUDITOR_XRPL_SECRET="$secret" AUDITOR_KEYSTORE_PASSPHRASE="$passphrase" DATA_DIR=$auditor_data node $auditor_bin keystore create) && echo "Could not create the keystore." && rollback
+    (! (umask 077 && printf '%s' "$passphrase" | systemd-creds encrypt --name=keystore-passphrase - $auditor_passphrase_cred)) &&
+        echo "Could not encrypt the keystore passphrase." && rollback
+    secret_env="LoadCredentialEncrypted=keystore-passphrase:$auditor_passphrase_cred"
+    cli_env=""
+else
+    secret_env="Environment=\"AUDITOR_XRPL_SECRET_FILE=$auditor_secret\""
+    cli_env="export AUDITOR_XRPL_SECRET_FILE=$auditor_secret"
+fi
+unset secret passphrase passphrase_confirm
 
 #Setting up the audit contract.
 echo "Setting up the audit contract..."
@@ -87,13 +117,22 @@ echo "[Unit]
     Type=simple
     WorkingDirectory=$auditor_bin
     Environment=\"DATA_DIR=$auditor_data\"
+    $secret_env
     ExecStart=/bin/bash -c 'node $auditor_bin'
+    ExecReload=/bin/kill -HUP \$MAINPID
     Restart=on-failure
     RestartSec=5
     [Install]
     WantedBy=multi-user.target" >/etc/systemd/system/$auditor_service.service
 
-# This service needed to be restarted when auditor.cfg is changed.
+# Cli launcher which runs the auditor commands with the same environment as the service.
+# Keystore passphrase is prompted by the commands which need the xrpl secret.
+echo "#!/bin/bash
+export DATA_DIR=$auditor_data
+$cli_env
+node $auditor_bin \"\$@\"" >$auditor_cli && chmod +x $auditor_cli || rollback
+
+# auditor.cfg changes are picked up on reload, Except the xrpl and statusServer changes which need a restart.
 systemctl enable $auditor_service
 systemctl start $auditor_service
 
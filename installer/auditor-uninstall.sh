@@ -6,6 +6,7 @@
 auditor_bin=/usr/bin/evernode-auditor
 auditor_data=/etc/evernode-auditor
 auditor_service="evernode-auditor"
+auditor_cli=/usr/local/bin/evernode-auditor
 quiet=$1
 
 [ ! -d $auditor_bin ] && echo "$auditor_bin does not exist. Aborting uninstall." && exit 1
@@ -23,6 +24,7 @@ rm /etc/systemd/system/$auditor_service.service
 
 echo "Deleting binaries..."
 rm -r $auditor_bin
+rm -f $auditor_cli
 
 echo "Deleting data folder..."
 rm -r $auditor_data
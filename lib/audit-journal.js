@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const log = logger.create('audit-journal');
+
+// Progress of an audit assignment in the order they are reached.
+const JournalStages = {
+    ASSIGNED: 'assigned',
+    CASHED: 'cashed',
+    REDEEMING: 'redeeming',
+    REDEEMED: 'redeemed',
+    AUDITED: 'audited'
+}
+
+/**
+ * Keeps the progress of in-flight audit assignments on disk so unfinished work can be reconciled after a restart.
+ * Entries are removed once the audit assignment is fully handled.
+ */
+class AuditJournal {
+    #filePath = null;
+    #entries = {};
+
+    constructor(filePath) {
+        this.#filePath = filePath;
+    }
+
+    init() {
+        const dirname = path.dirname(this.#filePath);
+        if (!fs.existsSync(dirname))
+            fs.mkdirSync(dirname, { recursive: true });
+
+        this.#entries = {};
+        if (fs.existsSync(this.#filePath)) {
+            // Journals written with the default permissions are made private as well.
+            fs.chmodSync(this.#filePath, 0o600);
+            try {
+                this.#entries = JSON.parse(fs.readFileSync(this.#filePath).toString());
+            }
+            catch (e) {
+                log.warn(`Audit journal ${this.#filePath} is corrupted, starting with an empty journal.`);
+            }
+        }
+    }
+
+    add(entry) {
+        this.#entries[entry.id] = entry;
+        this.#persist();
+        return entry;
+    }
+
+    update(entry, fields) {
+        Object.assign(entry, fields);
+        this.#entries[entry.id] = entry;
+        this.#persist();
+    }
+
+    remove(entry) {
+        delete this.#entries[entry.id];
+        this.#persist();
+    }
+
+    list() {
+        return Object.values(this.#entries);
+    }
+
+    #persist() {
+        // Write to a temp file and rename, So a crash while writing won't corrupt the journal.
+        // Journal has the HotPocket private keys of the redeemed instances, So only the owner can read it.
+        const tmpPath = this.#filePath + '.tmp';
+        fs.rmSync(tmpPath, { force: true });
+        fs.writeFileSync(tmpPath, JSON.stringify(this.#entries, null, 2), { mode: 0o600 });
+        fs.renameSync(tmpPath, this.#filePath);
+    }
+}
+
+module.exports = {
+    AuditJournal,
+    JournalStages
+}
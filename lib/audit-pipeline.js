@@ -0,0 +1,170 @@
+const path = require('path');
+const { Deadline } = require('./deadline');
+
+const DEFAULT_STAGE_TIMEOUT = 60000; // 1 Minute.
+const DEFAULT_STAGE_WEIGHT = 1;
+const DEFAULT_FAULT = 'host';
+const DEFAULT_PASS_SCORE = 0;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Runs a sequence of named audit stages against an instance.
+ * A stage is an object with a name and an async run(ctx) function which returns a boolean
+ * or a result object { success, score, reason, data, fault }. fault tells whether a failure was caused by the 'host' (default) or the 'auditor'.
+ * score (0 to 1) is the partial score of the stage, A stage without a score gets 1 on success and 0 otherwise.
+ * A failed required stage ends the pipeline. Otherwise the audit passes if the weighted score of the stages reaches the pass score.
+ * Each stage gets its own ctx.signal which is aborted when the stage times out or the deadline is reached.
+ */
+class AuditPipeline {
+    #stages = [];
+    #passScore = DEFAULT_PASS_SCORE;
+
+    constructor(stages, passScore = DEFAULT_PASS_SCORE) {
+        this.#stages = stages;
+        this.#passScore = passScore;
+    }
+
+    // Builds the pipeline from the stage configs. Stages are taken in the configured order.
+    // Built-in stages are referred by name, Other stages are loaded from their module path.
+    static fromConfig(stageConfigs, builtInStages, baseDir, passScore = DEFAULT_PASS_SCORE) {
+        const configs = (stageConfigs && stageConfigs.length) ? stageConfigs : Object.keys(builtInStages).map(name => ({ name: name }));
+
+        const stages = configs.filter(c => c.enabled !== false).map(c => {
+            if (!c.name)
+                throw 'Audit stage name cannot be empty.';
+
+            let stage;
+            if (c.module) {
+                const mod = require(path.resolve(baseDir, c.module));
+                stage = (typeof mod === 'function') ? { run: mod } : mod;
+                if (typeof stage.run !== 'function')
+                    throw `Audit stage module ${c.module} does not export a run function.`;
+            }
+            else {
+                stage = builtInStages[c.name];
+                if (!stage)
+                    throw `Unknown audit stage ${c.name}.`;
+            }
+
+            return {
+                name: c.name,
+                run: stage.run,
+                timeout: c.timeout || stage.timeout || DEFAULT_STAGE_TIMEOUT,
+                weight: (c.weight !== undefined) ? c.weight : DEFAULT_STAGE_WEIGHT,
+                required: (c.required !== undefined) ? c.required : true,
+                options: c.options || {}
+            };
+        });
+
+        return new AuditPipeline(stages, passScore);
+    }
+
+    get stages() {
+        return this.#stages.map(s => s.name);
+    }
+
+    get passScore() {
+        return this.#passScore;
+    }
+
+    // Runs the stages one after the other. onStageComplete is called with each stage result,
+    // It can throw to stop the pipeline (Eg: moment expired).
+    async run(ctx, onStageComplete = null) {
+        const results = [];
+        let success = true;
+
+        for (const stage of this.#stages) {
+            if (ctx.deadline)
+                ctx.deadline.throwIfAborted();
+
+            // Lines logged while running the stage are tagged with the stage name.
+            if (ctx.logger)
+                ctx.logger.setContext({ stage: stage.name });
+
+            const result = await this.#runStage(stage, ctx);
+            results.push(result);
+
+            if (onStageComplete)
+                await onStageComplete(result);
+
+            if (!result.success && stage.required) {
+                success = false;
+                break;
+            }
+        }
+
+        if (ctx.logger)
+            ctx.logger.setContext({ stage: null });
+
+        // Stages which are not run (after a failed required stage) are scored 0.
+        const totalWeight = this.#stages.reduce((t, s) => t + s.weight, 0);
+        const earnedWeight = results.reduce((t, r) => t + (r.weight * r.score), 0);
+        const score = totalWeight ? round(earnedWeight / totalWeight) : (success ? 1 : 0);
+
+        const failedResult = success ? null : results[results.length - 1];
+        const belowPassScore = success && score < this.#passScore;
+        return {
+            success: success && !belowPassScore,
+            score: score,
+            passScore: this.#passScore,
+            breakdown: results.map(r => ({ name: r.name, weight: r.weight, score: r.score })),
+            failedStage: failedResult ? failedResult.name : null,
+            reason: failedResult ? failedResult.reason : (belowPassScore ? `Score ${score} is below the pass score ${this.#passScore}.` : null),
+            fault: failedResult ? failedResult.fault : (belowPassScore ? DEFAULT_FAULT : null),
+            results: results
+        };
+    }
+
+    async #runStage(stage, ctx) {
+        const startTime = new Date().getTime();
+        let timer = null;
+        let res;
+
+        // Timed out stage is aborted as well, So it doesn't keep working while the next stages run.
+        const signal = new Deadline();
+        const offDeadline = ctx.deadline ? ctx.deadline.onAbort((reason) => signal.abort(reason)) : () => { };
+
+        try {
+            const stagePromise = Promise.race([
+                stage.run({ ...ctx, signal: signal }, stage.options),
+                new Promise((resolve) => {
+                    timer = setTimeout(() => {
+                        const reason = `Stage timed out after ${stage.timeout}ms.`;
+                        signal.abort(reason);
+                        resolve({ success: false, reason: reason });
+                    }, stage.timeout);
+                })
+            ]);
+            res = await (ctx.deadline ? ctx.deadline.race(stagePromise) : stagePromise);
+        }
+        catch (e) {
+            // Deadline abort is not a stage failure, It stops the whole pipeline.
+            if (ctx.deadline && ctx.deadline.aborted)
+                throw ctx.deadline.reason;
+            res = { success: false, reason: e.reason || String(e), fault: e.fault };
+        }
+        finally {
+            clearTimeout(timer);
+            offDeadline();
+        }
+
+        if (typeof res !== 'object' || res === null)
+            res = { success: !!res };
+
+        return {
+            name: stage.name,
+            success: !!res.success,
+            score: (typeof res.score === 'number') ? Math.min(1, Math.max(0, res.score)) : (res.success ? 1 : 0),
+            reason: res.reason || null,
+            data: res.data || null,
+            fault: res.success ? null : (res.fault || DEFAULT_FAULT),
+            weight: stage.weight,
+            duration: new Date().getTime() - startTime
+        };
+    }
+}
+
+module.exports = {
+    AuditPipeline
+}
@@ -0,0 +1,96 @@
+// Built-in audit stages. Each stage receives the audit context prepared by the auditor.
+
+// Failed result of a bootstrap client operation, The client error tells whether the host or the auditor caused it.
+const clientFailure = (ctx, reason, data = null) => {
+    const error = ctx.client.lastError;
+    return { success: false, reason: error ? `${reason} ${error.reason}` : reason, fault: error ? error.fault : null, data: data };
+}
+
+const BuiltInStages = {
+    REDEEM_THRESHOLD: 'redeemThreshold',
+    CONNECT: 'connect',
+    BOOTSTRAP_STATUS: 'bootstrapStatus',
+    UPLOAD: 'upload',
+    CUSTOM_AUDIT: 'customAudit'
+}
+
+const builtInStages = {
+    [BuiltInStages.REDEEM_THRESHOLD]: {
+        run: async (ctx, options) => {
+            // Redeem audit threshold is taken as a ratio of the moment size (half by default).
+            const redeemThreshold = options.threshold || (ctx.momentSize * (ctx.redeemThresholdRatio || 0.5));
+            if (ctx.ledgerTimeTook >= redeemThreshold)
+                return { success: false, reason: `Redeem took too long. (Took: ${ctx.ledgerTimeTook} Threshold: ${redeemThreshold})` };
+            return { success: true, data: { ledgers: ctx.ledgerTimeTook, threshold: redeemThreshold } };
+        }
+    },
+    [BuiltInStages.CONNECT]: {
+        run: async (ctx) => {
+            // Checking connection with bootstrap contract succeeds.
+            const connectSuccess = await ctx.client.connect(ctx.instanceInfo);
+            return connectSuccess ? true : clientFailure(ctx, 'Bootstrap contract connection failed.');
+        }
+    },
+    [BuiltInStages.BOOTSTRAP_STATUS]: {
+        run: async (ctx, options) => {
+            // Checking whether the bootstrap contract is alive.
+            const isBootstrapRunning = await ctx.client.checkStatus(options);
+            return isBootstrapRunning ? true : clientFailure(ctx, 'Bootstrap contract status is not live.');
+        }
+    },
+    [BuiltInStages.UPLOAD]: {
+        run: async (ctx, options) => {
+            // Checking the file upload to bootstrap contract succeeded.
+            // Options are { chunked, chunkSize, startTimeout, timeout } of the upload.
+            const uploadSuccess = await ctx.client.uploadContract(ctx.contractPath, options);
+            return uploadSuccess ? { success: true, data: ctx.client.uploadStats } : clientFailure(ctx, 'Contract upload failed.', ctx.client.uploadStats);
+        }
+    },
+    [BuiltInStages.CUSTOM_AUDIT]: {
+        run: async (ctx) => {
+            // Run custom auditor contract related logic.
+            // ip and user port are passed separately to keep the older audit clients working.
+            const auditRes = normalizeAuditResult(await ctx.audit(ctx.instanceInfo.ip, ctx.instanceInfo.user_port, {
+                instance: ctx.instanceInfo,
+                keys: ctx.client.keys,
+                moment: {
+                    startIdx: ctx.momentStartIdx,
+                    endIdx: ctx.momentStartIdx + ctx.momentSize,
+                    isExpired: ctx.isMomentExpired
+                },
+                signal: ctx.signal || ctx.deadline,
+                config: ctx.clientConfig || {},
+                hotPocket: ctx.hotPocket,
+                workDir: ctx.workDir,
+                log: ctx.log
+            }));
+            if (!auditRes.success && !auditRes.reason)
+                auditRes.reason = 'Custom audit process informed fail status.';
+            return { success: auditRes.success, score: auditRes.score, reason: auditRes.reason, fault: auditRes.fault, data: auditRes };
+        }
+    }
+}
+
+// Custom audit clients can return a boolean or a structured result object.
+// Structured result is { success, score, breakdown, benchmarks, tests, timings, reason, fault }.
+const normalizeAuditResult = (res) => {
+    if (typeof res !== 'object' || res === null)
+        return { success: !!res, score: res ? 1 : 0, breakdown: null, benchmarks: null, tests: [], timings: {}, reason: null, fault: null };
+
+    return {
+        success: !!res.success,
+        score: (typeof res.score === 'number') ? res.score : (res.success ? 1 : 0),
+        breakdown: res.breakdown || null,
+        benchmarks: res.benchmarks || null,
+        tests: res.tests || [],
+        timings: res.timings || {},
+        reason: res.reason || null,
+        fault: res.fault || null
+    };
+}
+
+module.exports = {
+    BuiltInStages,
+    builtInStages,
+    normalizeAuditResult
+}
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+
+const log = logger.create('audit-store');
+
+const AuditStages = {
+    ASSIGNED: 'assigned',
+    CASHED: 'cashed',
+    REDEEMED: 'redeemed'
+}
+
+const AuditVerdicts = {
+    SUCCESS: 'success',
+    FAIL: 'fail',
+    ERROR: 'error'
+}
+
+/**
+ * Append-only json lines store which keeps a record for every audit the auditor performs.
+ * Each line is a full snapshot of a record, the last snapshot of a record id is the effective one.
+ * Older snapshots are dropped when the auditor starts.
+ */
+class AuditStore {
+    #filePath = null;
+    #records = new Map();
+    // Lines in the file, More lines than the records means there are old snapshots to compact.
+    #lineCount = 0;
+
+    constructor(filePath) {
+        this.#filePath = filePath;
+    }
+
+    init() {
+        const dirname = path.dirname(this.#filePath);
+        if (!fs.existsSync(dirname))
+            fs.mkdirSync(dirname, { recursive: true });
+
+        this.load();
+    }
+
+    // Reads the records without writing to the file, So it's safe to use next to a running auditor.
+    load() {
+        this.#records.clear();
+        this.#lineCount = 0;
+        if (!fs.existsSync(this.#filePath))
+            return;
+
+        const lines = fs.readFileSync(this.#filePath).toString().split('\n').filter(line => line.trim());
+        this.#lineCount = lines.length;
+        for (const line of lines) {
+            // Skip partially written lines (Eg: process killed while writing).
+            try {
+                const record = JSON.parse(line);
+                this.#records.set(record.id, record);
+            }
+            catch (e) {
+                log.warn(`Skipping corrupted audit record line in ${this.#filePath}.`);
+            }
+        }
+    }
+
+    /**
+     * Rewrites the file with the last snapshot of each record, Since every change appends a snapshot.
+     * Only the auditor which owns the file should compact it, Records appended by another process while rewriting would be lost.
+     */
+    compact() {
+        if (this.#lineCount <= this.#records.size)
+            return;
+
+        // Written to a temp file and renamed, So a crash won't lose the records.
+        const tmpPath = this.#filePath + '.tmp';
+        fs.writeFileSync(tmpPath, Array.from(this.#records.values()).map(r => JSON.stringify(r) + '\n').join(''));
+        fs.renameSync(tmpPath, this.#filePath);
+        this.#lineCount = this.#records.size;
+    }
+
+    // options.manual marks the on demand audits and options.dryRun marks the audits which are not submitted on purpose.
+    // options.id recreates the record of a journaled audit with the same id.
+    createRecord(momentStartIdx, hostInfo, options = {}) {
+        const record = {
+            id: options.id || uuidv4(),
+            momentStartIdx: momentStartIdx,
+            host: {
+                address: hostInfo.address,
+                currency: hostInfo.currency
+            },
+            manual: !!options.manual,
+            dryRun: !!options.dryRun,
+            stages: [],
+            contract: null,
+            redeemLedgers: null,
+            score: null,
+            benchmarks: null,
+            verdict: null,
+            reason: null,
+            submitted: false,
+            startedOn: new Date().getTime(),
+            endedOn: null
+        };
+        this.#persist(record);
+        return record;
+    }
+
+    addStage(record, name, success, data = {}) {
+        record.stages.push({
+            name: name,
+            success: success,
+            ts: new Date().getTime(),
+            ...data
+        });
+        this.#persist(record);
+    }
+
+    setRedeemLedgers(record, ledgers) {
+        record.redeemLedgers = ledgers;
+        this.#persist(record);
+    }
+
+    // score is { value, passScore, stages: [{ name, weight, score }] }.
+    setScore(record, score) {
+        record.score = score;
+        this.#persist(record);
+    }
+
+    // Version and the image of the audit contract which the host was audited with.
+    setContract(record, contract) {
+        record.contract = contract;
+        this.#persist(record);
+    }
+
+    // Host performance results reported by the audit client.
+    setBenchmarks(record, benchmarks) {
+        record.benchmarks = benchmarks;
+        this.#persist(record);
+    }
+
+    setVerdict(record, verdict, reason = null) {
+        record.verdict = verdict;
+        record.reason = reason;
+        this.#persist(record);
+    }
+
+    setSubmitted(record, submitted) {
+        record.submitted = submitted;
+        this.#persist(record);
+    }
+
+    complete(record) {
+        record.endedOn = new Date().getTime();
+        this.#persist(record);
+    }
+
+    getRecord(id) {
+        return this.#records.get(id);
+    }
+
+    // Returns the records matching the filter, latest first.
+    getRecords(filter = {}) {
+        let records = Array.from(this.#records.values());
+        if (filter.address)
+            records = records.filter(r => r.host.address === filter.address);
+        if (filter.currency)
+            records = records.filter(r => r.host.currency === filter.currency);
+        if (filter.momentStartIdx)
+            records = records.filter(r => r.momentStartIdx === filter.momentStartIdx);
+        if (filter.from)
+            records = records.filter(r => r.startedOn >= filter.from);
+
+        records.sort((a, b) => b.startedOn - a.startedOn);
+        return filter.limit ? records.slice(0, filter.limit) : records;
+    }
+
+    #persist(record) {
+        this.#records.set(record.id, record);
+        fs.appendFileSync(this.#filePath, JSON.stringify(record) + '\n');
+        this.#lineCount++;
+    }
+}
+
+module.exports = {
+    AuditStore,
+    AuditStages,
+    AuditVerdicts
+}
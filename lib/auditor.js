@@ -0,0 +1,1038 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Buffer } = require('buffer');
+const { v4: uuidv4 } = require('uuid');
+const evernode = require('evernode-js-client');
+const { AuditStore, AuditStages, AuditVerdicts } = require('./audit-store');
+const { AuditJournal, JournalStages } = require('./audit-journal');
+const { Metrics, MetricTypes } = require('./metrics');
+const { StatusServer } = require('./status-server');
+const { AuditPipeline } = require('./audit-pipeline');
+const { BuiltInStages, builtInStages } = require('./audit-stages');
+const { Deadline } = require('./deadline');
+const { ConfigWatcher, readConfig } = require('./config');
+const { resolveSecret, isConfigExposed } = require('./keystore');
+const { TaskQueue } = require('./task-queue');
+const { ContractRegistry } = require('./contract-registry');
+const { HostReputation } = require('./host-reputation');
+const { withRetry } = require('./retry');
+const { RippledServers } = require('./rippled-servers');
+const { BootstrapClient, Faults } = require('../bootstrap-client');
+const logger = require('./logger');
+
+const RECENT_AUDITS_COUNT = 10;
+// Verdict reason of the audits which failed on the score rather than a failed stage.
+const SCORE_FAILURE = 'score';
+// Time to wait for the aborted audits to stop when shutting down.
+const SHUTDOWN_ABORT_TIMEOUT = 5000;
+
+const MetricNames = {
+    AUDIT_SUCCESS: 'evernode_auditor_audit_success_total',
+    AUDIT_FAILURES: 'evernode_auditor_audit_failures_total',
+    REDEEM_LATENCY: 'evernode_auditor_redeem_latency_ledgers',
+    UPLOAD_DURATION: 'evernode_auditor_upload_duration_seconds',
+    UPLOAD_THROUGHPUT: 'evernode_auditor_upload_throughput_bytes_per_second',
+    MOMENT_START_IDX: 'evernode_auditor_moment_start_idx',
+    LAST_LEDGER_IDX: 'evernode_auditor_last_validated_ledger_idx',
+    ONGOING_ASSIGNMENTS: 'evernode_auditor_ongoing_assignments',
+    QUEUED_ASSIGNMENTS: 'evernode_auditor_queued_assignments',
+    FLAGGED_HOSTS: 'evernode_auditor_flagged_hosts',
+    RETRIES: 'evernode_auditor_retries_total',
+    PENDING_SWEEPS: 'evernode_auditor_pending_sweeps',
+    MISSED_LEDGERS: 'evernode_auditor_missed_ledgers_total',
+    LATE_MOMENTS: 'evernode_auditor_late_moments_total',
+    RIPPLED_FAILOVERS: 'evernode_auditor_rippled_failovers_total'
+}
+
+// States of an audit assignment within the moment.
+const AssignmentStates = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    DONE: 'done'
+}
+
+class Auditor {
+    #configPath = null;
+    #workDir = null;
+    #lastValidatedLedgerIdx = null;
+    #curMomentStartIdx = null;
+
+    #ongoingAudit = null;
+    #auditQueue = null;
+    #deadlines = new Map();
+    #evernode = null;
+    #hotPocket = null;
+    #configWatcher = null;
+    #pendingCfg = null;
+    #dryRun = false;
+    #auditCyclesEnabled = false;
+    #sweepTimer = null;
+    #sweeping = null;
+    #secret = null;
+    #lastLedgerOn = null;
+    #healthTimer = null;
+    #failingOver = false;
+    #ledgerHandler = null;
+    #audits = new Set();
+    #shutdown = null;
+    #log = logger.create('auditor');
+
+    // options.evernode and options.hotPocket can replace the client modules (Eg: in simulation mode).
+    // options.dryRun runs the audits without submitting the verdicts.
+    // options.workDir is where the working directories of the audits are created.
+    // options.contractRegistryPath is the registry of the rotated audit contracts, contractPath and clientPath are used if it does not exist.
+    constructor(configPath, contractPath, clientPath, auditDbPath, auditJournalPath, options = {}) {
+        this.#evernode = options.evernode || evernode;
+        this.#hotPocket = options.hotPocket || null;
+        this.#dryRun = !!options.dryRun;
+        this.#configPath = configPath;
+        this.#workDir = options.workDir || path.join(os.tmpdir(), 'evernode-auditor');
+        this.auditStore = new AuditStore(auditDbPath);
+        this.auditJournal = new AuditJournal(auditJournalPath);
+        this.hostReputation = new HostReputation(this.auditStore);
+        this.metrics = new Metrics();
+        this.#defineMetrics();
+
+        if (!fs.existsSync(this.#configPath))
+            throw `${this.#configPath} does not exist.`;
+
+        // Registry is loaded with the config, Since the entries without an image use the configured instance image.
+        this.contractRegistry = new ContractRegistry(options.contractRegistryPath, { contractPath: contractPath, clientPath: clientPath });
+    }
+
+    // Connects to xrpl and starts tracking the ledgers. Audits are not requested until init() is called.
+    // rippledServers is a list or a comma separated string of the rippled servers, xrpl.rippledServers of the config takes precedence.
+    async connect(rippledServers) {
+        this.readConfig();
+        this.#applyConfig(this.cfg);
+
+        // Resolved secret is only given to the xrpl clients, It is not kept in the config.
+        // It's kept in memory, Since the clients are recreated when failing over to another rippled server.
+        const secret = await resolveSecret(this.cfg, this.#configPath);
+        this.#log.info(`Xrpl secret loaded from ${secret.source}.`);
+        if (secret.source === this.#configPath && isConfigExposed(this.#configPath))
+            this.#log.warn(`${this.#configPath} contains the plain text xrpl secret and it is readable by other users. Move the secret to a keystore with 'keystore create'.`);
+        this.#secret = secret.value;
+
+        this.rippledServers = new RippledServers(this.cfg.xrpl.rippledServers.length ? this.cfg.xrpl.rippledServers : rippledServers);
+        await this.#connectXrpl();
+
+        // Create audit table if not exist.
+        this.auditStore.init();
+        // Host flags from the past audits are taken as known, So they are not reported again after a restart.
+        this.hostReputation.init();
+        this.metrics.set(MetricNames.FLAGGED_HOSTS, this.hostReputation.flaggedHosts.length);
+
+        await this.initMomentInfo();
+
+        // Rippled server is failed over if it stops sending the ledgers.
+        this.#lastLedgerOn = new Date().getTime();
+        this.#healthTimer = setInterval(() => this.#checkXrplHealth(), Math.max(1, Math.floor(this.cfg.xrpl.ledgerTimeout / 2)));
+        this.#healthTimer.unref();
+    }
+
+    // Connects the xrpl clients to the first rippled server which accepts the connection.
+    async #connectXrpl() {
+        for (const url of this.rippledServers.candidates()) {
+            try {
+                this.#evernode.Defaults.set({
+                    hookAddress: this.cfg.xrpl.hookAddress,
+                    rippledServer: url
+                });
+
+                this.auditorClient = new this.#evernode.AuditorClient(this.cfg.xrpl.address, this.#secret);
+                this.xrplApi = this.auditorClient.xrplApi;
+
+                await this.auditorClient.connect();
+                this.evernodeHookConf = this.auditorClient.hookConfig;
+
+                this.userClient = new this.#evernode.UserClient(this.cfg.xrpl.address, this.#secret, { xrplApi: this.xrplApi });
+
+                await this.userClient.connect();
+                await this.userClient.prepareAccount();
+            }
+            catch (e) {
+                this.#log.warn(`Could not connect to the rippled server ${url}.`, e.reason || e.error || e);
+                this.rippledServers.setFailed(url, String(e.reason || e.error || e));
+                if (this.auditorClient)
+                    await this.auditorClient.disconnect().catch(() => { });
+                continue;
+            }
+
+            this.rippledServers.setConnected(url);
+            this.#log.info(`Connected to the rippled server ${url}.`);
+
+            // Keep listening to xrpl ledger creations and keep track of moments.
+            this.#ledgerHandler = (e) => this.#onLedger(e.ledger_index);
+            this.xrplApi.on(this.#evernode.XrplApiEvents.LEDGER, this.#ledgerHandler);
+            return;
+        }
+        throw `Could not connect to any of the rippled servers ${this.rippledServers.urls.join(', ')}.`;
+    }
+
+    async #onLedger(ledgerIdx) {
+        // Ledgers which are already seen (Eg: from a lagging server after a failover) are ignored.
+        // Moment info is not initialized yet for the ledgers received while connecting.
+        if (this.#lastValidatedLedgerIdx === null || ledgerIdx <= this.#lastValidatedLedgerIdx)
+            return;
+
+        this.#lastLedgerOn = new Date().getTime();
+        const missed = ledgerIdx - this.#lastValidatedLedgerIdx - 1;
+        if (missed > 0) {
+            this.#log.warn(`Missed ${missed} ledger(s) before the ledger ${ledgerIdx}.`);
+            this.metrics.inc(MetricNames.MISSED_LEDGERS, {}, missed);
+        }
+
+        this.#lastValidatedLedgerIdx = ledgerIdx;
+        this.metrics.set(MetricNames.LAST_LEDGER_IDX, this.#lastValidatedLedgerIdx);
+
+        // Cancel the work of the moments which have been expired.
+        for (const [idx, deadline] of this.#deadlines.entries()) {
+            deadline.checkLedger(this.#lastValidatedLedgerIdx);
+            if (deadline.aborted)
+                this.#deadlines.delete(idx);
+        }
+
+        // Moment is computed from the ledger index, So a new moment is detected even if its first ledgers were missed.
+        const momentStartIdx = this.#getMomentStartIdx(ledgerIdx);
+        if (momentStartIdx <= this.#curMomentStartIdx)
+            return;
+
+        this.#curMomentStartIdx = momentStartIdx;
+        this.metrics.set(MetricNames.MOMENT_START_IDX, this.#curMomentStartIdx);
+        if (!this.#auditCyclesEnabled)
+            return;
+
+        // A late audit cycle is started only if enough of the moment is left to finish the audits.
+        const lateLedgers = ledgerIdx - momentStartIdx;
+        if (lateLedgers > 0) {
+            const leftLedgers = this.evernodeHookConf.momentSize - lateLedgers;
+            if (leftLedgers < this.evernodeHookConf.momentSize * this.cfg.audit.catchUpRatio) {
+                this.#log.child({ moment: momentStartIdx }).warn(`Missed the start of the moment, Skipping the audit cycle since only ${leftLedgers} ledgers are left.`);
+                return;
+            }
+            this.#log.child({ moment: momentStartIdx }).warn(`Missed the start of the moment, Starting the audit cycle ${lateLedgers} ledgers late.`);
+            this.metrics.inc(MetricNames.LATE_MOMENTS);
+        }
+        await this.#onMomentStart(momentStartIdx);
+    }
+
+    // Fails over to another rippled server if no ledger is received within the ledger timeout.
+    async #checkXrplHealth() {
+        const silence = new Date().getTime() - this.#lastLedgerOn;
+        if (this.#failingOver || silence < this.cfg.xrpl.ledgerTimeout)
+            return;
+
+        this.#failingOver = true;
+        try {
+            // There's no current server if the last failover could not connect to any server.
+            const url = this.rippledServers.current;
+            this.#log.warn(`No ledgers from the rippled server ${url || '(not connected)'} for ${silence} ms, Failing over to another server.`);
+            this.metrics.inc(MetricNames.RIPPLED_FAILOVERS);
+            if (url)
+                this.rippledServers.setFailed(url, `No ledgers for ${silence} ms.`);
+
+            this.xrplApi.off(this.#evernode.XrplApiEvents.LEDGER, this.#ledgerHandler);
+            this.auditorClient.off(this.#evernode.AuditorEvents.AuditAssignment);
+            await this.auditorClient.disconnect().catch(() => { });
+            await this.#connectXrpl();
+
+            // Assignments of the ongoing moment are received through the new client.
+            if (this.#ongoingAudit && this.#ongoingAudit.onAssignment)
+                this.auditorClient.on(this.#evernode.AuditorEvents.AuditAssignment, this.#ongoingAudit.onAssignment);
+        }
+        catch (e) {
+            this.#log.error('Rippled failover failed, It will be retried.', e.reason || e);
+        }
+        finally {
+            // Next check waits for a full ledger timeout on the new server.
+            this.#lastLedgerOn = new Date().getTime();
+            this.#failingOver = false;
+        }
+    }
+
+    // Connects and starts auditing every moment.
+    async init(rippledServer) {
+        await this.connect(rippledServer);
+
+        if (this.#dryRun)
+            this.#log.warn('Dry run mode, Audit verdicts will not be submitted.');
+
+        this.auditJournal.init();
+        // Old record snapshots are dropped only here, The cli commands which load the store may run next to the auditor.
+        this.auditStore.compact();
+
+        // Working directories left by the audits which were interrupted are not reused.
+        fs.rmSync(this.#workDir, { recursive: true, force: true });
+
+        // Finish or clean up the audits which were interrupted by a restart.
+        await this.#recoverAudits();
+
+        // Local status server is started only if it's configured.
+        if (this.cfg.statusServer && this.cfg.statusServer.port) {
+            this.statusServer = new StatusServer(this);
+            await this.statusServer.start(this.cfg.statusServer.port);
+            this.#log.info(`Status server listening on localhost:${this.cfg.statusServer.port}`);
+        }
+
+        // Config changes are applied from the next moment.
+        this.#configWatcher = new ConfigWatcher(this.#configPath);
+        this.#configWatcher.on('change', (cfg) => this.#onConfigChange(cfg));
+        this.#configWatcher.on('error', (e) => this.#log.error('Config reload failed.', e));
+        this.#configWatcher.start();
+
+        // Failed trustline removals and verdict submissions are retried in the background.
+        this.#sweepTimer = setInterval(() => this.sweep(), this.cfg.retry.sweepInterval);
+        this.#sweepTimer.unref();
+        this.sweep();
+
+        this.#auditCyclesEnabled = true;
+    }
+
+    // Moment start idx is passed since #curMomentStartIdx is changing.
+    async #onMomentStart(momentStartIdx) {
+        if (this.#pendingCfg) {
+            try {
+                this.#applyConfig(this.#pendingCfg);
+                this.#log.info('Applied the updated config.');
+            }
+            catch (e) {
+                this.#log.error('Applying the updated config failed.', e);
+            }
+            this.#pendingCfg = null;
+        }
+
+        // Start the audit cycle for the moment.
+        try { await this.auditCycle(momentStartIdx); }
+        catch (e) {
+            this.#log.child({ moment: momentStartIdx }).error(e);
+        }
+    }
+
+    async disconnect() {
+        clearInterval(this.#sweepTimer);
+        this.#sweepTimer = null;
+        clearInterval(this.#healthTimer);
+        this.#healthTimer = null;
+        if (this.#configWatcher)
+            this.#configWatcher.stop();
+        if (this.statusServer)
+            await this.statusServer.stop();
+        if (this.auditorClient)
+            await this.auditorClient.disconnect();
+    }
+
+    /**
+     * Stops auditing and cleans up the side effects of the audits before disconnecting. New moments and assignments are not taken.
+     * In-flight audits get the grace period (audit.shutdownGracePeriod by default) to finish, Then they are aborted.
+     * Pending verdicts and trustline removals are swept once more, What's left stays in the journal for the next start.
+     */
+    shutdown(gracePeriod = null) {
+        if (!this.#shutdown)
+            this.#shutdown = this.#runShutdown(gracePeriod === null ? this.cfg.audit.shutdownGracePeriod : gracePeriod);
+        return this.#shutdown;
+    }
+
+    async #runShutdown(gracePeriod) {
+        this.#auditCyclesEnabled = false;
+        // Background work is stopped, So it does not reconnect or race with the cleanup.
+        clearInterval(this.#sweepTimer);
+        clearInterval(this.#healthTimer);
+        if (this.auditorClient)
+            this.auditorClient.off(this.#evernode.AuditorEvents.AuditAssignment);
+
+        if (this.#audits.size) {
+            this.#log.info(`Shutting down, Waiting up to ${gracePeriod} ms for ${this.#audits.size} in-flight audit(s).`);
+            if (!await this.#waitForAudits(gracePeriod)) {
+                this.#log.warn('Shutdown grace period is over, Aborting the in-flight audits.');
+                for (const deadline of this.#deadlines.values())
+                    deadline.abort('Auditor is shutting down.');
+                // Final sweep gets fresh deadlines, So the decided verdicts can still be submitted within the moment.
+                this.#deadlines.clear();
+                if (!await this.#waitForAudits(SHUTDOWN_ABORT_TIMEOUT))
+                    this.#log.error('Some audits did not stop after aborting, They are recovered from the journal on the next start.');
+            }
+        }
+        else {
+            this.#log.info('Shutting down.');
+        }
+
+        if (this.#ongoingAudit) {
+            this.#ongoingAudit.resolve();
+            this.#ongoingAudit = null;
+        }
+
+        if (this.auditJournal.list().length) {
+            await this.sweep();
+            const pending = this.#getPendingSweeps();
+            if (pending.length)
+                this.#log.warn(`${pending.length} audit(s) have a pending verdict or trustline removal, They are kept in the journal for the next start.`);
+        }
+
+        // Files of the aborted audits (Eg: contract bundles) are not left behind.
+        fs.rmSync(this.#workDir, { recursive: true, force: true });
+        await this.disconnect();
+        this.#log.info('Auditor shut down.');
+    }
+
+    // Resolves true when the in-flight audits are settled, false if the timeout is reached first.
+    async #waitForAudits(timeout) {
+        let timer = null;
+        const timedOut = new Promise(resolve => timer = setTimeout(() => resolve(false), timeout));
+        const res = await Promise.race([Promise.all([...this.#audits]).then(() => true), timedOut]);
+        clearTimeout(timer);
+        return res;
+    }
+
+    #handleAudit(momentStartIdx) {
+        return new Promise(async (resolve, reject) => {
+            // State of this moment's audit. Assignment listener refers to this object rather than #ongoingAudit,
+            // Since #ongoingAudit is replaced when the next moment starts.
+            const momentAudit = {
+                momentStartIdx: momentStartIdx,
+                resolve: resolve,
+                reject: reject,
+                assignments: new Map()
+            };
+            this.#ongoingAudit = momentAudit;
+
+            try {
+                this.#log.child({ moment: momentStartIdx }).info('Requesting for an audit.');
+                await this.#withRetry('requestAudit', () => this.auditorClient.requestAudit(), this.#getMomentDeadline(momentStartIdx), this.#log.child({ moment: momentStartIdx }));
+            }
+            catch (e) {
+                this.#ongoingAudit = null;
+                reject(e);
+                return;
+            }
+
+            // Listener is kept with the moment's audit, So it can be registered again after a rippled failover.
+            momentAudit.onAssignment = async (assignmentInfo) => {
+                const hostInfo = {
+                    currency: assignmentInfo.currency,
+                    address: assignmentInfo.issuer,
+                    amount: assignmentInfo.value
+                }
+
+                const auditRecord = this.auditStore.createRecord(momentStartIdx, hostInfo, { dryRun: this.#dryRun });
+                this.auditStore.addStage(auditRecord, AuditStages.ASSIGNED, true);
+
+                // Journal the assignment so it can be reconciled if the auditor restarts in the middle.
+                const journalEntry = this.auditJournal.add({
+                    id: auditRecord.id,
+                    momentStartIdx: momentStartIdx,
+                    hostInfo: hostInfo,
+                    assignmentInfo: assignmentInfo,
+                    stage: JournalStages.ASSIGNED
+                });
+
+                this.#getAuditLogger(momentStartIdx, hostInfo).info('Assigned a host to audit.');
+                await this.#queueAssignment(journalEntry, auditRecord, momentAudit).catch(e => this.#getAuditLogger(momentStartIdx, hostInfo).error('Audit error,', e.reason || e));
+            };
+            this.auditorClient.on(this.#evernode.AuditorEvents.AuditAssignment, momentAudit.onAssignment);
+        });
+    }
+
+    // Audits the assignment when there's a free slot in the audit queue.
+    // Assignment state is kept in the moment audit if given, So the moment knows about its pending assignments.
+    async #queueAssignment(entry, auditRecord, momentAudit = null) {
+        const assignment = {
+            id: entry.id,
+            hostInfo: entry.hostInfo,
+            state: AssignmentStates.QUEUED,
+            // Each assignment gets its own working directory, So the concurrent audits don't share the files.
+            workDir: path.join(this.#workDir, entry.id)
+        };
+        if (momentAudit)
+            momentAudit.assignments.set(assignment.id, assignment);
+
+        if (this.#auditQueue.running >= this.#auditQueue.limit)
+            this.#getAuditLogger(entry.momentStartIdx, entry.hostInfo).info('Waiting for a free audit slot.');
+
+        const queued = this.#auditQueue.run(async () => {
+            assignment.state = AssignmentStates.RUNNING;
+            this.metrics.set(MetricNames.QUEUED_ASSIGNMENTS, this.#auditQueue.waiting);
+            await this.#auditAssignment(entry, auditRecord, assignment.workDir);
+        });
+        this.metrics.set(MetricNames.QUEUED_ASSIGNMENTS, this.#auditQueue.waiting);
+
+        await this.#trackAudit(queued);
+        assignment.state = AssignmentStates.DONE;
+    }
+
+    // Keeps the in-flight audit until it's settled, So the shutdown can wait for it.
+    #trackAudit(promise) {
+        const tracked = promise.catch(() => { }).finally(() => this.#audits.delete(tracked));
+        this.#audits.add(tracked);
+        return promise;
+    }
+
+    // Runs the audit assignment from the stage it has reached according to the journal entry.
+    async #auditAssignment(entry, auditRecord, workDir) {
+        const momentStartIdx = entry.momentStartIdx;
+        const hostInfo = entry.hostInfo;
+        const log = this.#getAuditLogger(momentStartIdx, hostInfo);
+        this.metrics.inc(MetricNames.ONGOING_ASSIGNMENTS);
+        fs.mkdirSync(workDir, { recursive: true });
+
+        // Bootstrap client gets disconnected when the moment is expired.
+        const deadline = this.#getMomentDeadline(momentStartIdx);
+        const bootstrapClient = new BootstrapClient(deadline, this.#hotPocket || undefined, log.forComponent('bootstrap'));
+
+        try {
+            // Assignment might have waited in the queue until the moment ended.
+            if (!this.#checkMomentValidity(momentStartIdx) && entry.stage !== JournalStages.AUDITED) {
+                await this.#removeAuditTrustline(entry);
+                throw 'Moment expired before the audit started.';
+            }
+
+            // Queued assignments are not started when shutting down, Nothing has been done for them yet.
+            if (this.#shutdown && entry.stage === JournalStages.ASSIGNED)
+                throw 'Auditor shut down before the audit started.';
+
+            if (entry.stage === JournalStages.ASSIGNED) {
+                log.info('Cashing the hosting token.');
+                const cashRes = await this.#withRetry('cash', () => this.auditorClient.cashAuditAssignment(entry.assignmentInfo), deadline, log);
+                this.auditStore.addStage(auditRecord, AuditStages.CASHED, true, { trustCreated: !!cashRes.trustCreated });
+                this.auditJournal.update(entry, { stage: JournalStages.CASHED, trustCreated: !!cashRes.trustCreated });
+
+                // Check whether moment is expired while cashing the hosting token.
+                if (!this.#checkMomentValidity(momentStartIdx)) {
+                    // If the trustline was created by the audit assignment. Remove the trustline after the redeem.
+                    await this.#removeAuditTrustline(entry);
+                    throw 'Moment expired while cashing the hosting token.';
+                }
+            }
+
+            let contract = null;
+            if (entry.stage === JournalStages.CASHED) {
+                // Contract is selected before the redeem, Since the instance is created with the image the contract needs.
+                contract = this.#selectContract(auditRecord, log);
+
+                // Generating Hot pocket key pair for this audit round.
+                const hpKeys = await bootstrapClient.generateKeys();
+                this.auditJournal.update(entry, {
+                    stage: JournalStages.REDEEMING,
+                    contractVersion: contract.version,
+                    hpKeys: {
+                        publicKey: Buffer.from(hpKeys.publicKey).toString('hex'),
+                        privateKey: Buffer.from(hpKeys.privateKey).toString('hex')
+                    }
+                });
+
+                log.info('Redeeming from the host.');
+                const startLedger = this.xrplApi.ledgerIndex;
+                let ledgerTimeTook = 0;
+
+                const instanceInfo = await this.sendRedeemRequest(hostInfo, hpKeys, deadline, contract.image).finally(async () => {
+                    // Time took in ledgers for redeem to response.
+                    ledgerTimeTook = this.xrplApi.ledgerIndex - startLedger;
+                    this.auditStore.setRedeemLedgers(auditRecord, ledgerTimeTook);
+                    this.metrics.observe(MetricNames.REDEEM_LATENCY, ledgerTimeTook);
+
+                    // If the trustline was created by the audit assignment. Remove the trustline after the redeem.
+                    // A failed removal does not fail the audit, It's retried by the sweeper.
+                    await this.#removeAuditTrustline(entry).catch(e => log.warn('Audit trustline removal failed, It will be retried.', e.reason || e));
+                }).catch(e => {
+                    this.auditStore.addStage(auditRecord, AuditStages.REDEEMED, false, { reason: e.reason || String(e) });
+                    throw e;
+                });
+                this.auditStore.addStage(auditRecord, AuditStages.REDEEMED, true, { ip: instanceInfo.ip, userPort: instanceInfo.user_port });
+                this.auditJournal.update(entry, { stage: JournalStages.REDEEMED, instanceInfo: instanceInfo, ledgerTimeTook: ledgerTimeTook });
+
+                // Check whether moment is expired while waiting for the redeem.
+                if (!this.#checkMomentValidity(momentStartIdx))
+                    throw 'Moment expired while waiting for the redeem response.';
+            }
+            else if (entry.stage === JournalStages.REDEEMING) {
+                // Redeem response is lost if the auditor stopped while waiting for it.
+                throw 'Redeem response was lost while the auditor was stopped.';
+            }
+            else if (entry.hpKeys) {
+                // Resuming an audit, Use the key pair which the instance was created with.
+                bootstrapClient.setKeys({
+                    publicKey: Uint8Array.from(Buffer.from(entry.hpKeys.publicKey, 'hex')),
+                    privateKey: Uint8Array.from(Buffer.from(entry.hpKeys.privateKey, 'hex'))
+                });
+            }
+
+            if (entry.stage === JournalStages.REDEEMED) {
+                // Resumed audit continues with the contract which the instance was created for.
+                // Entries journaled without a contract version are audited with a newly selected one.
+                if (!contract)
+                    contract = entry.contractVersion ? this.contractRegistry.get(entry.contractVersion) : this.#selectContract(auditRecord, log);
+                if (!contract)
+                    throw `Audit contract ${entry.contractVersion} is not in the contract registry anymore.`;
+
+                log.info(`Auditing the host with the audit contract ${contract.version}.`);
+                const auditRes = await this.auditInstance(entry.instanceInfo, entry.ledgerTimeTook, momentStartIdx, bootstrapClient, auditRecord, log, workDir, contract);
+
+                // Check whether moment is expired while waiting for the audit completion.
+                if (!this.#checkMomentValidity(momentStartIdx))
+                    throw 'Moment expired while waiting for the audit.';
+
+                this.#setAuditVerdict(auditRecord, auditRes, log);
+                this.auditJournal.update(entry, { stage: JournalStages.AUDITED, verdict: auditRecord.verdict });
+            }
+
+            // Verdict is decided but not submitted in the dry run mode.
+            if (entry.stage === JournalStages.AUDITED && this.#dryRun) {
+                log.info(`Dry run, skipped submitting the audit ${entry.verdict}.`);
+            }
+            else if (entry.stage === JournalStages.AUDITED && !entry.submitted) {
+                // A failed submission keeps the entry in the journal, So the sweeper retries it within the moment.
+                await this.#submitVerdict(entry, auditRecord, deadline, log);
+            }
+        }
+        catch (e) {
+            log.error('Audit error,', e.reason || e);
+            // Keep the decided verdict if the error occurred while submitting it.
+            if (!auditRecord.verdict)
+                this.auditStore.setVerdict(auditRecord, AuditVerdicts.ERROR, e.reason || String(e));
+        }
+        await bootstrapClient.disconnect();
+        fs.rmSync(workDir, { recursive: true, force: true });
+        this.auditStore.complete(auditRecord);
+        this.#recordVerdictMetrics(auditRecord);
+        this.#updateReputation(auditRecord, log);
+        this.metrics.inc(MetricNames.ONGOING_ASSIGNMENTS, {}, -1);
+
+        // Keep the entry in the journal if the trustline removal or the verdict submission failed, So the sweeper retries them.
+        if (this.#hasPendingWork(entry))
+            this.metrics.set(MetricNames.PENDING_SWEEPS, this.#getPendingSweeps().length);
+        else
+            this.auditJournal.remove(entry);
+    }
+
+    async #submitVerdict(entry, auditRecord, deadline, log) {
+        const auditRes = entry.verdict === AuditVerdicts.SUCCESS ? 'success' : 'failed';
+        const scoreText = auditRecord.score ? ` (score ${auditRecord.score.value}/${auditRecord.score.passScore})` : '';
+        log.info(`Audit ${auditRes}${scoreText}.`);
+        await this.#withRetry('verdict', () => (entry.verdict === AuditVerdicts.SUCCESS) ?
+            this.auditorClient.auditSuccess(entry.hostInfo.address) :
+            this.auditorClient.auditFail(entry.hostInfo.address), deadline, log);
+        this.auditStore.setSubmitted(auditRecord, true);
+        this.auditJournal.update(entry, { submitted: true });
+    }
+
+    // Runs the xrpl action with the retry policy of the config, Transient failures are retried until the deadline.
+    #withRetry(action, fn, deadline, log) {
+        return withRetry(fn, {
+            ...this.cfg.retry,
+            deadline: deadline,
+            onRetry: (e, attempt, delay) => {
+                this.metrics.inc(MetricNames.RETRIES, { action: action });
+                log.warn(`${action} failed with a transient error (attempt ${attempt}), Retrying in ${delay} ms.`, e.code || e.reason || e.error || e);
+            }
+        });
+    }
+
+    // Verdict is pending if it's decided but the submission failed. Verdicts of the past moments can't be submitted anymore.
+    #hasPendingWork(entry) {
+        const trustlinePending = entry.trustCreated && !entry.trustRemoved;
+        const submissionPending = entry.stage === JournalStages.AUDITED && !entry.submitted && !entry.submissionExpired && !this.#dryRun;
+        return trustlinePending || submissionPending;
+    }
+
+    // Journal entries of the finished audits which have pending work.
+    #getPendingSweeps() {
+        return this.auditJournal.list().filter(entry => {
+            const auditRecord = this.auditStore.getRecord(entry.id);
+            return (!auditRecord || auditRecord.endedOn) && this.#hasPendingWork(entry);
+        });
+    }
+
+    /**
+     * Retries the trustline removals and the verdict submissions which failed in the finished audits.
+     * Runs in the sweep interval, An overlapping call waits for the running sweep.
+     */
+    sweep() {
+        if (!this.#sweeping)
+            this.#sweeping = this.#runSweep().finally(() => this.#sweeping = null);
+        return this.#sweeping;
+    }
+
+    async #runSweep() {
+        try {
+            for (const entry of this.auditJournal.list()) {
+                // Audits in progress take care of their own work.
+                const auditRecord = this.auditStore.getRecord(entry.id);
+                if (auditRecord && !auditRecord.endedOn)
+                    continue;
+
+                const log = this.#getAuditLogger(entry.momentStartIdx, entry.hostInfo);
+                if (entry.stage === JournalStages.AUDITED && !entry.submitted && !entry.submissionExpired && !this.#dryRun) {
+                    if (this.#checkMomentValidity(entry.momentStartIdx) && auditRecord) {
+                        log.info('Retrying the verdict submission.');
+                        await this.#submitVerdict(entry, auditRecord, this.#getMomentDeadline(entry.momentStartIdx), log)
+                            .catch(e => log.error('Verdict submission failed,', e.code || e.reason || e));
+                    }
+                    else {
+                        log.error(`Audit ${entry.verdict} verdict was not submitted before the moment ended.`);
+                        this.auditJournal.update(entry, { submissionExpired: true });
+                    }
+                }
+
+                if (entry.trustCreated && !entry.trustRemoved) {
+                    await this.#removeAuditTrustline(entry)
+                        .catch(e => log.error('Audit trustline removal failed, It will be retried.', e.code || e.reason || e));
+                }
+
+                if (!this.#hasPendingWork(entry))
+                    this.auditJournal.remove(entry);
+            }
+        }
+        catch (e) {
+            this.#log.error('Sweep error,', e.reason || e);
+        }
+        this.metrics.set(MetricNames.PENDING_SWEEPS, this.#getPendingSweeps().length);
+    }
+
+    /**
+     * Audits the given host on demand within the current moment. The auditor account should hold a hosting token of the host.
+     * Verdict is not submitted since the host is not assigned by the registry.
+     * @returns The audit record.
+     */
+    async auditHost(hostInfo) {
+        const momentStartIdx = this.#curMomentStartIdx;
+        hostInfo = { amount: '1', ...hostInfo };
+        const auditRecord = this.auditStore.createRecord(momentStartIdx, hostInfo, { manual: true });
+        const log = this.#getAuditLogger(momentStartIdx, hostInfo);
+        const workDir = path.join(this.#workDir, auditRecord.id);
+        fs.mkdirSync(workDir, { recursive: true });
+
+        const deadline = this.#getMomentDeadline(momentStartIdx);
+        const bootstrapClient = new BootstrapClient(deadline, this.#hotPocket || undefined, log.forComponent('bootstrap'));
+
+        try {
+            const contract = this.#selectContract(auditRecord, log);
+            const hpKeys = await bootstrapClient.generateKeys();
+
+            log.info('Redeeming from the host.');
+            const startLedger = this.xrplApi.ledgerIndex;
+            const instanceInfo = await this.sendRedeemRequest(hostInfo, hpKeys, deadline, contract.image).catch(e => {
+                this.auditStore.addStage(auditRecord, AuditStages.REDEEMED, false, { reason: e.reason || String(e) });
+                throw e;
+            });
+            const ledgerTimeTook = this.xrplApi.ledgerIndex - startLedger;
+            this.auditStore.setRedeemLedgers(auditRecord, ledgerTimeTook);
+            this.auditStore.addStage(auditRecord, AuditStages.REDEEMED, true, { ip: instanceInfo.ip, userPort: instanceInfo.user_port });
+
+            log.info(`Auditing the host with the audit contract ${contract.version}.`);
+            this.#setAuditVerdict(auditRecord, await this.auditInstance(instanceInfo, ledgerTimeTook, momentStartIdx, bootstrapClient, auditRecord, log, workDir, contract), log);
+        }
+        catch (e) {
+            log.error('Audit error,', e.reason || e);
+            this.auditStore.setVerdict(auditRecord, AuditVerdicts.ERROR, e.reason || String(e));
+        }
+        await bootstrapClient.disconnect();
+        fs.rmSync(workDir, { recursive: true, force: true });
+        this.auditStore.complete(auditRecord);
+        this.#updateReputation(auditRecord, log);
+        return auditRecord;
+    }
+
+    // Selects the audit contract by the rotation policy and records its version in the audit record.
+    #selectContract(auditRecord, log) {
+        const contract = this.contractRegistry.select();
+        this.auditStore.setContract(auditRecord, { version: contract.version, image: contract.image });
+        log.debug(`Selected the audit contract ${contract.version} (image ${contract.image}).`);
+        return contract;
+    }
+
+    // Only the host faults fail the host. Auditor faults end the audit with an error, So the host is not penalized for them.
+    // A low score without a failed stage is recorded with the 'score' reason.
+    #setAuditVerdict(auditRecord, auditRes, log) {
+        if (auditRes.fault === Faults.AUDITOR)
+            throw `Auditor fault in the ${auditRes.failedStage} stage. ${auditRes.reason || ''}`.trim();
+
+        this.auditStore.setScore(auditRecord, { value: auditRes.score, passScore: auditRes.passScore, stages: auditRes.breakdown });
+        log.info(`Audit score ${auditRes.score} (pass score ${auditRes.passScore}).`, auditRes.breakdown.map(b => `${b.name}=${b.score}x${b.weight}`).join(' '));
+
+        if (auditRes.success)
+            this.auditStore.setVerdict(auditRecord, AuditVerdicts.SUCCESS);
+        else
+            this.auditStore.setVerdict(auditRecord, AuditVerdicts.FAIL, auditRes.failedStage || SCORE_FAILURE);
+    }
+
+    #recordVerdictMetrics(auditRecord) {
+        if (auditRecord.verdict === AuditVerdicts.SUCCESS)
+            this.metrics.inc(MetricNames.AUDIT_SUCCESS);
+        else if (auditRecord.verdict === AuditVerdicts.FAIL)
+            this.metrics.inc(MetricNames.AUDIT_FAILURES, { stage: auditRecord.reason });
+        else
+            this.metrics.inc(MetricNames.AUDIT_FAILURES, { stage: AuditVerdicts.ERROR });
+    }
+
+    // Warns about the sharp changes in the host behaviour, So they can be investigated and disputed.
+    // On demand and dry run audits are not counted in the reputation.
+    #updateReputation(auditRecord, log) {
+        if (auditRecord.manual || auditRecord.dryRun)
+            return;
+        const { newFlags } = this.hostReputation.update(auditRecord.host.address);
+        for (const flag of newFlags)
+            log.warn(`Host flagged (${flag.type}). ${flag.message}`);
+        this.metrics.set(MetricNames.FLAGGED_HOSTS, this.hostReputation.flaggedHosts.length);
+    }
+
+    async #removeAuditTrustline(entry) {
+        if (!entry.trustCreated || entry.trustRemoved)
+            return;
+
+        const log = this.#getAuditLogger(entry.momentStartIdx, entry.hostInfo);
+        log.info('Removing the audit trustline.');
+        // Trustline removal is not bound to the moment.
+        await this.#withRetry('removeTrustline', () => this.auditorClient.removeAuditTrustline(entry.hostInfo.address, entry.hostInfo.currency), null, log);
+        this.auditJournal.update(entry, { trustRemoved: true });
+    }
+
+    // Reconciles the audits which were in progress when the auditor stopped.
+    async #recoverAudits() {
+        for (const entry of this.auditJournal.list()) {
+            // Record keeps the journal entry id, So the sweeper can still find it.
+            const auditRecord = this.auditStore.getRecord(entry.id) || this.auditStore.createRecord(entry.momentStartIdx, entry.hostInfo, { id: entry.id });
+
+            // Audits of the current moment are resumed from where they were stopped. Recovery does not wait for them.
+            if (entry.momentStartIdx === this.#curMomentStartIdx && !auditRecord.endedOn) {
+                const log = this.#getAuditLogger(entry.momentStartIdx, entry.hostInfo);
+                log.info(`Resuming the audit from ${entry.stage} stage.`);
+                this.#queueAssignment(entry, auditRecord).catch(e => log.error('Audit error,', e.reason || e));
+                continue;
+            }
+
+            // Audits of the past moments cannot be finished. Orphaned trustlines and the pending verdicts are left to the sweeper.
+            if (!auditRecord.endedOn) {
+                this.auditStore.setVerdict(auditRecord, AuditVerdicts.ERROR, 'Auditor stopped before the audit completion.');
+                this.auditStore.complete(auditRecord);
+            }
+        }
+    }
+
+    async auditCycle(momentStartIdx) {
+        // Before this moment cycle, we expire the previous audit if any.
+        if (this.#ongoingAudit && this.#ongoingAudit.momentStartIdx < momentStartIdx) {
+            // Off events of previous moment's listener before the new audit cycle.
+            this.auditorClient.off(this.#evernode.AuditorEvents.AuditAssignment);
+
+            // assignmentCount > 0 means, There's a pending audit for an audit assignment.
+            // assignmentCount == -1 means, There's no audit assignment for the audit request.
+            // assignmentCount == 0 means, All assigned audits has been completed.
+            // In boath cases audit has to be expired.
+            if (this.#getAssignmentCount(this.#ongoingAudit) !== 0)
+                this.#ongoingAudit.reject('Audit has been expired.');
+            else
+                this.#ongoingAudit.resolve();
+            this.#ongoingAudit = null;
+        }
+
+        const log = this.#log.child({ moment: momentStartIdx });
+        log.info('Audit cycle started.');
+
+        try {
+            await this.#handleAudit(momentStartIdx);
+        }
+        catch (e) {
+            log.error('Audit error -', e.reason || e);
+        }
+
+        log.info('Audit cycle ended.');
+    }
+
+    // Number of assignments which are not completed yet, -1 if nothing has been assigned.
+    #getAssignmentCount(momentAudit) {
+        if (!momentAudit.assignments.size)
+            return -1;
+        return [...momentAudit.assignments.values()].filter(a => a.state !== AssignmentStates.DONE).length;
+    }
+
+    #checkMomentValidity(momentStartIdx) {
+        return (momentStartIdx == this.#curMomentStartIdx);
+    }
+
+    // Returns the deadline which gets aborted when the moment ends.
+    #getMomentDeadline(momentStartIdx) {
+        let deadline = this.#deadlines.get(momentStartIdx);
+        if (!deadline) {
+            deadline = new Deadline(momentStartIdx + this.evernodeHookConf.momentSize, 'Moment expired.');
+            deadline.checkLedger(this.#lastValidatedLedgerIdx);
+            if (!deadline.aborted)
+                this.#deadlines.set(momentStartIdx, deadline);
+        }
+        return deadline;
+    }
+
+    // Returns the pipeline result { success, score, passScore, breakdown, failedStage, reason, fault, results }.
+    // Audit contract is selected by the rotation policy if not given.
+    async auditInstance(instanceInfo, ledgerTimeTook, momentStartIdx, client, auditRecord = null, log = null, workDir = null, contract = null) {
+        contract = contract || this.contractRegistry.select();
+        log = log || (auditRecord ? this.#getAuditLogger(momentStartIdx, auditRecord.host) : this.#log.child({ moment: momentStartIdx }));
+        const ctx = {
+            instanceInfo: instanceInfo,
+            ledgerTimeTook: ledgerTimeTook,
+            momentStartIdx: momentStartIdx,
+            momentSize: this.evernodeHookConf.momentSize,
+            client: client,
+            contractPath: contract.contractPath,
+            contractVersion: contract.version,
+            // Working directory of this audit, Stages and the custom audit client can keep their files here.
+            workDir: workDir,
+            redeemThresholdRatio: this.cfg.audit.redeemThresholdRatio,
+            clientConfig: this.cfg.client,
+            audit: contract.audit,
+            hotPocket: this.#hotPocket,
+            deadline: this.#getMomentDeadline(momentStartIdx),
+            isMomentExpired: () => !this.#checkMomentValidity(momentStartIdx),
+            // Scoped loggers for the stages and the custom audit client. The pipeline sets the current stage to the context.
+            logger: log,
+            log: log.forComponent('client').toFunction()
+        };
+
+        const res = await this.auditPipeline.run(ctx, (stageRes) => {
+            // Record the stage outcomes if an audit record is given.
+            if (auditRecord)
+                this.auditStore.addStage(auditRecord, stageRes.name, stageRes.success, { reason: stageRes.reason, fault: stageRes.fault, duration: stageRes.duration, data: stageRes.data });
+            // Benchmark results are kept at the top of the record, So they can be looked up per host.
+            if (auditRecord && stageRes.name === BuiltInStages.CUSTOM_AUDIT && stageRes.data && stageRes.data.benchmarks)
+                this.auditStore.setBenchmarks(auditRecord, stageRes.data.benchmarks);
+
+            if (stageRes.name === BuiltInStages.UPLOAD) {
+                this.metrics.observe(MetricNames.UPLOAD_DURATION, stageRes.duration / 1000);
+                if (stageRes.data && stageRes.data.throughput)
+                    this.metrics.observe(MetricNames.UPLOAD_THROUGHPUT, stageRes.data.throughput, { mode: stageRes.data.mode });
+            }
+
+            if (!stageRes.success)
+                log.warn(`Audit stage ${stageRes.name} failed (${stageRes.fault} fault).`, stageRes.reason || '');
+
+            if (!this.#checkMomentValidity(momentStartIdx))
+                throw `Moment expired while running the ${stageRes.name} stage.`;
+        });
+
+        return res;
+    }
+
+    getStatus() {
+        return {
+            momentStartIdx: this.#curMomentStartIdx,
+            lastValidatedLedgerIdx: this.#lastValidatedLedgerIdx,
+            momentBaseIdx: this.evernodeHookConf ? this.evernodeHookConf.momentBaseIdx : null,
+            momentSize: this.evernodeHookConf ? this.evernodeHookConf.momentSize : null,
+            ongoingAudit: this.#ongoingAudit ? {
+                momentStartIdx: this.#ongoingAudit.momentStartIdx,
+                assignmentCount: this.#getAssignmentCount(this.#ongoingAudit),
+                assignments: [...this.#ongoingAudit.assignments.values()].map(a => ({ id: a.id, host: a.hostInfo.address, token: a.hostInfo.currency, state: a.state }))
+            } : null,
+            auditQueue: this.#auditQueue ? {
+                limit: this.#auditQueue.limit,
+                running: this.#auditQueue.running,
+                waiting: this.#auditQueue.waiting
+            } : null,
+            rippled: this.rippledServers ? this.rippledServers.getStatus() : null,
+            contracts: {
+                rotation: this.contractRegistry.policy,
+                versions: this.contractRegistry.contracts.map(c => ({ version: c.version, image: c.image, weight: c.weight }))
+            },
+            flaggedHosts: this.hostReputation.getProfiles({ flagged: true }).map(p => ({ address: p.address, flags: p.flags })),
+            recentAudits: this.auditStore.getRecords({ limit: RECENT_AUDITS_COUNT })
+        };
+    }
+
+    #defineMetrics() {
+        this.metrics.define(MetricNames.AUDIT_SUCCESS, MetricTypes.COUNTER, 'Number of successful audits.');
+        this.metrics.define(MetricNames.AUDIT_FAILURES, MetricTypes.COUNTER, 'Number of failed audits by the failed stage.');
+        this.metrics.define(MetricNames.REDEEM_LATENCY, MetricTypes.HISTOGRAM, 'Ledgers took for the host to respond to the redeem.', [1, 2, 3, 5, 8, 13, 21, 34]);
+        this.metrics.define(MetricNames.UPLOAD_DURATION, MetricTypes.HISTOGRAM, 'Time took to upload the audit contract in seconds.', [0.5, 1, 2, 5, 10, 20, 30, 60]);
+        this.metrics.define(MetricNames.UPLOAD_THROUGHPUT, MetricTypes.HISTOGRAM, 'Audit contract upload throughput in bytes per second by the upload mode.', [1024, 4096, 16384, 65536, 262144, 1048576, 4194304]);
+        this.metrics.define(MetricNames.MOMENT_START_IDX, MetricTypes.GAUGE, 'Start ledger index of the current moment.');
+        this.metrics.define(MetricNames.LAST_LEDGER_IDX, MetricTypes.GAUGE, 'Last validated ledger index.');
+        this.metrics.define(MetricNames.ONGOING_ASSIGNMENTS, MetricTypes.GAUGE, 'Number of audit assignments in progress.');
+        this.metrics.define(MetricNames.QUEUED_ASSIGNMENTS, MetricTypes.GAUGE, 'Number of audit assignments waiting for a free audit slot.');
+        this.metrics.define(MetricNames.FLAGGED_HOSTS, MetricTypes.GAUGE, 'Number of hosts flagged for a sharp change in their audit results.');
+        this.metrics.define(MetricNames.RETRIES, MetricTypes.COUNTER, 'Number of retries of the transient xrpl failures by the action.');
+        this.metrics.define(MetricNames.PENDING_SWEEPS, MetricTypes.GAUGE, 'Number of finished audits with a pending trustline removal or verdict submission.');
+        this.metrics.define(MetricNames.MISSED_LEDGERS, MetricTypes.COUNTER, 'Number of ledgers which were not received from the rippled server.');
+        this.metrics.define(MetricNames.LATE_MOMENTS, MetricTypes.COUNTER, 'Number of audit cycles started late since the moment start was missed.');
+        this.metrics.define(MetricNames.RIPPLED_FAILOVERS, MetricTypes.COUNTER, 'Number of failovers to another rippled server.');
+    }
+
+    async sendRedeemRequest(hostInfo, keys, deadline = null, image = null) {
+        // Redeem is a payment which is not retried, A failed submission might have been applied and a resubmission would redeem twice.
+        // Stop waiting for the redeem response if the deadline is reached.
+        const requirements = this.getInstanceRequirements(keys, image);
+        const redeem = this.userClient.redeem(hostInfo.currency, hostInfo.address, hostInfo.amount, requirements, { timeout: this.cfg.audit.redeemWaitTimeout });
+        const response = await (deadline ? deadline.race(redeem) : redeem);
+        return response.instance;
+    }
+
+    // Start ledger index of the moment which the ledger belongs to.
+    #getMomentStartIdx(ledgerIdx) {
+        const relativeN = Math.floor((ledgerIdx - this.evernodeHookConf.momentBaseIdx) / this.evernodeHookConf.momentSize);
+        return this.evernodeHookConf.momentBaseIdx + (relativeN * this.evernodeHookConf.momentSize);
+    }
+
+    async initMomentInfo() {
+        this.#lastValidatedLedgerIdx = this.xrplApi.ledgerIndex;
+        this.#curMomentStartIdx = this.#getMomentStartIdx(this.#lastValidatedLedgerIdx);
+        this.metrics.set(MetricNames.LAST_LEDGER_IDX, this.#lastValidatedLedgerIdx);
+        this.metrics.set(MetricNames.MOMENT_START_IDX, this.#curMomentStartIdx);
+    }
+
+    getInstanceRequirements(keys, image = null) {
+        return {
+            owner_pubkey: Buffer.from(keys.publicKey).toString('hex'),
+            contract_id: uuidv4(),
+            image: image || this.cfg.instance.image,
+            config: {}
+        }
+    }
+
+    readConfig() {
+        this.cfg = readConfig(this.#configPath);
+    }
+
+    // Builds the config dependent components. Throws if the config cannot be applied.
+    #applyConfig(cfg) {
+        // Audit stages are taken from the config, Built-in stages are used if not configured.
+        this.auditPipeline = AuditPipeline.fromConfig(cfg.audit.stages, builtInStages, path.dirname(this.#configPath), cfg.audit.passScore);
+        // Registry is reloaded with the config, Running audits keep the contract they were started with.
+        this.contractRegistry.load(cfg.instance.image, cfg.audit.rotation);
+        this.hostReputation.setOptions(cfg.reputation);
+        // Lowered limit lets the running audits finish, Queued ones wait until the running count drops below it.
+        if (this.#auditQueue)
+            this.#auditQueue.setLimit(cfg.audit.maxConcurrentAudits);
+        else
+            this.#auditQueue = new TaskQueue(cfg.audit.maxConcurrentAudits);
+        // Log levels and the format can be changed with a config reload. Log file settings need a restart.
+        logger.configure(cfg.log);
+        this.cfg = cfg;
+    }
+
+    #onConfigChange(cfg) {
+        // Xrpl account and status server changes need a restart since the connections are already established.
+        if (JSON.stringify(cfg.xrpl) !== JSON.stringify(this.cfg.xrpl)) {
+            this.#log.warn('Xrpl config changes are applied only after a restart.');
+            cfg.xrpl = this.cfg.xrpl;
+        }
+        if (JSON.stringify(cfg.statusServer) !== JSON.stringify(this.cfg.statusServer))
+            this.#log.warn('Status server config changes are applied only after a restart.');
+
+        this.#pendingCfg = cfg;
+        this.#log.info('Config change detected. It will be applied from the next moment.');
+    }
+
+    persistConfig() {
+        fs.writeFileSync(this.#configPath, JSON.stringify(this.cfg, null, 2));
+    }
+
+    // Logger with the correlation context of an audit.
+    #getAuditLogger(momentStartIdx, hostInfo) {
+        return this.#log.child({ moment: momentStartIdx, host: hostInfo.address, token: hostInfo.currency });
+    }
+}
+
+module.exports = {
+    Auditor,
+    AssignmentStates,
+    MetricNames
+}
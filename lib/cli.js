@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const process = require('process');
+const logger = require('./logger');
+const { Auditor } = require('./auditor');
+const { AuditStore, AuditVerdicts } = require('./audit-store');
+const { AuditPipeline } = require('./audit-pipeline');
+const { builtInStages } = require('./audit-stages');
+const { readConfig } = require('./config');
+const { ContractRegistry } = require('./contract-registry');
+const { HostReputation, toCsv } = require('./host-reputation');
+const { resolveSecret } = require('./keystore');
+
+const STATUS_REQUEST_TIMEOUT = 5000;
+const DEFAULT_HISTORY_LIMIT = 20;
+
+const USAGE = `Usage: evernode-auditor <command> [options]
+
+Commands:
+  run [--dry-run]                        Start the auditor (default). --dry-run skips the verdict submissions.
+  status                                 Show the status of the running auditor (needs statusServer in the config).
+  history [--host <address>] [--token <currency>] [--moment <idx>] [--limit <n>] [--json]
+                                         List the past audit results.
+  reputation [--host <address>] [--flagged] [--format <json|csv>]
+                                         Export the host reputation profiles derived from the past audits.
+  audit --host <address> --token <currency>
+                                         Audit a host on demand. The verdict is not submitted.
+  check-config                           Validate the config, the xrpl secret and the audit contract.
+  keystore <create|rotate [--secret]>    Manage the encrypted xrpl secret keystore.
+  help                                   Show this help.`;
+
+/**
+ * Splits the arguments into the command, positional arguments and the options.
+ * Options are given as '--name value', Options without a value (Eg: --dry-run) are set to true.
+ */
+const parseArgs = (args) => {
+    const res = { command: null, positional: [], options: {} };
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (arg.startsWith('--')) {
+            const name = arg.substring(2);
+            if (i + 1 < args.length && !args[i + 1].startsWith('--'))
+                res.options[name] = args[++i];
+            else
+                res.options[name] = true;
+        }
+        else if (!res.command) {
+            res.command = arg;
+        }
+        else {
+            res.positional.push(arg);
+        }
+    }
+    return res;
+}
+
+const parseIntOption = (options, name) => {
+    if (options[name] === undefined)
+        return null;
+
+    const value = parseInt(options[name]);
+    if (isNaN(value))
+        throw `--${name} should be a number.`;
+    return value;
+}
+
+// Creates the auditor with the simulation mocks in the simulation mode.
+const createAuditor = (settings, options = {}) => {
+    options = { ...options, workDir: settings.workDir, contractRegistryPath: settings.contractRegistryPath };
+    if (settings.isSimulationMode) {
+        const { createSimulation } = require('./simulation');
+        const simulation = createSimulation(settings.simulationConfigPath ? JSON.parse(fs.readFileSync(settings.simulationConfigPath).toString()) : {});
+        options = { ...options, evernode: simulation.evernode, hotPocket: simulation.hotPocket };
+    }
+
+    return new Auditor(settings.configPath, settings.contractPath, settings.clientPath, settings.auditDbPath, settings.auditJournalPath, options);
+}
+
+// Keystore passphrase is prompted when a command which needs the xrpl secret is run from a terminal without it.
+const promptPassphrase = (cfg) => require('./keystore-cli').promptPassphraseIfNeeded(cfg);
+
+const run = async (settings, options) => {
+    // Logs are formatted with the timestamp and a log file will be created inside log directory.
+    // File log can be enabled with the environment variable or the config.
+    const cfg = readConfig(settings.configPath);
+    logger.init(settings.logPath, settings.fileLogEnabled || cfg.log.fileEnabled, cfg.log);
+
+    const log = logger.create('auditor');
+    log.info('Starting the Evernode auditor.' + (settings.isDevMode ? ' (in dev mode)' : '') + (settings.isSimulationMode ? ' (in simulation mode)' : ''));
+    log.info('Data dir: ' + settings.dataDir);
+    log.info('Rippled servers: ' + (settings.isSimulationMode ? 'simulated' : (cfg.xrpl.rippledServers.length ? cfg.xrpl.rippledServers.join(', ') : settings.rippledUrl)));
+
+    await promptPassphrase(cfg);
+    const auditor = createAuditor(settings, { dryRun: !!options['dry-run'] });
+    await auditor.init(settings.rippledUrl);
+
+    // In-flight audits are finished or cleaned up before exiting, A second signal exits immediately.
+    let stopping = false;
+    const stop = async (signal) => {
+        if (stopping) {
+            log.warn(`Received ${signal} while shutting down, Exiting without the cleanup.`);
+            process.exit(1);
+        }
+        stopping = true;
+        log.info(`Received ${signal}.`);
+
+        let exitCode = 0;
+        try {
+            await auditor.shutdown();
+        }
+        catch (e) {
+            log.error('Shutdown error,', e.reason || e);
+            exitCode = 1;
+        }
+        await logger.close();
+        process.exit(exitCode);
+    };
+    process.on('SIGTERM', () => stop('SIGTERM'));
+    process.on('SIGINT', () => stop('SIGINT'));
+}
+
+const getJson = (url) => {
+    return new Promise((resolve, reject) => {
+        const req = http.get(url, { timeout: STATUS_REQUEST_TIMEOUT }, (res) => {
+            let body = '';
+            res.on('data', (chunk) => body += chunk);
+            res.on('end', () => {
+                try {
+                    resolve(JSON.parse(body));
+                }
+                catch (e) {
+                    reject(`Invalid response from ${url}.`);
+                }
+            });
+        });
+        req.on('timeout', () => req.destroy(new Error('Request timeout.')));
+        req.on('error', (e) => reject(`Could not reach the auditor at ${url}. Is it running? ${e.message}`));
+    });
+}
+
+const status = async (settings) => {
+    const cfg = readConfig(settings.configPath);
+    if (!cfg.statusServer || !cfg.statusServer.port)
+        throw 'statusServer.port is not configured, Status cannot be queried from the running auditor.';
+
+    const res = await getJson(`http://127.0.0.1:${cfg.statusServer.port}/status`);
+    console.log(JSON.stringify(res, null, 2));
+}
+
+const formatRecord = (record) => {
+    const startedOn = new Date(record.startedOn).toISOString();
+    const verdict = record.verdict || 'in progress';
+    const flags = [record.contract ? `contract ${record.contract.version}` : null, record.submitted ? 'submitted' : 'not submitted', record.manual ? 'manual' : null, record.dryRun ? 'dry run' : null].filter(f => f);
+    return `${startedOn}  moment ${record.momentStartIdx}  ${record.host.address} ${record.host.currency}  ${verdict}${record.reason ? ` (${record.reason})` : ''}  [${flags.join(', ')}]`;
+}
+
+// History is read from the audit store file, So it works whether the auditor is running or not.
+const history = async (settings, options) => {
+    const auditStore = new AuditStore(settings.auditDbPath);
+    auditStore.load();
+
+    const records = auditStore.getRecords({
+        address: options.host,
+        currency: options.token,
+        momentStartIdx: parseIntOption(options, 'moment'),
+        limit: parseIntOption(options, 'limit') || DEFAULT_HISTORY_LIMIT
+    });
+
+    if (options.json)
+        console.log(JSON.stringify(records, null, 2));
+    else if (!records.length)
+        console.log('No audit records found.');
+    else
+        records.forEach(r => console.log(formatRecord(r)));
+}
+
+// Profiles are derived from the audit store file with the reputation settings of the config.
+const reputation = async (settings, options) => {
+    const format = options.format || 'json';
+    if (format !== 'json' && format !== 'csv')
+        throw '--format should be json or csv.';
+
+    const auditStore = new AuditStore(settings.auditDbPath);
+    auditStore.load();
+    const hostReputation = new HostReputation(auditStore, readConfig(settings.configPath).reputation);
+
+    const profiles = options.host ? [hostReputation.getProfile(options.host)].filter(p => p) : hostReputation.getProfiles({ flagged: !!options.flagged });
+    if (format === 'csv')
+        process.stdout.write(toCsv(profiles, hostReputation.windows));
+    else
+        console.log(JSON.stringify(profiles, null, 2));
+}
+
+const audit = async (settings, options) => {
+    if (!options.host || !options.token || options.host === true || options.token === true)
+        throw 'Usage: audit --host <address> --token <currency>';
+
+    // Logs are printed to the console, The audit record is printed to stdout as it is.
+    const cfg = readConfig(settings.configPath);
+    logger.init(settings.logPath, false, cfg.log);
+    await promptPassphrase(cfg);
+    const auditor = createAuditor(settings);
+    await auditor.connect(settings.rippledUrl);
+
+    const record = await auditor.auditHost({ address: options.host, currency: options.token }).finally(() => auditor.disconnect());
+    process.stdout.write(JSON.stringify(record, null, 2) + '\n');
+    return record.verdict === AuditVerdicts.SUCCESS ? 0 : 1;
+}
+
+const checkConfig = async (settings) => {
+    const cfg = readConfig(settings.configPath);
+    await promptPassphrase(cfg);
+    const secret = await resolveSecret(cfg, settings.configPath);
+    AuditPipeline.fromConfig(cfg.audit.stages, builtInStages, path.dirname(settings.configPath));
+
+    // Loading the registry checks the contract and client paths and the image compatibility of each contract.
+    const registry = new ContractRegistry(settings.contractRegistryPath, { contractPath: settings.contractPath, clientPath: settings.clientPath });
+    registry.load(cfg.instance.image, cfg.audit.rotation);
+
+    console.log(`Config ${settings.configPath} is valid.`);
+    console.log(`Xrpl secret is taken from ${secret.source}.`);
+    console.log(`Audit contracts (${registry.policy}): ${registry.contracts.map(c => `${c.version} [${c.image}]`).join(', ')}.`);
+}
+
+/**
+ * Runs the cli command and returns the exit code.
+ * @param {string[]} args Command line arguments without the node and script paths.
+ * @param {object} settings Paths and the environment settings resolved by the entry point.
+ */
+const runCli = async (args, settings) => {
+    const { command, options } = parseArgs(args);
+    try {
+        switch (options.help ? 'help' : (command || 'run')) {
+            case 'run':
+                await run(settings, options);
+                return 0;
+            case 'status':
+                await status(settings);
+                return 0;
+            case 'history':
+                await history(settings, options);
+                return 0;
+            case 'reputation':
+                await reputation(settings, options);
+                return 0;
+            case 'audit':
+                return await audit(settings, options);
+            case 'check-config':
+                await checkConfig(settings);
+                return 0;
+            case 'keystore': {
+                const { runKeystoreCommand } = require('./keystore-cli');
+                await runKeystoreCommand(args.slice(1), settings.configPath, settings.dataDir);
+                return 0;
+            }
+            case 'help':
+                console.log(USAGE);
+                return 0;
+            default:
+                console.error(`Unknown command '${command}'.\n\n${USAGE}`);
+                return 1;
+        }
+    }
+    catch (e) {
+        console.error(e);
+        return 1;
+    }
+}
+
+module.exports = {
+    parseArgs,
+    runCli
+}
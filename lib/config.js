@@ -0,0 +1,320 @@
+const fs = require('fs');
+const path = require('path');
+const process = require('process');
+const { EventEmitter } = require('events');
+const { LogLevels, RotateIntervals } = require('./logger');
+const { RotationPolicies } = require('./contract-registry');
+
+const RELOAD_DEBOUNCE = 500;
+
+// Schema of auditor.cfg. Fields with a default value are filled in if they are missing.
+const ConfigSchema = {
+    type: 'object',
+    fields: {
+        xrpl: {
+            type: 'object',
+            required: true,
+            fields: {
+                address: { type: 'string', required: true },
+                // Secret can be given with a keystore or the environment instead (See keystore.js).
+                secret: { type: 'string' },
+                keystore: { type: 'string' },
+                hookAddress: { type: 'string', required: true },
+                // Rippled servers in the order of preference, Overrides the RIPPLED_URL environment variable.
+                rippledServers: { type: 'array', default: [], items: { type: 'string' } },
+                // Rippled server is failed over if no ledger is received within this time in milliseconds.
+                ledgerTimeout: { type: 'number', min: 1000, default: 30000 }
+            }
+        },
+        instance: {
+            type: 'object',
+            required: true,
+            fields: {
+                image: { type: 'string', required: true }
+            }
+        },
+        audit: {
+            type: 'object',
+            default: {},
+            fields: {
+                // Time to wait for the redeem response in milliseconds.
+                redeemWaitTimeout: { type: 'number', min: 1, default: 60000 },
+                // Redeem threshold as a ratio of the moment size.
+                redeemThresholdRatio: { type: 'number', min: 0, max: 1, default: 0.5 },
+                // Max number of assignments audited at once, Others wait in the queue.
+                maxConcurrentAudits: { type: 'number', integer: true, min: 1, default: 4 },
+                // Min weighted score of the stages (0 to 1) to pass the audit.
+                passScore: { type: 'number', min: 0, max: 1, default: 0.8 },
+                // How the audit contract is selected from the contract registry for each audit.
+                rotation: { type: 'string', values: Object.values(RotationPolicies), default: RotationPolicies.ROUND_ROBIN },
+                // If the start of a moment is missed, The audit cycle is started late only if this ratio of the moment is left.
+                catchUpRatio: { type: 'number', min: 0, max: 1, default: 0.5 },
+                // Time to wait for the in-flight audits to finish when shutting down in milliseconds, They are aborted after that.
+                shutdownGracePeriod: { type: 'number', min: 0, default: 30000 },
+                stages: {
+                    type: 'array',
+                    default: [],
+                    items: {
+                        type: 'object',
+                        fields: {
+                            name: { type: 'string', required: true },
+                            module: { type: 'string' },
+                            enabled: { type: 'boolean' },
+                            required: { type: 'boolean' },
+                            timeout: { type: 'number', min: 1 },
+                            weight: { type: 'number', min: 0 },
+                            options: { type: 'object' }
+                        }
+                    }
+                }
+            }
+        },
+        // Settings which are passed to the custom audit client.
+        client: {
+            type: 'object',
+            default: {},
+            fields: {
+                inputTimeout: { type: 'number', min: 1, default: 5000 },
+                // Directory of the test suite files, Relative to the client directory.
+                testsDir: { type: 'string' },
+                // Challenges with random nonces which the contract should answer (See the default client).
+                challenge: {
+                    type: 'object',
+                    default: {},
+                    fields: {
+                        enabled: { type: 'boolean', default: true },
+                        count: { type: 'number', integer: true, min: 1, default: 1 },
+                        iterations: { type: 'number', integer: true, min: 1, max: 100000, default: 1000 }
+                    }
+                },
+                // Host performance benchmarks (See the default client). Thresholds which are not set are not checked.
+                benchmark: {
+                    type: 'object',
+                    default: {},
+                    fields: {
+                        enabled: { type: 'boolean', default: true },
+                        cpuIterations: { type: 'number', integer: true, min: 1, max: 1000000, default: 100000 },
+                        diskSize: { type: 'number', integer: true, min: 1, max: 16777216, default: 1048576 },
+                        rounds: { type: 'number', integer: true, min: 1, max: 20, default: 3 },
+                        thresholds: {
+                            type: 'object',
+                            default: {},
+                            fields: {
+                                minCpuHashRate: { type: 'number', min: 0 },
+                                minDiskRate: { type: 'number', min: 0 },
+                                maxRoundTrip: { type: 'number', min: 0 },
+                                maxRoundInterval: { type: 'number', min: 0 }
+                            }
+                        }
+                    }
+                },
+                // Scoring of the test cases (See the default client).
+                scoring: {
+                    type: 'object',
+                    default: {},
+                    fields: {
+                        passScore: { type: 'number', min: 0, max: 1, default: 0.8 },
+                        // Response time targets in milliseconds.
+                        latencyTarget: { type: 'number', min: 1, default: 1000 },
+                        roundTimeTarget: { type: 'number', min: 1, default: 2000 },
+                        weights: {
+                            type: 'object',
+                            default: {},
+                            fields: {
+                                correctness: { type: 'number', min: 0, default: 0.7 },
+                                latency: { type: 'number', min: 0, default: 0.3 },
+                                roundTime: { type: 'number', min: 0, default: 0.3 }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        // Retries of the transient xrpl failures (See retry.js). Delays are in milliseconds.
+        retry: {
+            type: 'object',
+            default: {},
+            fields: {
+                maxAttempts: { type: 'number', integer: true, min: 1, default: 4 },
+                initialDelay: { type: 'number', min: 0, default: 1000 },
+                maxDelay: { type: 'number', min: 0, default: 20000 },
+                factor: { type: 'number', min: 1, default: 2 },
+                // Interval of the sweeper which retries the failed trustline removals and verdict submissions.
+                sweepInterval: { type: 'number', min: 1000, default: 60000 }
+            }
+        },
+        // Host reputation profiles (See host-reputation.js). Window sizes are in number of audits.
+        reputation: {
+            type: 'object',
+            default: {},
+            fields: {
+                // Pass rates are reported over the last audits of each window size.
+                windows: { type: 'array', default: [10, 50], items: { type: 'number', integer: true, min: 1 } },
+                // Recent audits are compared against the baseline audits before them.
+                trendWindow: { type: 'number', integer: true, min: 1, default: 10 },
+                baselineWindow: { type: 'number', integer: true, min: 1, default: 50 },
+                minAudits: { type: 'number', integer: true, min: 1, default: 5 },
+                passRateChange: { type: 'number', min: 0, max: 1, default: 0.5 },
+                maxConsecutiveFailures: { type: 'number', integer: true, min: 1, default: 3 },
+                latencyIncrease: { type: 'number', min: 1, default: 2 }
+            }
+        },
+        log: {
+            type: 'object',
+            default: {},
+            fields: {
+                fileEnabled: { type: 'boolean', default: false },
+                level: { type: 'string', values: Object.keys(LogLevels), default: 'info' },
+                // Log levels per component (Eg: { "bootstrap": "debug" }).
+                components: { type: 'object', default: {}, entries: { type: 'string', values: Object.keys(LogLevels) } },
+                json: { type: 'boolean', default: false },
+                // Log file is rotated when it exceeds maxSize bytes or when the rotate interval changes.
+                maxSize: { type: 'number', min: 1024, default: 10485760 },
+                maxFiles: { type: 'number', min: 1, default: 5 },
+                rotateInterval: { type: 'string', values: Object.values(RotateIntervals) }
+            }
+        },
+        statusServer: {
+            type: 'object',
+            fields: {
+                port: { type: 'number', min: 1, max: 65535, required: true }
+            }
+        }
+    }
+}
+
+const typeOf = (value) => {
+    if (Array.isArray(value))
+        return 'array';
+    if (value === null)
+        return 'null';
+    return typeof value;
+}
+
+// Validates the value against the schema and fills the defaults. Collects the errors against the field path.
+const validate = (value, schema, fieldPath, errors) => {
+    if (value === undefined || value === null || value === '') {
+        if (schema.required)
+            errors.push(`${fieldPath} is required.`);
+        else if (schema.default !== undefined)
+            return validate(JSON.parse(JSON.stringify(schema.default)), schema, fieldPath, errors);
+        return value;
+    }
+
+    if (typeOf(value) !== schema.type) {
+        errors.push(`${fieldPath} should be of type ${schema.type}.`);
+        return value;
+    }
+
+    if (schema.values && !schema.values.includes(value)) {
+        errors.push(`${fieldPath} should be one of ${schema.values.join(', ')}.`);
+    }
+    else if (schema.type === 'number') {
+        if (schema.integer && !Number.isInteger(value))
+            errors.push(`${fieldPath} should be an integer.`);
+        if (schema.min !== undefined && value < schema.min)
+            errors.push(`${fieldPath} should be greater than or equal to ${schema.min}.`);
+        if (schema.max !== undefined && value > schema.max)
+            errors.push(`${fieldPath} should be less than or equal to ${schema.max}.`);
+    }
+    else if (schema.type === 'array' && schema.items) {
+        return value.map((item, i) => validate(item, schema.items, `${fieldPath}[${i}]`, errors));
+    }
+    else if (schema.type === 'object' && schema.entries) {
+        for (const [key, entryValue] of Object.entries(value))
+            validate(entryValue, schema.entries, `${fieldPath}.${key}`, errors);
+    }
+    else if (schema.type === 'object' && schema.fields) {
+        const res = { ...value };
+        for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+            const fieldValue = validate(value[key], fieldSchema, fieldPath ? `${fieldPath}.${key}` : key, errors);
+            if (fieldValue !== undefined)
+                res[key] = fieldValue;
+        }
+        return res;
+    }
+
+    return value;
+}
+
+// Returns the config with defaults filled in. Throws the list of errors if the config is invalid.
+const validateConfig = (cfg) => {
+    const errors = [];
+    const res = validate(cfg, ConfigSchema, '', errors);
+    if (errors.length)
+        throw `Invalid config. ${errors.join(' ')}`;
+    return res;
+}
+
+const readConfig = (configPath) => {
+    let cfg;
+    try {
+        cfg = JSON.parse(fs.readFileSync(configPath).toString());
+    }
+    catch (e) {
+        throw `Invalid config. Could not parse ${configPath}: ${e.message}`;
+    }
+    return validateConfig(cfg);
+}
+
+/**
+ * Watches the config file and emits 'change' with the validated config when the file is modified or SIGHUP is received.
+ * Emits 'error' if the changed config is invalid.
+ */
+class ConfigWatcher extends EventEmitter {
+    #configPath = null;
+    #watcher = null;
+    #timer = null;
+    #onSighup = null;
+
+    constructor(configPath) {
+        super();
+        this.#configPath = configPath;
+    }
+
+    start() {
+        // Directory is watched since editors replace the file instead of modifying it.
+        const fileName = path.basename(this.#configPath);
+        this.#watcher = fs.watch(path.dirname(this.#configPath), (e, changedFile) => {
+            if (changedFile === fileName)
+                this.#scheduleReload();
+        });
+        // Watcher alone should not keep the process alive.
+        this.#watcher.unref();
+
+        this.#onSighup = () => this.reload();
+        process.on('SIGHUP', this.#onSighup);
+    }
+
+    stop() {
+        clearTimeout(this.#timer);
+        if (this.#watcher)
+            this.#watcher.close();
+        if (this.#onSighup)
+            process.off('SIGHUP', this.#onSighup);
+        this.#watcher = null;
+        this.#onSighup = null;
+    }
+
+    reload() {
+        try {
+            this.emit('change', readConfig(this.#configPath));
+        }
+        catch (e) {
+            this.emit('error', e);
+        }
+    }
+
+    #scheduleReload() {
+        // Multiple events are fired for a single save, So the reload is debounced.
+        clearTimeout(this.#timer);
+        this.#timer = setTimeout(() => this.reload(), RELOAD_DEBOUNCE);
+    }
+}
+
+module.exports = {
+    ConfigSchema,
+    ConfigWatcher,
+    validateConfig,
+    readConfig
+}
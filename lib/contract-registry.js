@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_VERSION = 'default';
+const DEFAULT_WEIGHT = 1;
+
+const RotationPolicies = {
+    ROUND_ROBIN: 'roundRobin',
+    RANDOM: 'random',
+    WEIGHTED: 'weighted'
+}
+
+// HotPocket version is taken from the 'hp.<version>' part of the image tag (Eg: evernodedev/sashimono:hp.0.6.3-ubt.20.04).
+const getImageHpVersion = (image) => {
+    const match = /hp\.(\d+\.\d+\.\d+)/.exec(image || '');
+    return match ? match[1] : null;
+}
+
+const parseVersion = (version) => version.split('.').map(p => (p === 'x' || p === '*') ? null : parseInt(p));
+
+const compareVersions = (a, b) => {
+    for (let i = 0; i < 3; i++) {
+        const diff = (a[i] || 0) - (b[i] || 0);
+        if (diff !== 0)
+            return diff;
+    }
+    return 0;
+}
+
+/**
+ * Checks the version against a range of space separated comparators (Eg: ">=0.6.0 <0.7.0").
+ * Comparators without an operator match the given parts of the version (Eg: "0.6" and "0.6.x" match 0.6.3).
+ */
+const satisfiesVersion = (version, range) => {
+    const v = parseVersion(version);
+    return range.trim().split(/\s+/).every(comparator => {
+        const match = /^(>=|<=|>|<|=)?v?(\d+|x|\*)(\.(\d+|x|\*))?(\.(\d+|x|\*))?$/.exec(comparator);
+        if (!match)
+            throw `Invalid version range ${range}.`;
+        const r = parseVersion(comparator.substring((match[1] || '').length).replace(/^v/, ''));
+        switch (match[1]) {
+            case '>=': return compareVersions(v, r) >= 0;
+            case '<=': return compareVersions(v, r) <= 0;
+            case '>': return compareVersions(v, r) > 0;
+            case '<': return compareVersions(v, r) < 0;
+            default: return r.every((part, i) => part === null || part === v[i]);
+        }
+    });
+}
+
+/**
+ * Registry of the audit contract and client pairs which the audits are rotated among.
+ * Registry file is { contracts: [{ version, contract, client, image, hpVersion, weight, enabled }] }. Contract and client paths are
+ * relative to the registry file. Entries without an image use the configured instance image. If the registry file does not exist,
+ * the default contract and client are the only entry.
+ */
+class ContractRegistry {
+    #filePath = null;
+    #defaultContract = null;
+    #contracts = [];
+    #policy = RotationPolicies.ROUND_ROBIN;
+    #next = 0;
+
+    // defaultContract is { contractPath, clientPath } which is used when there's no registry file.
+    constructor(filePath, defaultContract) {
+        this.#filePath = filePath;
+        this.#defaultContract = defaultContract;
+    }
+
+    get contracts() {
+        return this.#contracts;
+    }
+
+    get policy() {
+        return this.#policy;
+    }
+
+    // Reads the registry and loads the audit clients. Throws if an entry is invalid, So a broken registry is never half applied.
+    load(defaultImage, policy = RotationPolicies.ROUND_ROBIN) {
+        if (!Object.values(RotationPolicies).includes(policy))
+            throw `Invalid rotation policy ${policy}.`;
+
+        let entries;
+        let baseDir = null;
+        if (this.#filePath && fs.existsSync(this.#filePath)) {
+            try {
+                entries = JSON.parse(fs.readFileSync(this.#filePath).toString()).contracts;
+            }
+            catch (e) {
+                throw `Invalid contract registry. Could not parse ${this.#filePath}: ${e.message}`;
+            }
+            if (!Array.isArray(entries))
+                throw `Invalid contract registry. ${this.#filePath} should have a contracts list.`;
+            baseDir = path.dirname(this.#filePath);
+        }
+        else {
+            entries = [{ version: DEFAULT_VERSION, contract: this.#defaultContract.contractPath, client: this.#defaultContract.clientPath }];
+        }
+
+        const contracts = [];
+        for (const entry of entries.filter(e => e && e.enabled !== false)) {
+            const contract = this.#loadEntry(entry, baseDir, defaultImage);
+            if (contracts.some(c => c.version === contract.version))
+                throw `Invalid contract registry. Version ${contract.version} is listed more than once.`;
+            contracts.push(contract);
+        }
+        if (!contracts.length)
+            throw `Invalid contract registry. ${this.#filePath} has no enabled contracts.`;
+
+        this.#contracts = contracts;
+        this.#policy = policy;
+    }
+
+    #loadEntry(entry, baseDir, defaultImage) {
+        if (typeof entry.version !== 'string' || !entry.version)
+            throw 'Invalid contract registry. Each contract should have a version.';
+        const prefix = `Invalid contract registry. Contract ${entry.version}`;
+        if (typeof entry.contract !== 'string' || typeof entry.client !== 'string')
+            throw `${prefix} should have the contract and client paths.`;
+        if (entry.weight !== undefined && !(typeof entry.weight === 'number' && entry.weight >= 0))
+            throw `${prefix} weight should be a number greater than or equal to 0.`;
+
+        const contractPath = baseDir ? path.resolve(baseDir, entry.contract) : entry.contract;
+        const clientPath = baseDir ? path.resolve(baseDir, entry.client) : entry.client;
+        for (const p of [contractPath, clientPath]) {
+            if (!fs.existsSync(p))
+                throw `${p} does not exist.`;
+        }
+
+        // Image should run a HotPocket version which the contract is compatible with.
+        const image = entry.image || defaultImage;
+        if (entry.hpVersion) {
+            const hpVersion = getImageHpVersion(image);
+            if (!hpVersion)
+                throw `${prefix} needs HotPocket ${entry.hpVersion}, But the HotPocket version of the image ${image} is unknown.`;
+            if (!satisfiesVersion(hpVersion, entry.hpVersion))
+                throw `${prefix} needs HotPocket ${entry.hpVersion}, But the image ${image} has HotPocket ${hpVersion}.`;
+        }
+
+        const { audit } = require(path.resolve(clientPath));
+        if (typeof audit !== 'function')
+            throw `${clientPath} does not export an audit function.`;
+
+        return {
+            version: entry.version,
+            contractPath: contractPath,
+            clientPath: clientPath,
+            image: image,
+            hpVersion: entry.hpVersion || null,
+            weight: entry.weight !== undefined ? entry.weight : DEFAULT_WEIGHT,
+            audit: audit
+        };
+    }
+
+    // Selects the contract for an audit according to the rotation policy.
+    select() {
+        const contracts = this.#contracts;
+        if (!contracts.length)
+            throw 'Contract registry is not loaded.';
+
+        if (this.#policy === RotationPolicies.RANDOM)
+            return contracts[Math.floor(Math.random() * contracts.length)];
+
+        if (this.#policy === RotationPolicies.WEIGHTED) {
+            const total = contracts.reduce((t, c) => t + c.weight, 0);
+            // All zero weights falls back to the random selection.
+            if (total <= 0)
+                return contracts[Math.floor(Math.random() * contracts.length)];
+            let r = Math.random() * total;
+            for (const contract of contracts) {
+                r -= contract.weight;
+                if (r < 0)
+                    return contract;
+            }
+            return contracts[contracts.length - 1];
+        }
+
+        const contract = contracts[this.#next % contracts.length];
+        this.#next = (this.#next + 1) % contracts.length;
+        return contract;
+    }
+
+    // Returns the contract of the given version, null if it's not in the registry anymore.
+    get(version) {
+        return this.#contracts.find(c => c.version === version) || null;
+    }
+}
+
+module.exports = {
+    ContractRegistry,
+    RotationPolicies,
+    satisfiesVersion,
+    getImageHpVersion
+}
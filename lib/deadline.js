@@ -0,0 +1,68 @@
+const { EventEmitter } = require('events');
+
+/**
+ * AbortSignal like deadline which gets aborted when the given end ledger is reached.
+ * Long running audit steps listen to it and cancel their work when it's aborted.
+ */
+class Deadline {
+    #events = new EventEmitter();
+    #aborted = false;
+    #reason = null;
+
+    constructor(endLedgerIdx = null, expiryReason = 'Deadline reached.') {
+        this.endLedgerIdx = endLedgerIdx;
+        this.expiryReason = expiryReason;
+    }
+
+    get aborted() {
+        return this.#aborted;
+    }
+
+    get reason() {
+        return this.#reason;
+    }
+
+    // Aborts the deadline if the given ledger has reached the end ledger.
+    checkLedger(ledgerIdx) {
+        if (this.endLedgerIdx !== null && ledgerIdx >= this.endLedgerIdx)
+            this.abort(this.expiryReason);
+    }
+
+    abort(reason = 'Aborted.') {
+        if (this.#aborted)
+            return;
+
+        this.#aborted = true;
+        this.#reason = reason;
+        this.#events.emit('abort', reason);
+        this.#events.removeAllListeners();
+    }
+
+    // Registers a listener which is called once on abort. Returns a function to remove the listener.
+    onAbort(listener) {
+        if (this.#aborted) {
+            listener(this.#reason);
+            return () => { };
+        }
+
+        this.#events.once('abort', listener);
+        return () => this.#events.off('abort', listener);
+    }
+
+    throwIfAborted() {
+        if (this.#aborted)
+            throw this.#reason;
+    }
+
+    // Resolves with the given promise or rejects with the abort reason, whichever comes first.
+    race(promise) {
+        return new Promise((resolve, reject) => {
+            const off = this.onAbort(reject);
+            Promise.resolve(promise).then(resolve, reject).finally(off);
+        });
+    }
+}
+
+module.exports = {
+    Deadline
+}
@@ -0,0 +1,225 @@
+const { AuditVerdicts } = require('./audit-store');
+
+const DEFAULT_OPTIONS = {
+    windows: [10, 50],
+    trendWindow: 10,
+    baselineWindow: 50,
+    minAudits: 5,
+    passRateChange: 0.5,
+    maxConsecutiveFailures: 3,
+    latencyIncrease: 2
+}
+
+const ReputationFlags = {
+    PASS_RATE_CHANGE: 'passRateChange',
+    CONSECUTIVE_FAILURES: 'consecutiveFailures',
+    LATENCY_INCREASE: 'latencyIncrease'
+}
+
+// Pass rate columns of the windows (Eg: passRateLast10) follow the passRate column.
+const CSV_COLUMNS = ['address', 'tokens', 'audits', 'errors', 'passRate', 'passRateTrend', 'consecutiveFailures', 'commonFailingStage', 'medianRedeemLedgers', 'lastAuditOn', 'lastVerdict', 'flags'];
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const passRate = (audits) => audits.length ? round(audits.filter(r => r.verdict === AuditVerdicts.SUCCESS).length / audits.length) : null;
+
+const median = (values) => {
+    if (!values.length)
+        return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const medianRedeemLedgers = (audits) => median(audits.filter(r => typeof r.redeemLedgers === 'number').map(r => r.redeemLedgers));
+
+// Most common failed stage of the failed audits, Score failures have the 'score' reason.
+const commonFailingStage = (audits) => {
+    const counts = new Map();
+    for (const r of audits.filter(r => r.verdict === AuditVerdicts.FAIL))
+        counts.set(r.reason, (counts.get(r.reason) || 0) + 1);
+    let res = null;
+    for (const [stage, count] of counts.entries()) {
+        if (!res || count > res.count)
+            res = { stage: stage, count: count };
+    }
+    return res;
+}
+
+// Recent audits are compared against the audits before them, So a sharp change in either direction gets flagged.
+// A host which suddenly passes after failing is as suspicious as one which starts to fail.
+const detectChanges = (audits, options) => {
+    const recent = audits.slice(0, options.trendWindow);
+    const baseline = audits.slice(options.trendWindow, options.trendWindow + options.baselineWindow);
+    const trend = {
+        recentPassRate: passRate(recent),
+        baselinePassRate: passRate(baseline),
+        recentRedeemLedgers: medianRedeemLedgers(recent),
+        baselineRedeemLedgers: medianRedeemLedgers(baseline)
+    };
+
+    const flags = [];
+    if (recent.length >= options.minAudits && baseline.length >= options.minAudits) {
+        const change = trend.recentPassRate - trend.baselinePassRate;
+        if (Math.abs(change) >= options.passRateChange) {
+            flags.push({
+                type: ReputationFlags.PASS_RATE_CHANGE,
+                message: `Pass rate ${change < 0 ? 'dropped' : 'rose'} from ${trend.baselinePassRate} to ${trend.recentPassRate}.`
+            });
+        }
+        if (trend.baselineRedeemLedgers > 0 && trend.recentRedeemLedgers >= trend.baselineRedeemLedgers * options.latencyIncrease) {
+            flags.push({
+                type: ReputationFlags.LATENCY_INCREASE,
+                message: `Median redeem latency rose from ${trend.baselineRedeemLedgers} to ${trend.recentRedeemLedgers} ledgers.`
+            });
+        }
+    }
+    return { trend: trend, flags: flags };
+}
+
+/**
+ * Builds the profile of a host from its audit records (latest first). Only the success and fail verdicts are counted,
+ * Audits which ended with an error are the auditor's problem and they are only counted as errors.
+ */
+const buildProfile = (address, records, options = {}) => {
+    options = { ...DEFAULT_OPTIONS, ...options };
+    const audits = records.filter(r => r.verdict === AuditVerdicts.SUCCESS || r.verdict === AuditVerdicts.FAIL);
+
+    const consecutiveFailures = audits.findIndex(r => r.verdict !== AuditVerdicts.FAIL);
+    const { trend, flags } = detectChanges(audits, options);
+    const profile = {
+        address: address,
+        tokens: [...new Set(records.map(r => r.host.currency))],
+        audits: audits.length,
+        errors: records.filter(r => r.verdict === AuditVerdicts.ERROR).length,
+        passRate: { all: passRate(audits) },
+        consecutiveFailures: consecutiveFailures === -1 ? audits.length : consecutiveFailures,
+        commonFailingStage: commonFailingStage(audits),
+        medianRedeemLedgers: medianRedeemLedgers(audits),
+        lastAudit: audits.length ? { startedOn: audits[0].startedOn, momentStartIdx: audits[0].momentStartIdx, verdict: audits[0].verdict, reason: audits[0].reason } : null,
+        trend: trend,
+        flags: flags
+    };
+    for (const window of options.windows)
+        profile.passRate[`last${window}`] = passRate(audits.slice(0, window));
+
+    if (options.maxConsecutiveFailures && profile.consecutiveFailures >= options.maxConsecutiveFailures) {
+        flags.push({
+            type: ReputationFlags.CONSECUTIVE_FAILURES,
+            message: `Failed the last ${profile.consecutiveFailures} audits.`
+        });
+    }
+    return profile;
+}
+
+const csvValue = (value) => {
+    const text = (value === null || value === undefined) ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Change of the recent pass rate from the baseline, Empty if either window has no audits.
+const passRateTrend = (trend) => (trend.recentPassRate === null || trend.baselinePassRate === null) ? null : round(trend.recentPassRate - trend.baselinePassRate);
+
+// Renders the profiles as csv, Lists are joined with ';'. windows are the pass rate windows the profiles were built with.
+const toCsv = (profiles, windows = DEFAULT_OPTIONS.windows) => {
+    const columns = [...CSV_COLUMNS];
+    columns.splice(columns.indexOf('passRate') + 1, 0, ...windows.map(w => `passRateLast${w}`));
+    const lines = [columns.join(',')];
+    for (const p of profiles) {
+        lines.push([
+            p.address,
+            p.tokens.join(';'),
+            p.audits,
+            p.errors,
+            p.passRate.all,
+            ...windows.map(w => p.passRate[`last${w}`]),
+            passRateTrend(p.trend),
+            p.consecutiveFailures,
+            p.commonFailingStage ? p.commonFailingStage.stage : null,
+            p.medianRedeemLedgers,
+            p.lastAudit ? new Date(p.lastAudit.startedOn).toISOString() : null,
+            p.lastAudit ? p.lastAudit.verdict : null,
+            p.flags.map(f => f.type).join(';')
+        ].map(csvValue).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Keeps the reputation profiles of the audited hosts. Profiles are derived from the audit store, So they survive the restarts.
+ * Flags which were raised by the latest audit of a host are reported, So a changed behaviour is noticed once.
+ * On demand and dry run audits are left out, Only the assigned audits which are submitted count.
+ */
+class HostReputation {
+    #auditStore = null;
+    #options = DEFAULT_OPTIONS;
+    #flags = new Map();
+
+    constructor(auditStore, options = {}) {
+        this.#auditStore = auditStore;
+        this.setOptions(options);
+    }
+
+    setOptions(options = {}) {
+        this.#options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    // Pass rate windows of the profiles.
+    get windows() {
+        return this.#options.windows;
+    }
+
+    // Hosts flagged at the moment.
+    get flaggedHosts() {
+        return [...this.#flags.entries()].filter(([, flags]) => flags.length).map(([address]) => address);
+    }
+
+    // Takes the flags of all the hosts from the audit store without reporting them.
+    init() {
+        this.#flags.clear();
+        for (const profile of this.getProfiles())
+            this.#flags.set(profile.address, profile.flags.map(f => f.type));
+    }
+
+    #getRecords(filter = {}) {
+        return this.#auditStore.getRecords(filter).filter(r => !r.manual && !r.dryRun);
+    }
+
+    getProfile(address) {
+        const records = this.#getRecords({ address: address });
+        return records.length ? buildProfile(address, records, this.#options) : null;
+    }
+
+    // Profiles of all the audited hosts, Most recently audited first. filter.flagged returns only the flagged hosts.
+    getProfiles(filter = {}) {
+        const byHost = new Map();
+        for (const record of this.#getRecords()) {
+            if (!byHost.has(record.host.address))
+                byHost.set(record.host.address, []);
+            byHost.get(record.host.address).push(record);
+        }
+        const profiles = [...byHost.entries()].map(([address, records]) => buildProfile(address, records, this.#options));
+        return filter.flagged ? profiles.filter(p => p.flags.length) : profiles;
+    }
+
+    /**
+     * Rebuilds the profile of the host after an audit.
+     * @returns {object} { profile, newFlags } newFlags are the flags which the host didn't have before the audit.
+     */
+    update(address) {
+        const profile = this.getProfile(address);
+        if (!profile)
+            return { profile: null, newFlags: [] };
+
+        const previous = this.#flags.get(address) || [];
+        this.#flags.set(address, profile.flags.map(f => f.type));
+        return { profile: profile, newFlags: profile.flags.filter(f => !previous.includes(f.type)) };
+    }
+}
+
+module.exports = {
+    HostReputation,
+    ReputationFlags,
+    buildProfile,
+    toCsv
+}
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const path = require('path');
+const process = require('process');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { readConfig } = require('./config');
+const { SecretEnv, Credentials, encryptSecret, decryptSecret, readKeystore, writeKeystore, readSecretFile, readPassphrase, resolveKeystorePath } = require('./keystore');
+
+const DEFAULT_KEYSTORE_NAME = 'auditor.keystore';
+const NEW_PASSPHRASE_ENV = 'AUDITOR_KEYSTORE_NEW_PASSPHRASE';
+
+// Reads a line from the terminal without echoing it.
+const promptHidden = (question) => {
+    return new Promise((resolve, reject) => {
+        if (!process.stdin.isTTY)
+            return reject(`Cannot prompt for '${question.trim()}' without a terminal. Use the environment variables instead.`);
+
+        const muted = new Writable({ write: (chunk, encoding, callback) => callback() });
+        const rl = readline.createInterface({ input: process.stdin, output: muted, terminal: true });
+        process.stderr.write(question);
+        rl.question('', (answer) => {
+            rl.close();
+            process.stderr.write('\n');
+            resolve(answer);
+        });
+    });
+}
+
+const promptNewPassphrase = async () => {
+    if (process.env[NEW_PASSPHRASE_ENV])
+        return process.env[NEW_PASSPHRASE_ENV];
+
+    const passphrase = await promptHidden('New keystore passphrase: ');
+    if (passphrase !== await promptHidden('Confirm the passphrase: '))
+        throw 'Passphrases do not match.';
+    return passphrase;
+}
+
+// Passphrase is never saved next to the keystore, It would make the encryption pointless.
+const PASSPHRASE_HINT = `Give the passphrase to the service as an encrypted credential ('systemd-creds encrypt --name=${Credentials.PASSPHRASE} - <file>'`
+    + ` with 'LoadCredentialEncrypted=${Credentials.PASSPHRASE}:<file>'), Or with ${SecretEnv.PASSPHRASE} or ${SecretEnv.PASSPHRASE_FILE}.`;
+
+/**
+ * Prompts for the keystore passphrase if the keystore is configured and the passphrase is not given otherwise,
+ * So the cli commands which need the xrpl secret can be run from a terminal.
+ */
+const promptPassphraseIfNeeded = async (cfg) => {
+    if (!cfg.xrpl.keystore || readPassphrase() || !process.stdin.isTTY)
+        return;
+    process.env[SecretEnv.PASSPHRASE] = await promptHidden('Keystore passphrase: ');
+}
+
+// Config is replaced atomically, File permissions of the existing config are kept.
+const writeConfig = (configPath, cfg) => {
+    const tmpPath = configPath + '.tmp';
+    fs.writeFileSync(tmpPath, JSON.stringify(cfg, null, 2), { mode: fs.statSync(configPath).mode & 0o777 });
+    fs.renameSync(tmpPath, configPath);
+}
+
+/**
+ * Encrypts the xrpl secret into a keystore and points the config to it. The plain text secret is removed from the config
+ * and the secret file is deleted. Secret is taken from AUDITOR_XRPL_SECRET, AUDITOR_XRPL_SECRET_FILE, the existing config or the prompt.
+ */
+const createKeystore = async (configPath, dataDir) => {
+    // Raw config is updated, So the defaults filled by the validation are not written back.
+    readConfig(configPath);
+    const cfg = JSON.parse(fs.readFileSync(configPath).toString());
+    const keystorePath = cfg.xrpl.keystore ? resolveKeystorePath(cfg.xrpl.keystore, configPath) : path.join(dataDir, DEFAULT_KEYSTORE_NAME);
+    if (fs.existsSync(keystorePath))
+        throw `Keystore ${keystorePath} already exists. Use 'keystore rotate' to change it.`;
+
+    const secretFile = process.env[SecretEnv.SECRET] ? null : process.env[SecretEnv.SECRET_FILE];
+    const secret = process.env[SecretEnv.SECRET] || (secretFile && readSecretFile(secretFile)) || cfg.xrpl.secret || await promptHidden('Xrpl secret: ');
+    const given = readPassphrase();
+    const passphrase = given ? given.value : await promptNewPassphrase();
+
+    writeKeystore(keystorePath, await encryptSecret(secret, passphrase, cfg.xrpl.address));
+
+    cfg.xrpl.keystore = keystorePath;
+    delete cfg.xrpl.secret;
+    writeConfig(configPath, cfg);
+
+    // Secret file would take over the keystore otherwise.
+    if (secretFile) {
+        fs.rmSync(secretFile, { force: true });
+        console.log(`Removed the plain text secret file ${secretFile}.`);
+    }
+
+    console.log(`Keystore created at ${keystorePath}. ${PASSPHRASE_HINT}`);
+}
+
+/**
+ * Re-encrypts the keystore with a new passphrase (AUDITOR_KEYSTORE_NEW_PASSPHRASE or the prompt).
+ * With --secret the stored secret is replaced as well (Eg: after the xrpl account key is changed).
+ */
+const rotateKeystore = async (configPath, replaceSecret) => {
+    const cfg = readConfig(configPath);
+    if (!cfg.xrpl.keystore)
+        throw `xrpl.keystore is not configured in ${configPath}. Use 'keystore create' first.`;
+
+    const keystorePath = resolveKeystorePath(cfg.xrpl.keystore, configPath);
+    const current = readPassphrase();
+    const currentPassphrase = current ? current.value : await promptHidden('Current keystore passphrase: ');
+    let secret = await decryptSecret(readKeystore(keystorePath), currentPassphrase);
+
+    if (replaceSecret)
+        secret = process.env[SecretEnv.SECRET] || await promptHidden('New xrpl secret: ');
+    const passphrase = await promptNewPassphrase();
+
+    writeKeystore(keystorePath, await encryptSecret(secret, passphrase, cfg.xrpl.address));
+    console.log(`Keystore ${keystorePath} rotated. Update the passphrase given to the auditor before restarting it. ${PASSPHRASE_HINT}`);
+}
+
+const runKeystoreCommand = async (args, configPath, dataDir) => {
+    const [command, ...options] = args;
+    if (command === 'create')
+        await createKeystore(configPath, dataDir);
+    else if (command === 'rotate')
+        await rotateKeystore(configPath, options.includes('--secret'));
+    else
+        throw 'Usage: keystore <create|rotate [--secret]>';
+}
+
+module.exports = {
+    runKeystoreCommand,
+    promptPassphraseIfNeeded
+}
@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const process = require('process');
+const { Buffer } = require('buffer');
+
+const KEYSTORE_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const SALT_LENGTH = 32;
+const DEFAULT_SCRYPT_PARAMS = { n: 32768, r: 8, p: 1 };
+
+// Environment variables and systemd credential names the secret can be taken from.
+const SecretEnv = {
+    SECRET: 'AUDITOR_XRPL_SECRET',
+    SECRET_FILE: 'AUDITOR_XRPL_SECRET_FILE',
+    PASSPHRASE: 'AUDITOR_KEYSTORE_PASSPHRASE',
+    PASSPHRASE_FILE: 'AUDITOR_KEYSTORE_PASSPHRASE_FILE',
+    CREDENTIALS_DIRECTORY: 'CREDENTIALS_DIRECTORY'
+}
+
+const Credentials = {
+    SECRET: 'xrpl-secret',
+    PASSPHRASE: 'keystore-passphrase'
+}
+
+const deriveKey = (passphrase, salt, params) => {
+    return new Promise((resolve, reject) => {
+        // maxmem should be larger than 128 * n * r.
+        crypto.scrypt(passphrase, salt, KEY_LENGTH, { N: params.n, r: params.r, p: params.p, maxmem: 256 * params.n * params.r }, (err, key) => {
+            if (err)
+                reject(`Keystore key derivation failed. ${err.message}`);
+            else
+                resolve(key);
+        });
+    });
+}
+
+// Encrypts the secret with a key derived from the passphrase. Returns the keystore object.
+const encryptSecret = async (secret, passphrase, address = null, scryptParams = DEFAULT_SCRYPT_PARAMS) => {
+    if (!secret)
+        throw 'Secret cannot be empty.';
+    if (!passphrase)
+        throw 'Passphrase cannot be empty.';
+
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const key = await deriveKey(passphrase, salt, scryptParams);
+
+    const cipher = crypto.createCipheriv(CIPHER, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return {
+        version: KEYSTORE_VERSION,
+        address: address,
+        crypto: {
+            cipher: CIPHER,
+            ciphertext: ciphertext.toString('hex'),
+            iv: iv.toString('hex'),
+            tag: cipher.getAuthTag().toString('hex'),
+            kdf: 'scrypt',
+            kdfParams: { ...scryptParams, salt: salt.toString('hex') }
+        }
+    };
+}
+
+// Returns the secret in the keystore. Throws if the passphrase is wrong or the keystore is tampered.
+const decryptSecret = async (keystore, passphrase) => {
+    if (!keystore || keystore.version !== KEYSTORE_VERSION || !keystore.crypto)
+        throw 'Unsupported keystore format.';
+
+    const c = keystore.crypto;
+    if (c.cipher !== CIPHER || c.kdf !== 'scrypt')
+        throw `Unsupported keystore cipher ${c.cipher} with kdf ${c.kdf}.`;
+
+    const key = await deriveKey(passphrase, Buffer.from(c.kdfParams.salt, 'hex'), c.kdfParams);
+    try {
+        const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(c.iv, 'hex'));
+        decipher.setAuthTag(Buffer.from(c.tag, 'hex'));
+        return Buffer.concat([decipher.update(Buffer.from(c.ciphertext, 'hex')), decipher.final()]).toString('utf8');
+    }
+    catch (e) {
+        throw 'Keystore decryption failed. Passphrase is incorrect or the keystore is corrupted.';
+    }
+}
+
+const readKeystore = (keystorePath) => {
+    try {
+        return JSON.parse(fs.readFileSync(keystorePath).toString());
+    }
+    catch (e) {
+        throw `Could not read the keystore ${keystorePath}: ${e.message}`;
+    }
+}
+
+// Keystore is written to a temp file first, So an interrupted write won't destroy the existing keystore.
+const writeKeystore = (keystorePath, keystore) => {
+    const tmpPath = keystorePath + '.tmp';
+    fs.writeFileSync(tmpPath, JSON.stringify(keystore, null, 2), { mode: 0o600 });
+    fs.renameSync(tmpPath, keystorePath);
+}
+
+// Reads a secret file (Eg: /run/credentials/..., /dev/fd/3), Trailing new lines are ignored.
+const readSecretFile = (filePath) => {
+    try {
+        return fs.readFileSync(filePath).toString().replace(/[\r\n]+$/, '');
+    }
+    catch (e) {
+        throw `Could not read the secret file ${filePath}: ${e.message}`;
+    }
+}
+
+// Returns the value from the env variable, the file given with the env variable or the systemd credential.
+const readFromEnv = (env, varName, fileVarName, credentialName) => {
+    if (env[varName])
+        return { value: env[varName], source: `${varName} environment variable` };
+    if (env[fileVarName])
+        return { value: readSecretFile(env[fileVarName]), source: env[fileVarName] };
+
+    const credDir = env[SecretEnv.CREDENTIALS_DIRECTORY];
+    if (credDir && fs.existsSync(path.join(credDir, credentialName)))
+        return { value: readSecretFile(path.join(credDir, credentialName)), source: `${credentialName} credential` };
+
+    return null;
+}
+
+// Returns the keystore passphrase from the environment variable, the passphrase file or the systemd credential.
+const readPassphrase = (env = process.env) => {
+    const passphrase = readFromEnv(env, SecretEnv.PASSPHRASE, SecretEnv.PASSPHRASE_FILE, Credentials.PASSPHRASE);
+    return (passphrase && passphrase.value) ? passphrase : null;
+}
+
+const resolveKeystorePath = (keystorePath, configPath) => path.resolve(path.dirname(configPath), keystorePath);
+
+// Returns the plain text secret source which is given besides the keystore. A secret file which does not exist is not counted,
+// Since 'keystore create' removes the secret file given by the installer.
+const findPlainSecretSource = (cfg, configPath, env) => {
+    if (env[SecretEnv.SECRET])
+        return `${SecretEnv.SECRET} environment variable`;
+    if (env[SecretEnv.SECRET_FILE] && fs.existsSync(env[SecretEnv.SECRET_FILE]))
+        return env[SecretEnv.SECRET_FILE];
+
+    const credDir = env[SecretEnv.CREDENTIALS_DIRECTORY];
+    if (credDir && fs.existsSync(path.join(credDir, Credentials.SECRET)))
+        return `${Credentials.SECRET} credential`;
+
+    return cfg.xrpl.secret ? `xrpl.secret in ${configPath}` : null;
+}
+
+/**
+ * Resolves the xrpl secret. If xrpl.keystore is configured, The secret is taken from the keystore and no plain text secret should be given.
+ * Otherwise the sources are checked in the order of the environment variable, secret file, systemd credential
+ * and finally the plain text xrpl.secret in the config.
+ * @returns The secret and a description of the source it was taken from.
+ */
+const resolveSecret = async (cfg, configPath, env = process.env) => {
+    if (cfg.xrpl.keystore) {
+        const keystorePath = resolveKeystorePath(cfg.xrpl.keystore, configPath);
+        // Plain text secret would make the keystore pointless, So the auditor does not start with both.
+        const plainSource = findPlainSecretSource(cfg, configPath, env);
+        if (plainSource)
+            throw `Xrpl secret is given with ${plainSource} as well as the keystore ${keystorePath}. Remove the plain text secret.`;
+
+        const passphrase = readPassphrase(env);
+        if (!passphrase)
+            throw `Keystore passphrase is not given. Set ${SecretEnv.PASSPHRASE}, ${SecretEnv.PASSPHRASE_FILE} or the ${Credentials.PASSPHRASE} credential.`;
+
+        const keystore = readKeystore(keystorePath);
+        if (keystore.address && keystore.address !== cfg.xrpl.address)
+            throw `Keystore ${keystorePath} belongs to ${keystore.address}, Not to ${cfg.xrpl.address}.`;
+
+        return { value: await decryptSecret(keystore, passphrase.value), source: keystorePath };
+    }
+
+    const fromEnv = readFromEnv(env, SecretEnv.SECRET, SecretEnv.SECRET_FILE, Credentials.SECRET);
+    if (fromEnv)
+        return fromEnv;
+
+    if (cfg.xrpl.secret)
+        return { value: cfg.xrpl.secret, source: configPath };
+
+    throw `Xrpl secret is not given. Configure xrpl.keystore or set ${SecretEnv.SECRET}, ${SecretEnv.SECRET_FILE} or the ${Credentials.SECRET} credential.`;
+}
+
+// Returns true if the config file can be read by the users other than the owner.
+const isConfigExposed = (configPath) => {
+    return (fs.statSync(configPath).mode & 0o077) !== 0;
+}
+
+module.exports = {
+    SecretEnv,
+    Credentials,
+    encryptSecret,
+    decryptSecret,
+    readKeystore,
+    writeKeystore,
+    readSecretFile,
+    readPassphrase,
+    resolveKeystorePath,
+    resolveSecret,
+    isConfigExposed
+}
@@ -1,40 +1,267 @@
 const fs = require('fs');
 const path = require('path');
 const util = require('util');
+const process = require('process');
+const { Buffer } = require('buffer');
 
-const formatText = (text, logType = 'dbg') => {
-    const date = new Date().toISOString().
+const LogLevels = {
+    trace: 10,
+    debug: 20,
+    info: 30,
+    warn: 40,
+    error: 50
+}
+
+const LEVEL_TAGS = {
+    trace: 'trc',
+    debug: 'dbg',
+    info: 'inf',
+    warn: 'wrn',
+    error: 'err'
+}
+
+const RotateIntervals = {
+    HOURLY: 'hourly',
+    DAILY: 'daily'
+}
+
+const DEFAULT_MAX_SIZE = 10 * 1024 * 1024; // 10 MB.
+const DEFAULT_MAX_FILES = 5;
+const CONSOLE_COMPONENT = 'console';
+
+// Log settings shared by all the loggers.
+const settings = {
+    level: LogLevels.info,
+    components: {},
+    json: false,
+    file: null,
+    // Lines are written to the console methods until init() redirects the console.
+    initialized: false
+}
+
+/**
+ * Log file which is rotated when it exceeds the max size or when the rotate interval changes.
+ * Rotated files are kept as <file>.1 (latest) to <file>.<maxFiles>.
+ */
+class RotatingFile {
+    #filePath = null;
+    #maxSize = null;
+    #maxFiles = null;
+    #interval = null;
+    #fd = null;
+    #size = 0;
+    #period = null;
+
+    constructor(filePath, options = {}) {
+        this.#filePath = filePath;
+        this.#maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+        this.#maxFiles = options.maxFiles || DEFAULT_MAX_FILES;
+        this.#interval = options.rotateInterval || null;
+
+        const dirname = path.dirname(filePath);
+        if (!fs.existsSync(dirname))
+            fs.mkdirSync(dirname, { recursive: true });
+
+        // Existing file belongs to the period it was last written.
+        if (fs.existsSync(filePath))
+            this.#period = this.#getPeriod(fs.statSync(filePath).mtime);
+        this.#open();
+    }
+
+    write(text) {
+        const period = this.#getPeriod(new Date());
+        if (this.#size > 0 && (this.#size + Buffer.byteLength(text) > this.#maxSize || period !== this.#period))
+            this.#rotate();
+
+        this.#period = period;
+        fs.writeSync(this.#fd, text);
+        this.#size += Buffer.byteLength(text);
+    }
+
+    close() {
+        if (this.#fd !== null)
+            fs.closeSync(this.#fd);
+        this.#fd = null;
+    }
+
+    #open() {
+        this.#fd = fs.openSync(this.#filePath, 'a');
+        this.#size = fs.fstatSync(this.#fd).size;
+    }
+
+    #rotate() {
+        this.close();
+
+        // Shift the rotated files by one, The oldest one is dropped.
+        for (let i = this.#maxFiles; i >= 1; i--) {
+            const src = i === 1 ? this.#filePath : `${this.#filePath}.${i - 1}`;
+            if (!fs.existsSync(src))
+                continue;
+            if (i === this.#maxFiles && fs.existsSync(`${this.#filePath}.${i}`))
+                fs.rmSync(`${this.#filePath}.${i}`);
+            fs.renameSync(src, `${this.#filePath}.${i}`);
+        }
+
+        this.#open();
+    }
+
+    #getPeriod(date) {
+        if (this.#interval === RotateIntervals.HOURLY)
+            return date.toISOString().substring(0, 13);
+        if (this.#interval === RotateIntervals.DAILY)
+            return date.toISOString().substring(0, 10);
+        return null;
+    }
+}
+
+const formatDate = (date) => {
+    return date.toISOString().
         replace(/T/, ' ').       // Replace T with a space.
         replace(/\..+/, '').     // Delete the dot and everything after.
         replace(/-/g, '');     // Delete the dashes.
+}
+
+const formatLine = (level, component, context, args) => {
+    const date = new Date();
+    const message = util.format(...args);
+
+    if (settings.json)
+        return JSON.stringify({ time: date.toISOString(), level: level, component: component, ...context, msg: message }) + '\n';
 
-    return `${date} [${logType}] ${text}\n`;
+    const contextText = Object.entries(context).map(([key, value]) => `${key}=${value}`).join(' ');
+    return `${formatDate(date)} [${LEVEL_TAGS[level]}] [${component}]${contextText ? ` [${contextText}]` : ''} ${message}\n`;
 }
 
-exports.init = (logPath, fileLogEnabled) => {
+const write = (level, text) => {
+    if (!settings.initialized) {
+        (LogLevels[level] >= LogLevels.warn ? console.error : console.log)(text.trimEnd());
+        return;
+    }
 
-    let flog = null;
+    (LogLevels[level] >= LogLevels.warn ? process.stderr : process.stdout).write(text);
+    if (settings.file)
+        settings.file.write(text);
+}
 
-    if (fileLogEnabled) {
-        const dirname = path.dirname(logPath);
-        if (!fs.existsSync(dirname))
-            fs.mkdirSync(dirname, { recursive: true });
+/**
+ * Logger of a component with a correlation context (Eg: moment, host, token and stage of an audit).
+ * Context values are attached to every line. Loggers created with forComponent() share the context,
+ * So context changes (Eg: the current stage) are reflected in all of them.
+ */
+class Logger {
+    #component = null;
+    #context = null;
+
+    constructor(component, context = {}) {
+        this.#component = component;
+        this.#context = context;
+    }
+
+    get component() {
+        return this.#component;
+    }
+
+    get context() {
+        return { ...this.#context };
+    }
+
+    // Creates a logger of the same component with additional context.
+    child(context) {
+        return new Logger(this.#component, { ...this.#context, ...context });
+    }
+
+    // Creates a logger for another component which shares this logger's context.
+    forComponent(component) {
+        return new Logger(component, this.#context);
+    }
+
+    // Updates the shared context, Fields set to null are removed.
+    setContext(fields) {
+        for (const [key, value] of Object.entries(fields)) {
+            if (value === null || value === undefined)
+                delete this.#context[key];
+            else
+                this.#context[key] = value;
+        }
+    }
 
-        flog = fs.createWriteStream(logPath, { flags: 'a' });
+    isEnabled(level) {
+        const componentLevel = settings.components[this.#component];
+        return LogLevels[level] >= (componentLevel !== undefined ? componentLevel : settings.level);
     }
 
-    console.log = function () {
-        const text = formatText(util.format.apply(this, arguments));
-        process.stdout.write(text);
+    trace(...args) { this.#log('trace', args); }
+    debug(...args) { this.#log('debug', args); }
+    info(...args) { this.#log('info', args); }
+    warn(...args) { this.#log('warn', args); }
+    error(...args) { this.#log('error', args); }
 
-        if (flog)
-            flog.write(text);
-    };
-    console.error = function () {
-        const text = formatText(util.format.apply(this, arguments), 'err');
-        process.stderr.write(text);
+    // Returns a log function (logs in info level) which has the level functions as properties. Given to the custom audit clients.
+    toFunction() {
+        const fn = (...args) => this.info(...args);
+        for (const level of Object.keys(LogLevels))
+            fn[level] = (...args) => this[level](...args);
+        return fn;
+    }
+
+    #log(level, args) {
+        if (this.isEnabled(level))
+            write(level, formatLine(level, this.#component, this.#context, args));
+    }
+}
+
+const create = (component, context = {}) => new Logger(component, context);
+
+const parseLevel = (level) => {
+    if (LogLevels[level] === undefined)
+        throw `Invalid log level ${level}.`;
+    return LogLevels[level];
+}
+
+// Applies the level and the format settings. These can be changed while running.
+const configure = (options = {}) => {
+    settings.level = parseLevel(options.level || 'info');
+    settings.components = {};
+    for (const [component, level] of Object.entries(options.components || {}))
+        settings.components[component] = parseLevel(level);
+    settings.json = !!options.json;
+}
+
+/**
+ * Redirects the logs to stdout/stderr and to the rotating log file if file log is enabled.
+ * console.log and console.error are routed through the logger, So the lines from the dependencies are formatted as well.
+ * @param {string} logPath Log file path.
+ * @param {boolean} fileLogEnabled Whether to write the logs to the file.
+ * @param {object} options Log config { level, components, json, maxSize, maxFiles, rotateInterval }.
+ */
+const init = (logPath, fileLogEnabled, options = {}) => {
+    configure(options);
+
+    if (settings.file)
+        settings.file.close();
+    settings.file = fileLogEnabled ? new RotatingFile(logPath, options) : null;
+    settings.initialized = true;
+
+    const consoleLogger = create(CONSOLE_COMPONENT);
+    console.log = (...args) => consoleLogger.info(...args);
+    console.error = (...args) => consoleLogger.error(...args);
+}
+
+// Resolves when the pending console output is written and closes the log file. Called before exiting the process.
+const close = () => {
+    if (settings.file)
+        settings.file.close();
+    settings.file = null;
+    return Promise.all([process.stdout, process.stderr].map(stream => new Promise(resolve => stream.write('', resolve))));
+}
 
-        if (flog)
-            flog.write(text);
-    };
-}
\ No newline at end of file
+module.exports = {
+    LogLevels,
+    RotateIntervals,
+    Logger,
+    RotatingFile,
+    create,
+    configure,
+    init,
+    close
+}
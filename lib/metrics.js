@@ -0,0 +1,105 @@
+const MetricTypes = {
+    COUNTER: 'counter',
+    GAUGE: 'gauge',
+    HISTOGRAM: 'histogram'
+}
+
+/**
+ * Minimal metric registry which renders the metrics in prometheus text exposition format.
+ */
+class Metrics {
+    #metrics = new Map();
+
+    define(name, type, help, buckets = null) {
+        this.#metrics.set(name, {
+            name: name,
+            type: type,
+            help: help,
+            buckets: buckets,
+            series: new Map()
+        });
+    }
+
+    inc(name, labels = {}, value = 1) {
+        const series = this.#getSeries(name, labels, () => ({ value: 0 }));
+        series.value += value;
+    }
+
+    set(name, value, labels = {}) {
+        const series = this.#getSeries(name, labels, () => ({ value: 0 }));
+        series.value = value;
+    }
+
+    observe(name, value, labels = {}) {
+        const metric = this.#metrics.get(name);
+        const series = this.#getSeries(name, labels, () => ({
+            counts: metric.buckets.map(() => 0),
+            sum: 0,
+            count: 0
+        }));
+        metric.buckets.forEach((b, i) => {
+            if (value <= b)
+                series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    get(name, labels = {}) {
+        const metric = this.#metrics.get(name);
+        return metric ? metric.series.get(this.#labelKey(labels)) : undefined;
+    }
+
+    render() {
+        const lines = [];
+        for (const metric of this.#metrics.values()) {
+            lines.push(`# HELP ${metric.name} ${metric.help}`);
+            lines.push(`# TYPE ${metric.name} ${metric.type}`);
+            for (const [key, series] of metric.series.entries()) {
+                if (metric.type === MetricTypes.HISTOGRAM) {
+                    metric.buckets.forEach((b, i) => {
+                        lines.push(`${metric.name}_bucket${this.#formatLabels(key, { le: b })} ${series.counts[i]}`);
+                    });
+                    lines.push(`${metric.name}_bucket${this.#formatLabels(key, { le: '+Inf' })} ${series.count}`);
+                    lines.push(`${metric.name}_sum${this.#formatLabels(key)} ${series.sum}`);
+                    lines.push(`${metric.name}_count${this.#formatLabels(key)} ${series.count}`);
+                }
+                else {
+                    lines.push(`${metric.name}${this.#formatLabels(key)} ${series.value}`);
+                }
+            }
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    #getSeries(name, labels, create) {
+        const metric = this.#metrics.get(name);
+        if (!metric)
+            throw `Metric ${name} is not defined.`;
+
+        const key = this.#labelKey(labels);
+        let series = metric.series.get(key);
+        if (!series) {
+            series = create();
+            series.labels = labels;
+            metric.series.set(key, series);
+        }
+        return series;
+    }
+
+    #labelKey(labels) {
+        return JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+    }
+
+    #formatLabels(key, extra = {}) {
+        const pairs = JSON.parse(key).concat(Object.entries(extra).map(([k, v]) => [k, String(v)]));
+        if (!pairs.length)
+            return '';
+        return '{' + pairs.map(([k, v]) => `${k}="${v.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`).join(',') + '}';
+    }
+}
+
+module.exports = {
+    Metrics,
+    MetricTypes
+}
@@ -0,0 +1,86 @@
+const DEFAULT_RETRY = {
+    maxAttempts: 4,
+    initialDelay: 1000,
+    maxDelay: 20000,
+    factor: 2
+}
+
+// Transaction results which mean the transaction was not applied and the same submission can succeed later.
+// 'tel' results are local to the rippled server and 'ter' results are retried by the network itself.
+const TRANSIENT_TX_CODES = ['tefPAST_SEQ', 'tefMAX_LEDGER'];
+const TRANSIENT_TX_PREFIXES = ['tel', 'ter'];
+
+// Errors of the xrpl connection. Timeouts are matched only by the error type,
+// Since the host timeouts (Eg: redeem timeout) are definitive host failures.
+const TRANSIENT_ERROR_NAMES = ['DisconnectedError', 'NotConnectedError', 'ConnectionError', 'TimeoutError'];
+const TRANSIENT_ERROR_PATTERN = /disconnected|not connected|ECONNRESET|ECONNREFUSED|ETIMEDOUT|EPIPE|socket hang up|websocket/i;
+
+/**
+ * Classifies an error of the xrpl and the evernode clients. Transient errors are the connection errors and the
+ * transaction results which did not apply the transaction. Everything else (Eg: tec results, host rejections) is definitive.
+ */
+const isTransientError = (e) => {
+    if (!e)
+        return false;
+
+    // Transaction results are { id, code, details }.
+    if (typeof e.code === 'string' && /^te[cflmrs]/.test(e.code))
+        return TRANSIENT_TX_CODES.includes(e.code) || TRANSIENT_TX_PREFIXES.some(p => e.code.startsWith(p));
+
+    // Submission errors are wrapped as { error }.
+    const err = (typeof e === 'object' && e.error !== undefined) ? e.error : e;
+    if (typeof err === 'string')
+        return TRANSIENT_ERROR_PATTERN.test(err);
+    if (err instanceof Error)
+        return TRANSIENT_ERROR_NAMES.includes(err.name) || TRANSIENT_ERROR_PATTERN.test(err.message) || TRANSIENT_ERROR_PATTERN.test(err.code || '');
+    return false;
+}
+
+// Waits for the delay, Rejects with the abort reason if the deadline is aborted meanwhile.
+const backoff = (delay, deadline = null) => {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            off();
+            resolve();
+        }, delay);
+        const off = deadline ? deadline.onAbort((reason) => {
+            clearTimeout(timer);
+            reject(reason);
+        }) : () => { };
+    });
+}
+
+/**
+ * Runs the function and retries it on the transient errors with exponential backoff.
+ * options: { maxAttempts, initialDelay, maxDelay, factor, deadline, isRetryable, onRetry(e, attempt, delay) }.
+ * Retries are stopped when the deadline is aborted, So they don't outlive the moment.
+ * @returns The result of the function. Throws the last error if it's definitive or the attempts are over.
+ */
+const withRetry = async (fn, options = {}) => {
+    const { maxAttempts, initialDelay, maxDelay, factor } = { ...DEFAULT_RETRY, ...options };
+    const isRetryable = options.isRetryable || isTransientError;
+    const deadline = options.deadline || null;
+
+    for (let attempt = 1; ; attempt++) {
+        if (deadline)
+            deadline.throwIfAborted();
+
+        try {
+            return await fn(attempt);
+        }
+        catch (e) {
+            if (attempt >= maxAttempts || !isRetryable(e) || (deadline && deadline.aborted))
+                throw e;
+
+            const delay = Math.min(maxDelay, initialDelay * Math.pow(factor, attempt - 1));
+            if (options.onRetry)
+                options.onRetry(e, attempt, delay);
+            await backoff(delay, deadline);
+        }
+    }
+}
+
+module.exports = {
+    isTransientError,
+    withRetry
+}
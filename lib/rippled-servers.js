@@ -0,0 +1,79 @@
+/**
+ * List of the rippled servers which the auditor can connect to, In the order of preference.
+ * Keeps the health of each server, So the failover prefers the servers which haven't failed recently.
+ */
+class RippledServers {
+    #servers = [];
+    #current = null;
+
+    // servers is a list of urls or a comma separated string of urls.
+    constructor(servers) {
+        const urls = (Array.isArray(servers) ? servers : String(servers || '').split(','))
+            .map(s => s.trim()).filter(s => s);
+        if (!urls.length)
+            throw 'No rippled servers are given.';
+
+        this.#servers = [...new Set(urls)].map(url => ({
+            url: url,
+            failures: 0,
+            lastFailure: null,
+            lastFailureReason: null,
+            connectedOn: null
+        }));
+    }
+
+    get current() {
+        return this.#current ? this.#current.url : null;
+    }
+
+    get urls() {
+        return this.#servers.map(s => s.url);
+    }
+
+    /**
+     * Returns the servers in the order to try. Servers which did not fail come first in the order of preference,
+     * Failed ones follow from the least recently failed. The current server is tried last, So a failover moves to another server.
+     */
+    candidates() {
+        const others = this.#servers.filter(s => s !== this.#current);
+        const healthy = others.filter(s => !s.lastFailure);
+        const failed = others.filter(s => s.lastFailure).sort((a, b) => a.lastFailure - b.lastFailure);
+        return [...healthy, ...failed, ...(this.#current ? [this.#current] : [])].map(s => s.url);
+    }
+
+    // Successful connection clears the last failure, So the server is preferred again.
+    setConnected(url) {
+        const server = this.#get(url);
+        server.connectedOn = new Date().getTime();
+        server.lastFailure = null;
+        server.lastFailureReason = null;
+        this.#current = server;
+    }
+
+    setFailed(url, reason) {
+        const server = this.#get(url);
+        server.failures++;
+        server.lastFailure = new Date().getTime();
+        server.lastFailureReason = reason;
+        if (this.#current === server)
+            this.#current = null;
+    }
+
+    getStatus() {
+        return {
+            current: this.current,
+            servers: this.#servers.map(s => ({ ...s }))
+        };
+    }
+
+    #get(url) {
+        const server = this.#servers.find(s => s.url === url);
+        if (!server)
+            throw `Unknown rippled server ${url}.`;
+        return server;
+    }
+}
+
+module.exports = {
+    RippledServers
+}
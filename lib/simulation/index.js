@@ -0,0 +1,39 @@
+const { MockHost, createMockHotPocket } = require('./mock-host');
+const { MockNetwork, createMockEvernode } = require('./mock-xrpl');
+
+const DEFAULT_OPTIONS = {
+    startLedgerIdx: 1005,
+    momentBaseIdx: 1000,
+    momentSize: 20,
+    ledgerInterval: 200,
+    assignmentsPerMoment: 1,
+    assignmentDelayLedgers: 1,
+    trustCreated: true,
+    droppedLedgers: [],
+    downServers: [],
+    xrplFaults: {},
+    hosts: [
+        { address: 'rSimulatedHost1111111111111111111', currency: 'EVS01' }
+    ]
+}
+
+/**
+ * Creates a simulation with a mock xrpl network and mock HotPocket hosts.
+ * Returned evernode and hotPocket objects can be given to the auditor in place of the real client modules.
+ */
+const createSimulation = (options = {}) => {
+    const opts = { ...DEFAULT_OPTIONS, ...options };
+    const hosts = opts.hosts.map((h, i) => new MockHost({ userPort: 8081 + (i * 2), ...h }));
+    const network = new MockNetwork(opts, hosts);
+
+    return {
+        network: network,
+        hosts: hosts,
+        evernode: createMockEvernode(network),
+        hotPocket: createMockHotPocket(hosts)
+    };
+}
+
+module.exports = {
+    createSimulation
+}
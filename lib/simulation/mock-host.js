@@ -0,0 +1,262 @@
+const os = require('os');
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+const { EventEmitter } = require('events');
+const bson = require('bson');
+const { handleInput } = require('../../dependencies/default-contract/audit-logic');
+
+const HostModes = {
+    BOOTSTRAP: 'bootstrap',
+    CONTRACT: 'contract'
+}
+
+// Faults which can be injected to a mock host.
+// connect: refuse connections, submission: reject inputs, status/upload: 'fail' or 'hang',
+// upload: 'legacy' (no chunked upload support), chunks: 'drop' (first copy of the second chunk is lost),
+// output: 'wrong' (wrong contract outputs), 'none' (no outputs) or 'noState' (outputs without the state proof),
+// challenge: 'wrong' (made up challenge answers) or 'noState' (challenge answers are not kept in the state), redeem: 'fail' or 'timeout'.
+const DEFAULT_FAULTS = {
+    connect: false,
+    submission: false,
+    status: null,
+    upload: null,
+    chunks: null,
+    output: null,
+    challenge: null,
+    redeem: null
+}
+
+/**
+ * In-process fake HotPocket host. It speaks the bootstrap contract protocol (bson status and upload messages)
+ * and runs the default audit contract logic once a contract is uploaded.
+ */
+class MockHost {
+    #clients = new Set();
+    #ledgerSeqNo = 0;
+    #exects = '';
+    #state = null;
+    #chunkedUpload = null;
+
+    constructor(options) {
+        this.address = options.address;
+        this.currency = options.currency;
+        this.ip = options.ip || '127.0.0.1';
+        this.userPort = options.userPort;
+        this.roundTime = options.roundTime || 50;
+        this.redeemDelayLedgers = options.redeemDelayLedgers || 1;
+        this.faults = { ...DEFAULT_FAULTS, ...(options.faults || {}) };
+        this.instance = null;
+        this.bundle = null;
+        this.mode = HostModes.BOOTSTRAP;
+    }
+
+    get server() {
+        return `wss://${this.ip}:${this.userPort}`;
+    }
+
+    // Number of clients connected to the instance.
+    get connectedClients() {
+        return this.#clients.size;
+    }
+
+    // Creates a fresh instance for the redeem, Instance starts with the bootstrap contract.
+    createInstance(requirements) {
+        this.mode = HostModes.BOOTSTRAP;
+        this.#exects = '';
+        this.#state = { dir: os.tmpdir(), challenges: {} };
+        this.#chunkedUpload = null;
+        this.instance = {
+            name: crypto.randomBytes(16).toString('hex'),
+            ip: this.ip,
+            pubkey: 'ed' + crypto.randomBytes(32).toString('hex'),
+            contract_id: requirements.contract_id,
+            owner_pubkey: requirements.owner_pubkey,
+            image: requirements.image,
+            user_port: this.userPort,
+            peer_port: this.userPort + 1
+        };
+        return this.instance;
+    }
+
+    connect(client) {
+        if (this.faults.connect || !this.instance)
+            return false;
+        this.#clients.add(client);
+        return true;
+    }
+
+    disconnect(client) {
+        this.#clients.delete(client);
+    }
+
+    submitInput(client, input) {
+        if (this.faults.submission)
+            return Promise.resolve({ status: 'rejected', reason: 'Input rejected by the mock host.' });
+
+        // Inputs are processed in the next consensus round.
+        setTimeout(() => this.#runRound(client, input), this.roundTime);
+        return Promise.resolve({ status: 'accepted' });
+    }
+
+    readRequest(client, input) {
+        if (this.mode !== HostModes.CONTRACT)
+            return;
+
+        setTimeout(() => {
+            const output = this.#contractOutput(input, true);
+            if (output && this.#clients.has(client))
+                client.emit(MockHotPocket.events.contractReadResponse, output);
+        }, this.roundTime / 2);
+    }
+
+    #runRound(client, input) {
+        this.#ledgerSeqNo++;
+        this.#exects += `ts:${new Date().getTime()}\n`;
+
+        const output = (this.mode === HostModes.BOOTSTRAP) ? this.#bootstrapOutput(input) : this.#contractOutput(input);
+        if (output && this.#clients.has(client))
+            client.emit(MockHotPocket.events.contractOutput, { ledgerSeqNo: this.#ledgerSeqNo, outputs: [output] });
+    }
+
+    // Responses echo the request id, So the client can match them to the requests.
+    #bootstrapOutput(input) {
+        const msg = bson.deserialize(input);
+        const res = this.#bootstrapResponse(msg);
+        return res ? bson.serialize(msg.id ? { ...res, id: msg.id } : res) : null;
+    }
+
+    #bootstrapResponse(msg) {
+        if (msg.type === 'status') {
+            if (this.faults.status === 'hang')
+                return null;
+            return {
+                type: 'statusResult',
+                status: this.faults.status === 'fail' ? 'error' : 'ok',
+                message: 'Bootstrap contract is online.'
+            };
+        }
+        else if (msg.type === 'upload') {
+            return this.#installBundle(Buffer.from(msg.content.buffer));
+        }
+        else if (this.faults.upload !== 'legacy' && msg.type === 'uploadStart') {
+            // Chunks received for the same bundle are kept, So the upload can be resumed.
+            if (!this.#chunkedUpload || this.#chunkedUpload.hash !== msg.hash)
+                this.#chunkedUpload = { hash: msg.hash, chunkCount: msg.chunkCount, chunks: new Map(), dropped: new Set() };
+            return { type: 'uploadStartResult', hash: msg.hash, status: 'ok', received: [...this.#chunkedUpload.chunks.keys()] };
+        }
+        else if (this.faults.upload !== 'legacy' && msg.type === 'uploadChunk') {
+            const upload = this.#chunkedUpload;
+            if (!upload || upload.hash !== msg.hash)
+                return null;
+            if (this.faults.chunks === 'drop' && msg.seq === 1 && !upload.dropped.has(msg.seq)) {
+                upload.dropped.add(msg.seq);
+                return null;
+            }
+            upload.chunks.set(msg.seq, Buffer.from(msg.content.buffer));
+            return null;
+        }
+        else if (this.faults.upload !== 'legacy' && msg.type === 'uploadComplete') {
+            const upload = this.#chunkedUpload;
+            if (!upload || upload.hash !== msg.hash)
+                return { type: 'uploadResult', hash: msg.hash, status: 'error', message: 'Unknown upload.' };
+
+            const missing = [...Array(upload.chunkCount).keys()].filter(seq => !upload.chunks.has(seq));
+            if (missing.length)
+                return { type: 'uploadResult', hash: msg.hash, status: 'missing', missing: missing };
+
+            const content = Buffer.concat([...Array(upload.chunkCount).keys()].map(seq => upload.chunks.get(seq)));
+            if (crypto.createHash('sha256').update(content).digest('hex') !== msg.hash)
+                return { type: 'uploadResult', hash: msg.hash, status: 'error', message: 'Bundle hash mismatch.' };
+            return this.#installBundle(content);
+        }
+        return null;
+    }
+
+    #installBundle(content) {
+        if (this.faults.upload === 'hang')
+            return null;
+        if (this.faults.upload === 'fail')
+            return { type: 'uploadResult', status: 'error', message: 'Contract update failed.' };
+
+        // Uploaded bundle is kept, So it can be inspected.
+        this.bundle = content;
+        this.mode = HostModes.CONTRACT;
+        return { type: 'uploadResult', status: 'ok', message: 'Contract upload successful.' };
+    }
+
+    #contractOutput(input, readonly = false) {
+        if (this.faults.output === 'none')
+            return null;
+
+        const msg = JSON.parse(input);
+        const state = (this.faults.challenge === 'noState') ? { ...this.#state, challenges: {} } : this.#state;
+        const output = handleInput(msg, this.faults.output === 'noState' ? null : this.#exects, state, readonly);
+        if (this.faults.output === 'wrong' || (this.faults.challenge === 'wrong' && msg.type === 'challenge'))
+            output.output = 'WRONG_OUTPUT';
+        return JSON.stringify(output);
+    }
+}
+
+/**
+ * HotPocket client compatible object which talks to the mock hosts instead of the network.
+ */
+class MockHotPocketClient extends EventEmitter {
+    #host = null;
+
+    constructor(host, keys) {
+        super();
+        this.#host = host;
+        this.keys = keys;
+    }
+
+    async connect() {
+        return this.#host ? this.#host.connect(this) : false;
+    }
+
+    async submitContractInput(input) {
+        return { submissionStatus: this.#host.submitInput(this, input) };
+    }
+
+    async sendContractReadRequest(input) {
+        this.#host.readRequest(this, input);
+    }
+
+    async close() {
+        if (this.#host)
+            this.#host.disconnect(this);
+        this.emit(MockHotPocket.events.disconnect);
+        this.removeAllListeners();
+    }
+}
+
+// Same surface as the hotpocket-js-client module which is used by the auditor and the audit clients.
+const MockHotPocket = {
+    events: {
+        disconnect: 'disconnect',
+        contractOutput: 'contractOutput',
+        contractReadResponse: 'contractReadResponse'
+    },
+    protocols: {
+        json: 'json',
+        bson: 'bson'
+    }
+}
+
+const createMockHotPocket = (hosts) => {
+    return {
+        ...MockHotPocket,
+        generateKeys: async () => ({
+            publicKey: Uint8Array.from(Buffer.concat([Buffer.from([0xed]), crypto.randomBytes(32)])),
+            privateKey: Uint8Array.from(crypto.randomBytes(64))
+        }),
+        createClient: async (servers, keys) => {
+            const host = hosts.find(h => servers.includes(h.server));
+            return new MockHotPocketClient(host, keys);
+        }
+    };
+}
+
+module.exports = {
+    MockHost,
+    createMockHotPocket
+}
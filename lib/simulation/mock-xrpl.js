@@ -0,0 +1,248 @@
+const { EventEmitter } = require('events');
+
+const XrplApiEvents = {
+    LEDGER: 'ledger'
+}
+
+const AuditorEvents = {
+    AuditAssignment: 'auditAssignment'
+}
+
+/**
+ * Emits synthetic validated ledgers in a fixed interval.
+ */
+class MockXrplApi extends EventEmitter {
+    #timer = null;
+    // Internal ledger close events, These are emitted for the dropped ledgers as well.
+    #closes = new EventEmitter();
+
+    constructor(startLedgerIdx, ledgerInterval, droppedLedgers = [], downServers = []) {
+        super();
+        this.#closes.setMaxListeners(0);
+        this.ledgerIndex = startLedgerIdx;
+        this.ledgerInterval = ledgerInterval;
+        // Ledger events which are not emitted, To simulate missed ledgers on reconnects.
+        this.droppedLedgers = new Set(droppedLedgers);
+        // Rippled servers which refuse the connections and stop sending the ledgers, Tests can add servers while running.
+        this.downServers = new Set(downServers);
+        // Rippled server which the api is connected to.
+        this.server = null;
+    }
+
+    start() {
+        if (this.#timer)
+            return;
+
+        this.#timer = setInterval(() => {
+            this.ledgerIndex++;
+            this.#closes.emit('close', this.ledgerIndex);
+            if (!this.droppedLedgers.has(this.ledgerIndex) && !this.downServers.has(this.server))
+                this.emit(XrplApiEvents.LEDGER, { ledger_index: this.ledgerIndex });
+        }, this.ledgerInterval);
+    }
+
+    stop() {
+        clearInterval(this.#timer);
+        this.#timer = null;
+    }
+
+    // Resolves when the given number of ledgers are closed.
+    waitForLedgers(count) {
+        const targetIdx = this.ledgerIndex + count;
+        return new Promise((resolve) => {
+            const onClose = (ledgerIdx) => {
+                if (ledgerIdx >= targetIdx) {
+                    this.#closes.off('close', onClose);
+                    resolve(ledgerIdx);
+                }
+            };
+            this.#closes.on('close', onClose);
+        });
+    }
+
+    async disconnect() {
+        this.stop();
+    }
+}
+
+/**
+ * Stand-in for the evernode registry. Keeps the mock hosts and the audit verdicts submitted by the auditor.
+ */
+class MockNetwork {
+    #nextHost = 0;
+
+    constructor(options, hosts) {
+        this.options = options;
+        this.hosts = hosts;
+        this.xrplApi = new MockXrplApi(options.startLedgerIdx, options.ledgerInterval, options.droppedLedgers, options.downServers);
+        // Rippled server given with Defaults.set(), Clients connect to this server.
+        this.rippledServer = null;
+        this.hookConfig = {
+            momentBaseIdx: options.momentBaseIdx,
+            momentSize: options.momentSize
+        };
+        this.verdicts = [];
+        this.trustlines = new Set();
+        // Number of transient submission failures to inject per operation (requestAudit, cash, redeem, removeTrustline, verdict).
+        this.xrplFaults = { ...options.xrplFaults };
+    }
+
+    // Fails the operation with a transient submission error while it has injected faults left.
+    checkXrplFault(operation) {
+        if (this.xrplFaults[operation] > 0) {
+            this.xrplFaults[operation]--;
+            throw { id: null, code: 'tefPAST_SEQ', details: null };
+        }
+    }
+
+    // Picks the hosts for an audit request in round-robin order.
+    assignHosts() {
+        const assigned = [];
+        for (let i = 0; i < Math.min(this.options.assignmentsPerMoment, this.hosts.length); i++) {
+            assigned.push(this.hosts[this.#nextHost]);
+            this.#nextHost = (this.#nextHost + 1) % this.hosts.length;
+        }
+        return assigned;
+    }
+
+    findHost(address) {
+        return this.hosts.find(h => h.address === address);
+    }
+}
+
+class MockAuditorClient extends EventEmitter {
+    #network = null;
+
+    constructor(network, address) {
+        super();
+        this.#network = network;
+        this.address = address;
+        this.xrplApi = network.xrplApi;
+        this.hookConfig = network.hookConfig;
+        this.rippledServer = network.rippledServer;
+    }
+
+    async connect() {
+        if (this.xrplApi.downServers.has(this.rippledServer))
+            throw { error: new Error(`connect ECONNREFUSED ${this.rippledServer}`) };
+        this.xrplApi.server = this.rippledServer;
+        this.xrplApi.start();
+    }
+
+    async disconnect() {
+        this.xrplApi.stop();
+    }
+
+    async requestAudit() {
+        this.#network.checkXrplFault('requestAudit');
+        const hosts = this.#network.assignHosts();
+        this.xrplApi.waitForLedgers(this.#network.options.assignmentDelayLedgers).then(() => {
+            for (const host of hosts) {
+                this.emit(AuditorEvents.AuditAssignment, {
+                    currency: host.currency,
+                    issuer: host.address,
+                    value: '1'
+                });
+            }
+        });
+    }
+
+    async cashAuditAssignment(assignmentInfo) {
+        this.#network.checkXrplFault('cash');
+        await this.xrplApi.waitForLedgers(1);
+        const trustCreated = this.#network.options.trustCreated;
+        if (trustCreated)
+            this.#network.trustlines.add(`${assignmentInfo.currency}/${assignmentInfo.issuer}`);
+        return { trustCreated: trustCreated };
+    }
+
+    async removeAuditTrustline(address, currency) {
+        this.#network.checkXrplFault('removeTrustline');
+        await this.xrplApi.waitForLedgers(1);
+        this.#network.trustlines.delete(`${currency}/${address}`);
+    }
+
+    async auditSuccess(address) {
+        this.#network.checkXrplFault('verdict');
+        await this.xrplApi.waitForLedgers(1);
+        this.#network.verdicts.push({ address: address, success: true, ledgerIdx: this.xrplApi.ledgerIndex });
+    }
+
+    async auditFail(address) {
+        this.#network.checkXrplFault('verdict');
+        await this.xrplApi.waitForLedgers(1);
+        this.#network.verdicts.push({ address: address, success: false, ledgerIdx: this.xrplApi.ledgerIndex });
+    }
+
+    off(event, listener) {
+        // Evernode client removes all the listeners of the event if no listener is given.
+        if (listener)
+            super.off(event, listener);
+        else
+            this.removeAllListeners(event);
+        return this;
+    }
+}
+
+class MockUserClient {
+    #network = null;
+
+    constructor(network, address) {
+        this.#network = network;
+        this.address = address;
+        this.xrplApi = network.xrplApi;
+    }
+
+    async connect() { }
+
+    async prepareAccount() { }
+
+    async redeem(currency, issuer, amount, requirements, options = {}) {
+        this.#network.checkXrplFault('redeem');
+        const host = this.#network.findHost(issuer);
+        if (!host)
+            throw { reason: `Host ${issuer} not found.` };
+
+        if (host.faults.redeem === 'timeout') {
+            // Timer is unref'd so a pending redeem won't keep the process alive.
+            await new Promise(resolve => setTimeout(resolve, options.timeout || 60000).unref());
+            throw { reason: 'Redeem timeout.' };
+        }
+
+        await this.xrplApi.waitForLedgers(host.redeemDelayLedgers);
+        if (host.faults.redeem === 'fail')
+            throw { reason: 'Redeem rejected by the host.' };
+
+        return { instance: host.createInstance(requirements) };
+    }
+}
+
+// Creates an object with the same surface as the evernode-js-client module used by the auditor.
+const createMockEvernode = (network) => {
+    return {
+        Defaults: {
+            set: (defaults) => {
+                if (defaults.rippledServer)
+                    network.rippledServer = defaults.rippledServer;
+            }
+        },
+        XrplApiEvents: XrplApiEvents,
+        AuditorEvents: AuditorEvents,
+        AuditorClient: class extends MockAuditorClient {
+            constructor(address) {
+                super(network, address);
+            }
+        },
+        UserClient: class extends MockUserClient {
+            constructor(address) {
+                super(network, address);
+            }
+        }
+    };
+}
+
+module.exports = {
+    MockXrplApi,
+    MockNetwork,
+    createMockEvernode
+}
@@ -0,0 +1,92 @@
+const http = require('http');
+const logger = require('./logger');
+const { toCsv } = require('./host-reputation');
+
+const log = logger.create('status-server');
+
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_AUDIT_LIMIT = 20;
+
+/**
+ * Local http server which exposes the auditor status, recent audit results and the prometheus metrics.
+ */
+class StatusServer {
+    #auditor = null;
+    #server = null;
+
+    constructor(auditor) {
+        this.#auditor = auditor;
+    }
+
+    // Resolves the listening port, So port 0 can be used to take a free port.
+    start(port, host = DEFAULT_HOST) {
+        return new Promise((resolve, reject) => {
+            this.#server = http.createServer((req, res) => this.#handleRequest(req, res));
+            this.#server.once('error', reject);
+            this.#server.listen(port, host, () => {
+                this.#server.off('error', reject);
+                resolve(this.#server.address().port);
+            });
+        });
+    }
+
+    stop() {
+        return new Promise((resolve) => {
+            if (!this.#server)
+                return resolve();
+
+            this.#server.close(() => resolve());
+            this.#server = null;
+        });
+    }
+
+    #handleRequest(req, res) {
+        if (req.method !== 'GET')
+            return this.#send(res, 405, { error: 'Method not allowed.' });
+
+        const url = new URL(req.url, `http://${req.headers.host || DEFAULT_HOST}`);
+        try {
+            switch (url.pathname) {
+                case '/status':
+                    return this.#send(res, 200, this.#auditor.getStatus());
+                case '/audits': {
+                    const records = this.#auditor.auditStore.getRecords({
+                        address: url.searchParams.get('host'),
+                        currency: url.searchParams.get('token'),
+                        momentStartIdx: url.searchParams.has('moment') ? parseInt(url.searchParams.get('moment')) : null,
+                        limit: parseInt(url.searchParams.get('limit')) || DEFAULT_AUDIT_LIMIT
+                    });
+                    return this.#send(res, 200, records);
+                }
+                case '/hosts': {
+                    const host = url.searchParams.get('host');
+                    const profiles = host ? [this.#auditor.hostReputation.getProfile(host)].filter(p => p) :
+                        this.#auditor.hostReputation.getProfiles({ flagged: url.searchParams.get('flagged') === 'true' });
+                    if (url.searchParams.get('format') === 'csv') {
+                        res.writeHead(200, { 'Content-Type': 'text/csv' });
+                        return res.end(toCsv(profiles, this.#auditor.hostReputation.windows));
+                    }
+                    return this.#send(res, 200, profiles);
+                }
+                case '/metrics':
+                    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+                    return res.end(this.#auditor.metrics.render());
+                default:
+                    return this.#send(res, 404, { error: 'Not found.' });
+            }
+        }
+        catch (e) {
+            log.error('Status server error.', e);
+            return this.#send(res, 500, { error: 'Internal error.' });
+        }
+    }
+
+    #send(res, statusCode, body) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body, null, 2));
+    }
+}
+
+module.exports = {
+    StatusServer
+}
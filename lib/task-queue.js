@@ -0,0 +1,56 @@
+/**
+ * Runs async tasks with a limit on the number of tasks running at once.
+ * Tasks over the limit wait in the queue and are started in the order they were added.
+ */
+class TaskQueue {
+    #limit = 1;
+    #running = 0;
+    #waiting = [];
+
+    constructor(limit) {
+        this.setLimit(limit);
+    }
+
+    get limit() {
+        return this.#limit;
+    }
+
+    get running() {
+        return this.#running;
+    }
+
+    get waiting() {
+        return this.#waiting.length;
+    }
+
+    // Limit can be changed while running, Running tasks are not affected if it's lowered.
+    setLimit(limit) {
+        if (!Number.isInteger(limit) || limit < 1)
+            throw `Invalid task limit ${limit}.`;
+        this.#limit = limit;
+        this.#next();
+    }
+
+    // Resolves or rejects with the result of the task once it has run.
+    run(task) {
+        return new Promise((resolve, reject) => {
+            this.#waiting.push({ task: task, resolve: resolve, reject: reject });
+            this.#next();
+        });
+    }
+
+    #next() {
+        while (this.#running < this.#limit && this.#waiting.length) {
+            const { task, resolve, reject } = this.#waiting.shift();
+            this.#running++;
+            Promise.resolve().then(task).then(resolve, reject).finally(() => {
+                this.#running--;
+                this.#next();
+            });
+        }
+    }
+}
+
+module.exports = {
+    TaskQueue
+}
@@ -0,0 +1,83 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { AuditStore, AuditVerdicts } = require('../lib/audit-store');
+const { createTempDir } = require('./helpers');
+
+describe('Audit store', () => {
+    const readLines = (filePath) => fs.readFileSync(filePath).toString().split('\n').filter(l => l);
+
+    it('compacts the record snapshots', () => {
+        const filePath = path.join(createTempDir(), 'audits.jsonl');
+        const store = new AuditStore(filePath);
+        store.init();
+        const first = store.createRecord(1000, { address: 'rHost1', currency: 'EVS01' });
+        store.setVerdict(first, AuditVerdicts.SUCCESS);
+        store.complete(first);
+        const second = store.createRecord(1030, { address: 'rHost2', currency: 'EVS02' });
+        store.setVerdict(second, AuditVerdicts.FAIL, 'upload');
+        assert.strictEqual(readLines(filePath).length, 5);
+
+        const reloaded = new AuditStore(filePath);
+        reloaded.init();
+        reloaded.compact();
+        assert.deepStrictEqual(readLines(filePath).map(l => JSON.parse(l)), [first, second]);
+        assert.deepStrictEqual(reloaded.getRecord(first.id), first);
+        assert.deepStrictEqual(reloaded.getRecord(second.id), second);
+        assert.strictEqual(fs.existsSync(filePath + '.tmp'), false);
+
+        // Records are appended to the compacted file.
+        reloaded.complete(reloaded.getRecord(second.id));
+        assert.strictEqual(readLines(filePath).length, 3);
+    });
+
+    it('drops the corrupted lines when compacting', () => {
+        // Keep the test output clean from the warning.
+        mock.method(console, 'error', () => { });
+        const filePath = path.join(createTempDir(), 'audits.jsonl');
+        const store = new AuditStore(filePath);
+        store.init();
+        const record = store.createRecord(1000, { address: 'rHost1', currency: 'EVS01' });
+        fs.appendFileSync(filePath, '{"id":"partial');
+
+        const reloaded = new AuditStore(filePath);
+        reloaded.init();
+        mock.restoreAll();
+        reloaded.compact();
+        assert.deepStrictEqual(readLines(filePath).map(l => JSON.parse(l)), [record]);
+    });
+
+    it('does not rewrite the file which has no old snapshots', () => {
+        const filePath = path.join(createTempDir(), 'audits.jsonl');
+        const store = new AuditStore(filePath);
+        store.init();
+        store.createRecord(1000, { address: 'rHost1', currency: 'EVS01' });
+        const writeFileSync = mock.method(fs, 'writeFileSync');
+
+        const reloaded = new AuditStore(filePath);
+        reloaded.init();
+        reloaded.compact();
+        mock.restoreAll();
+        assert.strictEqual(writeFileSync.mock.callCount(), 0);
+    });
+
+    it('does not write the file when only loading the records', () => {
+        const filePath = path.join(createTempDir(), 'audits.jsonl');
+        const store = new AuditStore(filePath);
+        store.init();
+        const record = store.createRecord(1000, { address: 'rHost1', currency: 'EVS01' });
+        store.complete(record);
+        const content = fs.readFileSync(filePath).toString();
+
+        // Cli commands only load the store, They may run next to the auditor which owns the file.
+        const loaded = new AuditStore(filePath);
+        loaded.load();
+        assert.deepStrictEqual(loaded.getRecord(record.id), record);
+        assert.strictEqual(fs.readFileSync(filePath).toString(), content);
+
+        const missing = path.join(createTempDir(), 'db/audits.jsonl');
+        new AuditStore(missing).load();
+        assert.strictEqual(fs.existsSync(path.dirname(missing)), false);
+    });
+});
@@ -0,0 +1,600 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const process = require('process');
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { AuditVerdicts } = require('../lib/audit-store');
+const { AssignmentStates, MetricNames } = require('../lib/auditor');
+const { createTestAuditor, createTempDir, copyDefaultContract, waitFor, sleep } = require('./helpers');
+
+describe('Auditor audit cycle', () => {
+    let ctx = null;
+
+    beforeEach(() => {
+        // Keep the test output clean from the auditor logs.
+        mock.method(console, 'log', () => { });
+        mock.method(console, 'error', () => { });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        if (ctx)
+            ctx.cleanup();
+        ctx = null;
+    });
+
+    const completedRecords = () => ctx.auditor.auditStore.getRecords().filter(r => r.endedOn);
+
+    it('does nothing when there is no audit assignment', async () => {
+        ctx = createTestAuditor({ assignmentsPerMoment: 0 });
+        const requestAudit = mock.method(ctx.simulation.evernode.AuditorClient.prototype, 'requestAudit');
+        await ctx.auditor.init();
+
+        // Wait until the second moment starts, So the first moment's audit gets expired.
+        await waitFor(() => requestAudit.mock.callCount() >= 2);
+
+        assert.strictEqual(ctx.auditor.auditStore.getRecords().length, 0);
+        assert.strictEqual(ctx.simulation.network.verdicts.length, 0);
+        assert.strictEqual(ctx.auditor.getStatus().ongoingAudit.assignmentCount, -1);
+    });
+
+    it('audits multiple assignments within a moment', async () => {
+        ctx = createTestAuditor({
+            assignmentsPerMoment: 2,
+            hosts: [{ address: 'rHost1', currency: 'EVS01' }, { address: 'rHost2', currency: 'EVS02' }]
+        });
+        await ctx.auditor.init();
+
+        await waitFor(() => ctx.simulation.network.verdicts.length >= 2);
+
+        const verdicts = ctx.simulation.network.verdicts.slice(0, 2);
+        assert.deepStrictEqual(verdicts.map(v => v.address).sort(), ['rHost1', 'rHost2']);
+        assert.ok(verdicts.every(v => v.success));
+
+        await waitFor(() => completedRecords().length >= 2);
+        for (const record of completedRecords().slice(0, 2)) {
+            assert.strictEqual(record.verdict, AuditVerdicts.SUCCESS);
+            assert.strictEqual(record.submitted, true);
+            assert.ok(record.stages.find(s => s.name === 'customAudit' && s.success));
+            assert.ok(record.score.value >= record.score.passScore);
+            assert.ok(record.benchmarks.cpu.hashRate > 0);
+            assert.deepStrictEqual(record.score.stages.map(s => s.name), ['redeemThreshold', 'connect', 'bootstrapStatus', 'upload', 'customAudit']);
+        }
+
+        // Trustlines created by the assignments should be removed.
+        assert.strictEqual(ctx.simulation.network.trustlines.size, 0);
+        // Journal has had the HotPocket keys of the audits.
+        assert.strictEqual(fs.statSync(path.join(ctx.dir, 'db/audit-journal.json')).mode & 0o777, 0o600);
+    });
+
+    it('queues the assignments over the concurrent audit limit', async () => {
+        // Longer moment, So all three audits fit in it.
+        ctx = createTestAuditor({
+            momentSize: 120,
+            assignmentsPerMoment: 3,
+            hosts: [{ address: 'rHost1', currency: 'EVS01' }, { address: 'rHost2', currency: 'EVS02' }, { address: 'rHost3', currency: 'EVS03' }]
+        }, {
+            audit: {
+                maxConcurrentAudits: 1,
+                stages: ['redeemThreshold', 'connect', 'bootstrapStatus', 'upload', 'customAudit'].map(name => ({ name: name, timeout: 3000 }))
+            }
+        });
+
+        // Each audit is held at the cash stage until the test releases it, So the slot usage is checked at every step.
+        const gates = [];
+        const ongoingOnCash = [];
+        const cash = ctx.simulation.evernode.AuditorClient.prototype.cashAuditAssignment;
+        mock.method(ctx.simulation.evernode.AuditorClient.prototype, 'cashAuditAssignment', async function (...args) {
+            ongoingOnCash.push(ctx.auditor.metrics.get(MetricNames.ONGOING_ASSIGNMENTS).value);
+            await new Promise(resolve => gates.push(resolve));
+            return cash.apply(this, args);
+        });
+        await ctx.auditor.init();
+
+        const states = () => {
+            const ongoingAudit = ctx.auditor.getStatus().ongoingAudit;
+            return ongoingAudit ? ongoingAudit.assignments.map(a => a.state) : [];
+        };
+        const count = (state) => states().filter(s => s === state).length;
+
+        await waitFor(() => states().length === 3 && gates.length === 1);
+        assert.strictEqual(count(AssignmentStates.RUNNING), 1);
+        assert.strictEqual(count(AssignmentStates.QUEUED), 2);
+
+        // Next audit only starts after the running one is completed.
+        for (let i = 1; i <= 3; i++) {
+            gates[i - 1]();
+            await waitFor(() => completedRecords().length === i && (i === 3 || gates.length === i + 1));
+            assert.strictEqual(count(AssignmentStates.DONE), i);
+            assert.strictEqual(count(AssignmentStates.RUNNING), i < 3 ? 1 : 0);
+            assert.strictEqual(count(AssignmentStates.QUEUED), Math.max(0, 2 - i));
+        }
+
+        assert.deepStrictEqual(ongoingOnCash, [1, 1, 1]);
+        assert.strictEqual(gates.length, 3);
+        await waitFor(() => ctx.simulation.network.verdicts.length >= 3);
+        assert.ok(ctx.simulation.network.verdicts.slice(0, 3).every(v => v.success));
+
+        // Working directories are removed once the audits are completed.
+        assert.deepStrictEqual(fs.readdirSync(path.join(ctx.dir, 'work')), []);
+    });
+
+    it('submits audit fail when the host returns wrong outputs', async () => {
+        ctx = createTestAuditor({ hosts: [{ address: 'rHost1', currency: 'EVS01', faults: { output: 'wrong' } }] });
+        await ctx.auditor.init();
+
+        await waitFor(() => completedRecords().length >= 1);
+        const record = completedRecords()[0];
+        assert.strictEqual(record.verdict, AuditVerdicts.FAIL);
+        assert.strictEqual(record.reason, 'customAudit');
+        assert.strictEqual(record.submitted, true);
+        assert.strictEqual(ctx.simulation.network.verdicts[0].success, false);
+    });
+
+    it('submits audit fail when the host does not keep the challenge answers', async () => {
+        ctx = createTestAuditor({ hosts: [{ address: 'rHost1', currency: 'EVS01', faults: { challenge: 'noState' } }] });
+        await ctx.auditor.init();
+
+        await waitFor(() => completedRecords().length >= 1);
+        const record = completedRecords()[0];
+        assert.strictEqual(record.verdict, AuditVerdicts.FAIL);
+        assert.strictEqual(record.reason, 'customAudit');
+        assert.match(record.stages.find(s => s.name === 'customAudit').reason, /required tests failed \(challenge\)/);
+        assert.strictEqual(ctx.simulation.network.verdicts[0].success, false);
+    });
+
+    it('fails the audit when the score is below the pass score', async () => {
+        ctx = createTestAuditor({}, {
+            audit: {
+                passScore: 0.8,
+                stages: [
+                    ...['redeemThreshold', 'connect', 'bootstrapStatus', 'upload', 'customAudit'].map(name => ({ name: name, timeout: 3000 })),
+                    { name: 'probe', module: './probe.js', required: false, weight: 3 }
+                ]
+            }
+        });
+        fs.writeFileSync(path.join(ctx.dir, 'probe.js'), 'exports.run = async () => ({ success: false, score: 0.25, reason: "Slow probe." });');
+        await ctx.auditor.init();
+
+        await waitFor(() => completedRecords().length >= 1);
+        const record = completedRecords()[0];
+        // Required stages pass, But a quarter of the probe weight brings the score below the pass score.
+        assert.strictEqual(record.verdict, AuditVerdicts.FAIL);
+        assert.strictEqual(record.reason, 'score');
+        assert.ok(record.score.value < 0.8);
+        assert.deepStrictEqual(record.score.stages.find(s => s.name === 'probe'), { name: 'probe', weight: 3, score: 0.25 });
+        assert.strictEqual(ctx.simulation.network.verdicts[0].success, false);
+    });
+
+    it('aborts the stage which times out', async () => {
+        ctx = createTestAuditor({}, {
+            audit: {
+                stages: [
+                    ...['redeemThreshold', 'connect', 'bootstrapStatus', 'upload', 'customAudit'].map(name => ({ name: name, timeout: 3000 })),
+                    { name: 'probe', module: './probe.js', required: false, timeout: 50 }
+                ]
+            }
+        });
+        const abortedPath = path.join(ctx.dir, 'aborted.txt');
+        // Probe hangs until its signal is aborted.
+        fs.writeFileSync(path.join(ctx.dir, 'probe.js'), `exports.run = (ctx) => new Promise((resolve, reject) => ctx.signal.onAbort((reason) => {
+            require('fs').writeFileSync(${JSON.stringify(abortedPath)}, reason);
+            reject(reason);
+        }));`);
+        await ctx.auditor.init();
+
+        await waitFor(() => completedRecords().length >= 1);
+        const record = completedRecords()[0];
+        assert.strictEqual(record.stages.find(s => s.name === 'probe').reason, 'Stage timed out after 50ms.');
+        assert.strictEqual(fs.readFileSync(abortedPath).toString(), 'Stage timed out after 50ms.');
+        assert.strictEqual(record.verdict, AuditVerdicts.SUCCESS);
+    });
+
+    it('applies the config changes from the next moment', async () => {
+        ctx = createTestAuditor({ momentSize: 60 });
+        fs.writeFileSync(path.join(ctx.dir, 'probe.js'), 'exports.run = async () => ({ success: true });');
+
+        // First audit is held at the cash stage, So the config is changed while it's running.
+        let release = null;
+        const cash = ctx.simulation.evernode.AuditorClient.prototype.cashAuditAssignment;
+        mock.method(ctx.simulation.evernode.AuditorClient.prototype, 'cashAuditAssignment', async function (...args) {
+            if (!release)
+                await new Promise(resolve => release = resolve);
+            return cash.apply(this, args);
+        });
+        await ctx.auditor.init();
+        await waitFor(() => release);
+
+        const configPath = path.join(ctx.dir, 'auditor.cfg');
+        const cfg = JSON.parse(fs.readFileSync(configPath));
+        cfg.audit.stages.push({ name: 'probe', module: './probe.js', required: false });
+        fs.writeFileSync(configPath, JSON.stringify(cfg));
+        process.emit('SIGHUP');
+        release();
+
+        await waitFor(() => completedRecords().length >= 2, 10000);
+        const [next, running] = completedRecords();
+        assert.strictEqual(running.verdict, AuditVerdicts.SUCCESS);
+        assert.deepStrictEqual(running.score.stages.map(s => s.name), ['redeemThreshold', 'connect', 'bootstrapStatus', 'upload', 'customAudit']);
+        assert.strictEqual(next.momentStartIdx, running.momentStartIdx + 60);
+        assert.strictEqual(next.verdict, AuditVerdicts.SUCCESS);
+        assert.deepStrictEqual(next.score.stages.map(s => s.name), ['redeemThreshold', 'connect', 'bootstrapStatus', 'upload', 'customAudit', 'probe']);
+    });
+
+    it('submits audit fail when the host connection fails', async () => {
+        ctx = createTestAuditor({ hosts: [{ address: 'rHost1', currency: 'EVS01', faults: { connect: true } }] });
+        await ctx.auditor.init();
+
+        await waitFor(() => completedRecords().length >= 1);
+        const record = completedRecords()[0];
+        assert.strictEqual(record.verdict, AuditVerdicts.FAIL);
+        assert.strictEqual(record.reason, 'connect');
+    });
+
+    it('fails the audit when the redeem takes longer than the threshold', async () => {
+        ctx = createTestAuditor({ hosts: [{ address: 'rHost1', currency: 'EVS01', redeemDelayLedgers: 16 }] });
+        await ctx.auditor.init();
+
+        await waitFor(() => completedRecords().length >= 1);
+        const record = completedRecords()[0];
+        assert.strictEqual(record.verdict, AuditVerdicts.FAIL);
+        assert.strictEqual(record.reason, 'redeemThreshold');
+        assert.ok(record.redeemLedgers >= 15);
+    });
+
+    const expiryCases = [
+        { stage: 'redeem', faults: { redeem: 'timeout' } },
+        { stage: 'bootstrap status', faults: { status: 'hang' } },
+        { stage: 'upload', faults: { upload: 'hang' } },
+        { stage: 'custom audit', faults: { output: 'none' } }
+    ];
+
+    for (const c of expiryCases) {
+        it(`expires the audit when the moment ends while waiting for ${c.stage}`, async () => {
+            ctx = createTestAuditor({ hosts: [{ address: 'rHost1', currency: 'EVS01', faults: c.faults }] });
+            await ctx.auditor.init();
+
+            await waitFor(() => completedRecords().length >= 1, 10000);
+            const record = completedRecords()[0];
+            assert.strictEqual(record.verdict, AuditVerdicts.ERROR);
+            assert.strictEqual(record.reason, 'Moment expired.');
+            assert.strictEqual(record.submitted, false);
+
+            // Expired audits must not submit a verdict, But the trustline should be cleaned up.
+            // Journal entry is kept only if the trustline removal is pending.
+            await sleep(100);
+            assert.strictEqual(ctx.simulation.network.verdicts.filter(v => v.ledgerIdx < record.momentStartIdx + 30).length, 0);
+            assert.ok(!ctx.auditor.auditJournal.list().find(e => e.id === record.id));
+        });
+    }
+
+    it('removes the trustline when the redeem fails', async () => {
+        ctx = createTestAuditor({ hosts: [{ address: 'rHost1', currency: 'EVS01', faults: { redeem: 'fail' } }] });
+        await ctx.auditor.init();
+
+        await waitFor(() => completedRecords().length >= 1);
+        const record = completedRecords()[0];
+        assert.strictEqual(record.verdict, AuditVerdicts.ERROR);
+        assert.ok(record.stages.find(s => s.name === 'redeemed' && !s.success));
+        assert.strictEqual(ctx.simulation.network.trustlines.size, 0);
+        assert.strictEqual(ctx.auditor.auditJournal.list().length, 0);
+    });
+
+    it('does not fail the host for an auditor fault', async () => {
+        ctx = createTestAuditor();
+        // Contract bundle cannot be created with a broken contract config.
+        fs.writeFileSync(path.join(ctx.dir, 'contract/contract.config'), '{');
+        await ctx.auditor.init();
+
+        await waitFor(() => completedRecords().length >= 1);
+        const record = completedRecords()[0];
+        assert.strictEqual(record.verdict, AuditVerdicts.ERROR);
+        assert.match(record.reason, /Auditor fault in the upload stage/);
+        assert.strictEqual(record.stages.find(s => s.name === 'upload').fault, 'auditor');
+        assert.strictEqual(record.submitted, false);
+        assert.strictEqual(ctx.simulation.network.verdicts.length, 0);
+    });
+
+    it('does not submit the verdicts in the dry run mode', async () => {
+        ctx = createTestAuditor({}, {}, { dryRun: true });
+        await ctx.auditor.init();
+
+        await waitFor(() => completedRecords().length >= 1);
+        const record = completedRecords()[0];
+        assert.strictEqual(record.verdict, AuditVerdicts.SUCCESS);
+        assert.strictEqual(record.dryRun, true);
+        assert.strictEqual(record.submitted, false);
+        assert.strictEqual(ctx.simulation.network.verdicts.length, 0);
+        assert.strictEqual(ctx.simulation.network.trustlines.size, 0);
+        // Dry run audits are not counted in the reputation.
+        assert.strictEqual(ctx.auditor.hostReputation.getProfile('rHost1'), null);
+    });
+
+    it('audits a host on demand without requesting an audit', async () => {
+        // Two audits are run back to back within the moment.
+        ctx = createTestAuditor({ momentSize: 120, hosts: [{ address: 'rHost1', currency: 'EVS01' }, { address: 'rHost2', currency: 'EVS02', faults: { output: 'wrong' } }] });
+        const requestAudit = mock.method(ctx.simulation.evernode.AuditorClient.prototype, 'requestAudit');
+        await ctx.auditor.connect();
+
+        const success = await ctx.auditor.auditHost({ address: 'rHost1', currency: 'EVS01' });
+        assert.strictEqual(success.verdict, AuditVerdicts.SUCCESS);
+        assert.strictEqual(success.manual, true);
+        assert.ok(success.stages.find(s => s.name === 'customAudit' && s.success));
+
+        const fail = await ctx.auditor.auditHost({ address: 'rHost2', currency: 'EVS02' });
+        assert.strictEqual(fail.verdict, AuditVerdicts.FAIL);
+        assert.strictEqual(fail.reason, 'customAudit');
+
+        assert.strictEqual(requestAudit.mock.callCount(), 0);
+        assert.strictEqual(ctx.simulation.network.verdicts.length, 0);
+        assert.ok(!fail.submitted && !success.submitted);
+        // On demand audits are not counted in the reputation.
+        assert.deepStrictEqual(ctx.auditor.hostReputation.getProfiles(), []);
+    });
+
+    it('rotates the audit contracts of the contract registry', async () => {
+        const dir = createTempDir();
+        const registryPath = path.join(dir, 'registry.json');
+        copyDefaultContract(path.join(dir, 'v1'));
+        copyDefaultContract(path.join(dir, 'v2'));
+        const clientPath = path.join(__dirname, '../dependencies/default-client/default-client.js');
+        fs.writeFileSync(registryPath, JSON.stringify({
+            contracts: [
+                { version: '1.0.0', contract: 'v1/contract', client: clientPath, image: 'hp.0.6.1-test', hpVersion: '0.6.x' },
+                { version: '2.0.0', contract: 'v2/contract', client: clientPath, image: 'hp.0.7.0-test', hpVersion: '>=0.7.0' }
+            ]
+        }));
+
+        // Three audits are run back to back within the moment.
+        ctx = createTestAuditor({ momentSize: 120 }, {}, { contractRegistryPath: registryPath });
+        await ctx.auditor.connect();
+        assert.deepStrictEqual(ctx.auditor.getStatus().contracts.versions.map(c => c.version), ['1.0.0', '2.0.0']);
+
+        const records = [];
+        for (let i = 0; i < 3; i++) {
+            records.push(await ctx.auditor.auditHost({ address: 'rHost1', currency: 'EVS01' }));
+            // Instance is created with the image of the selected contract.
+            assert.strictEqual(ctx.simulation.hosts[0].instance.image, records[i].contract.image);
+        }
+        assert.ok(records.every(r => r.verdict === AuditVerdicts.SUCCESS));
+        assert.deepStrictEqual(records.map(r => r.contract), [
+            { version: '1.0.0', image: 'hp.0.6.1-test' },
+            { version: '2.0.0', image: 'hp.0.7.0-test' },
+            { version: '1.0.0', image: 'hp.0.6.1-test' }
+        ]);
+        assert.deepStrictEqual(ctx.auditor.auditStore.getRecord(records[1].id).contract.version, '2.0.0');
+    });
+
+    it('flags the hosts which fail consecutively', async () => {
+        ctx = createTestAuditor({ hosts: [{ address: 'rHost1', currency: 'EVS01', faults: { connect: true } }] }, { reputation: { maxConsecutiveFailures: 2 } });
+        await ctx.auditor.init();
+
+        await waitFor(() => completedRecords().length >= 1);
+        assert.deepStrictEqual(ctx.auditor.getStatus().flaggedHosts, []);
+
+        await waitFor(() => completedRecords().length >= 2);
+        const flagged = ctx.auditor.getStatus().flaggedHosts;
+        assert.deepStrictEqual(flagged.map(h => [h.address, h.flags.map(f => f.type)]), [['rHost1', ['consecutiveFailures']]]);
+        assert.strictEqual(ctx.auditor.metrics.get(MetricNames.FLAGGED_HOSTS).value, 1);
+        assert.deepStrictEqual(ctx.auditor.hostReputation.getProfile('rHost1').commonFailingStage, { stage: 'connect', count: 2 });
+    });
+
+    it('retries the transient xrpl failures', async () => {
+        ctx = createTestAuditor({ xrplFaults: { requestAudit: 1, cash: 1, verdict: 1, removeTrustline: 1 } }, { retry: { initialDelay: 5 } });
+        await ctx.auditor.init();
+
+        await waitFor(() => completedRecords().length >= 1);
+        const record = completedRecords()[0];
+        assert.strictEqual(record.verdict, AuditVerdicts.SUCCESS);
+        assert.strictEqual(record.submitted, true);
+        assert.deepStrictEqual(ctx.simulation.network.verdicts.map(v => v.address), ['rHost1']);
+        assert.strictEqual(ctx.simulation.network.trustlines.size, 0);
+        assert.strictEqual(ctx.auditor.auditJournal.list().length, 0);
+        for (const [action, count] of Object.entries({ requestAudit: 1, cash: 1, verdict: 1, removeTrustline: 1 }))
+            assert.strictEqual(ctx.auditor.metrics.get(MetricNames.RETRIES, { action: action }).value, count, action);
+    });
+
+    it('does not retry the redeem rejections', async () => {
+        ctx = createTestAuditor({ hosts: [{ address: 'rHost1', currency: 'EVS01', faults: { redeem: 'fail' } }] }, { retry: { initialDelay: 5 } });
+        const redeem = mock.method(ctx.simulation.evernode.UserClient.prototype, 'redeem');
+        await ctx.auditor.init();
+
+        await waitFor(() => completedRecords().length >= 1);
+        assert.strictEqual(completedRecords()[0].verdict, AuditVerdicts.ERROR);
+        assert.strictEqual(redeem.mock.callCount(), 1);
+    });
+
+    it('does not resubmit the redeem after a transient failure', async () => {
+        ctx = createTestAuditor({ xrplFaults: { redeem: 1 } }, { retry: { initialDelay: 5 } });
+        const redeem = mock.method(ctx.simulation.evernode.UserClient.prototype, 'redeem');
+        await ctx.auditor.init();
+
+        // Failed submission might have been applied, So it's not resubmitted.
+        await waitFor(() => completedRecords().length >= 1);
+        const record = completedRecords()[0];
+        assert.strictEqual(record.verdict, AuditVerdicts.ERROR);
+        assert.ok(record.stages.find(s => s.name === 'redeemed' && !s.success));
+        assert.strictEqual(redeem.mock.callCount(), 1);
+        assert.strictEqual(ctx.auditor.metrics.get(MetricNames.RETRIES, { action: 'redeem' }), undefined);
+        assert.strictEqual(ctx.simulation.network.trustlines.size, 0);
+    });
+
+    it('sweeps the failed trustline removals and verdict submissions', async () => {
+        // Longer moment, So the sweep runs before the moment of the verdict ends.
+        ctx = createTestAuditor({ momentSize: 60, xrplFaults: { verdict: 2, removeTrustline: 3 } }, { retry: { initialDelay: 5, maxAttempts: 2 } });
+        await ctx.auditor.init();
+
+        await waitFor(() => completedRecords().length >= 1);
+        const record = completedRecords()[0];
+        assert.strictEqual(record.verdict, AuditVerdicts.SUCCESS);
+        assert.strictEqual(record.submitted, false);
+        assert.strictEqual(ctx.simulation.network.trustlines.size, 1);
+        assert.strictEqual(ctx.auditor.auditJournal.list().length, 1);
+        assert.strictEqual(ctx.auditor.metrics.get(MetricNames.PENDING_SWEEPS).value, 1);
+
+        await ctx.auditor.sweep();
+        assert.strictEqual(ctx.auditor.auditStore.getRecord(record.id).submitted, true);
+        assert.deepStrictEqual(ctx.simulation.network.verdicts.map(v => v.address), ['rHost1']);
+        assert.strictEqual(ctx.simulation.network.trustlines.size, 0);
+        assert.strictEqual(ctx.auditor.auditJournal.list().length, 0);
+        assert.strictEqual(ctx.auditor.metrics.get(MetricNames.PENDING_SWEEPS).value, 0);
+    });
+
+    it('recovers the journaled audits after a restart', async () => {
+        ctx = createTestAuditor({ assignmentsPerMoment: 0 });
+        // Journal as left by an auditor which stopped in the middle of two audits.
+        const current = {
+            id: 'journaled-current',
+            momentStartIdx: 1000,
+            hostInfo: { currency: 'EVS01', address: 'rHost1', amount: '1' },
+            assignmentInfo: { currency: 'EVS01', issuer: 'rHost1', value: '1' },
+            stage: 'assigned'
+        };
+        const past = {
+            id: 'journaled-past',
+            momentStartIdx: 970,
+            hostInfo: { currency: 'EVS02', address: 'rHost2', amount: '1' },
+            assignmentInfo: { currency: 'EVS02', issuer: 'rHost2', value: '1' },
+            stage: 'cashed',
+            trustCreated: true
+        };
+        fs.mkdirSync(path.join(ctx.dir, 'db'), { recursive: true });
+        fs.writeFileSync(path.join(ctx.dir, 'db/audit-journal.json'), JSON.stringify({ [current.id]: current, [past.id]: past }));
+        ctx.simulation.network.trustlines.add('EVS02/rHost2');
+
+        await ctx.auditor.init();
+        // Journal keeps the HotPocket keys of the audits, So it's only readable by the owner.
+        assert.strictEqual(fs.statSync(path.join(ctx.dir, 'db/audit-journal.json')).mode & 0o777, 0o600);
+
+        await waitFor(() => completedRecords().length >= 2 && !ctx.auditor.auditJournal.list().length);
+        const currentRecord = ctx.auditor.auditStore.getRecord(current.id);
+        assert.strictEqual(currentRecord.verdict, AuditVerdicts.SUCCESS);
+        assert.strictEqual(currentRecord.submitted, true);
+        assert.deepStrictEqual(ctx.simulation.network.verdicts.map(v => v.address), ['rHost1']);
+        assert.strictEqual(ctx.auditor.auditStore.getRecord(past.id).verdict, AuditVerdicts.ERROR);
+        assert.strictEqual(ctx.auditor.auditStore.getRecords().length, 2);
+        assert.strictEqual(ctx.simulation.network.trustlines.size, 0);
+    });
+
+    it('fails over to the next rippled server when connecting', async () => {
+        ctx = createTestAuditor({ downServers: ['wss://rippled1.test'] });
+        await ctx.auditor.init();
+
+        const status = ctx.auditor.getStatus().rippled;
+        assert.strictEqual(status.current, 'wss://rippled2.test');
+        assert.deepStrictEqual(status.servers.map(s => s.failures), [1, 0]);
+        await waitFor(() => completedRecords().length >= 1);
+    });
+
+    it('fails over when the rippled server stops sending the ledgers', async () => {
+        ctx = createTestAuditor({}, { xrpl: { address: 'rTestAuditor', secret: 'sTestSecret', hookAddress: 'rTestHook', rippledServers: ['wss://rippled1.test', 'wss://rippled2.test'], ledgerTimeout: 1000 } });
+        await ctx.auditor.init();
+        assert.strictEqual(ctx.auditor.getStatus().rippled.current, 'wss://rippled1.test');
+
+        ctx.simulation.network.xrplApi.downServers.add('wss://rippled1.test');
+        await waitFor(() => ctx.auditor.getStatus().rippled.current === 'wss://rippled2.test', 3000);
+        assert.strictEqual(ctx.auditor.metrics.get(MetricNames.RIPPLED_FAILOVERS).value, 1);
+
+        // Ledgers closed while the server was down are detected as missed.
+        await waitFor(() => ctx.auditor.metrics.get(MetricNames.MISSED_LEDGERS));
+        await waitFor(() => completedRecords().length >= 1);
+    });
+
+    it('keeps failing over while all the rippled servers are down', async () => {
+        const rejections = [];
+        const onRejection = (e) => rejections.push(e);
+        process.on('unhandledRejection', onRejection);
+        try {
+            ctx = createTestAuditor({}, { xrpl: { address: 'rTestAuditor', secret: 'sTestSecret', hookAddress: 'rTestHook', rippledServers: ['wss://rippled1.test', 'wss://rippled2.test'], ledgerTimeout: 1000 } });
+            await ctx.auditor.init();
+
+            const downServers = ctx.simulation.network.xrplApi.downServers;
+            downServers.add('wss://rippled1.test');
+            downServers.add('wss://rippled2.test');
+            // Second failover starts without a current server, Since the first one could not connect to any server.
+            await waitFor(() => (ctx.auditor.metrics.get(MetricNames.RIPPLED_FAILOVERS) || { value: 0 }).value >= 2, 5000);
+            assert.strictEqual(ctx.auditor.getStatus().rippled.current, null);
+
+            downServers.delete('wss://rippled2.test');
+            await waitFor(() => ctx.auditor.getStatus().rippled.current === 'wss://rippled2.test', 5000);
+            assert.deepStrictEqual(rejections, []);
+        }
+        finally {
+            process.off('unhandledRejection', onRejection);
+        }
+    });
+
+    it('starts the audit cycle late when the moment start ledger is missed', async () => {
+        ctx = createTestAuditor({ droppedLedgers: [1030, 1031] });
+        await ctx.auditor.init();
+
+        await waitFor(() => completedRecords().length >= 1);
+        assert.strictEqual(completedRecords()[0].momentStartIdx, 1030);
+        assert.strictEqual(completedRecords()[0].verdict, AuditVerdicts.SUCCESS);
+        assert.strictEqual(ctx.auditor.metrics.get(MetricNames.LATE_MOMENTS).value, 1);
+        assert.strictEqual(ctx.auditor.metrics.get(MetricNames.MISSED_LEDGERS).value, 2);
+    });
+
+    it('skips the audit cycle when too little of the moment is left', async () => {
+        ctx = createTestAuditor({ droppedLedgers: Array.from({ length: 20 }, (v, i) => 1030 + i) });
+        const requestAudit = mock.method(ctx.simulation.evernode.AuditorClient.prototype, 'requestAudit');
+        await ctx.auditor.init();
+
+        await waitFor(() => completedRecords().length >= 1, 8000);
+        assert.strictEqual(completedRecords()[0].momentStartIdx, 1060);
+        assert.strictEqual(requestAudit.mock.callCount(), 1);
+        assert.strictEqual(ctx.auditor.metrics.get(MetricNames.LATE_MOMENTS), undefined);
+        assert.strictEqual(ctx.auditor.metrics.get(MetricNames.MISSED_LEDGERS).value, 20);
+    });
+
+    it('lets the in-flight audits finish when shutting down', async () => {
+        ctx = createTestAuditor();
+        await ctx.auditor.init();
+
+        await waitFor(() => ctx.auditor.getStatus().auditQueue.running === 1);
+        await ctx.auditor.shutdown(10000);
+
+        const records = ctx.auditor.auditStore.getRecords();
+        assert.strictEqual(records.length, 1);
+        assert.strictEqual(records[0].verdict, AuditVerdicts.SUCCESS);
+        assert.strictEqual(records[0].submitted, true);
+        assert.deepStrictEqual(ctx.simulation.network.verdicts.map(v => v.address), ['rHost1']);
+        assert.strictEqual(ctx.simulation.network.trustlines.size, 0);
+        assert.strictEqual(ctx.auditor.auditJournal.list().length, 0);
+        assert.strictEqual(fs.existsSync(path.join(ctx.dir, 'work')), false);
+    });
+
+    it('aborts the in-flight audits after the shutdown grace period', async () => {
+        ctx = createTestAuditor({
+            assignmentsPerMoment: 2,
+            hosts: [{ address: 'rHost1', currency: 'EVS01', faults: { upload: 'hang' } }, { address: 'rHost2', currency: 'EVS02' }]
+        }, {
+            audit: {
+                maxConcurrentAudits: 1,
+                stages: ['redeemThreshold', 'connect', 'bootstrapStatus', 'upload', 'customAudit'].map(name => ({ name: name, timeout: 3000 }))
+            }
+        });
+        const requestAudit = mock.method(ctx.simulation.evernode.AuditorClient.prototype, 'requestAudit');
+        await ctx.auditor.init();
+
+        await waitFor(() => ctx.simulation.hosts[0].connectedClients === 1 && ctx.auditor.getStatus().auditQueue.waiting === 1);
+        await ctx.auditor.shutdown(50);
+
+        const records = ctx.auditor.auditStore.getRecords();
+        assert.deepStrictEqual(records.map(r => [r.host.address, r.verdict, r.reason]).sort(), [
+            ['rHost1', AuditVerdicts.ERROR, 'Auditor is shutting down.'],
+            ['rHost2', AuditVerdicts.ERROR, 'Auditor shut down before the audit started.']
+        ]);
+        assert.ok(records.every(r => r.endedOn));
+        assert.strictEqual(ctx.simulation.hosts[0].connectedClients, 0);
+        // Assignment which was not started is not cashed.
+        assert.deepStrictEqual([...ctx.simulation.network.trustlines], []);
+        assert.strictEqual(ctx.simulation.network.verdicts.length, 0);
+        assert.strictEqual(ctx.auditor.auditJournal.list().length, 0);
+        assert.strictEqual(fs.existsSync(path.join(ctx.dir, 'work')), false);
+
+        // Xrpl connection is closed, So no new audit cycles are started.
+        await sleep(100);
+        assert.strictEqual(requestAudit.mock.callCount(), 1);
+    });
+});
@@ -0,0 +1,258 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const bson = require('bson');
+const { Buffer } = require('buffer');
+const { BootstrapClient, UploadModes, ErrorCodes, Faults } = require('../bootstrap-client');
+const { MockHost, createMockHotPocket } = require('../lib/simulation/mock-host');
+const { Deadline } = require('../lib/deadline');
+const { createTempDir, copyDefaultContract, readZip, waitFor } = require('./helpers');
+
+describe('BootstrapClient', () => {
+    let host = null;
+    let client = null;
+
+    const connectClient = async (faults = {}, ip = undefined) => {
+        host = new MockHost({ address: 'rHost1', currency: 'EVS01', ip: ip, userPort: 9081, roundTime: 5, faults: faults });
+        host.createInstance({ contract_id: 'test-contract', owner_pubkey: 'ed00' });
+        client = new BootstrapClient(null, createMockHotPocket([host]));
+        await client.generateKeys();
+        return await client.connect(host.instance);
+    }
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => { });
+        mock.method(console, 'error', () => { });
+    });
+
+    afterEach(async () => {
+        mock.restoreAll();
+        if (client)
+            await client.disconnect();
+        client = null;
+    });
+
+    it('fails to connect when the host refuses the connection', async () => {
+        assert.strictEqual(await connectClient({ connect: true }), false);
+        assert.strictEqual(client.lastError.code, ErrorCodes.CONNECTION_FAILED);
+        assert.strictEqual(client.lastError.fault, Faults.HOST);
+        assert.strictEqual(client.hpc, null);
+    });
+
+    it('returns true when the bootstrap contract status is ok', async () => {
+        assert.strictEqual(await connectClient(), true);
+        assert.strictEqual(await client.checkStatus(), true);
+    });
+
+    it('returns false when the bootstrap contract status is not ok', async () => {
+        await connectClient({ status: 'fail' });
+        assert.strictEqual(await client.checkStatus(), false);
+    });
+
+    it('returns false when the status input submission is rejected', async () => {
+        await connectClient({ submission: true });
+        assert.strictEqual(await client.checkStatus(), false);
+        assert.strictEqual(client.lastError.code, ErrorCodes.INPUT_REJECTED);
+    });
+
+    it('ignores malformed outputs and the responses of other requests', async () => {
+        await connectClient({ status: 'hang' });
+        const status = client.checkStatus({ timeout: 200 });
+        // Wait until the status input is submitted.
+        await new Promise(resolve => setTimeout(resolve, 20));
+        client.hpc.emit('contractOutput', { ledgerSeqNo: 1, outputs: [Buffer.from('not bson')] });
+        client.hpc.emit('contractOutput', { ledgerSeqNo: 1, outputs: [bson.serialize({ type: 'statusResult', id: 'other-request', status: 'ok' })] });
+
+        assert.strictEqual(await status, false);
+        assert.strictEqual(client.lastError.code, ErrorCodes.TIMEOUT);
+        assert.strictEqual(client.lastError.fault, Faults.HOST);
+    });
+
+    it('matches the responses without a request id by the type', async () => {
+        await connectClient({ status: 'hang' });
+        const status = client.checkStatus();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        client.hpc.emit('contractOutput', { ledgerSeqNo: 1, outputs: [bson.serialize({ type: 'statusResult', status: 'ok', message: 'Old bootstrap contract.' })] });
+        assert.strictEqual(await status, true);
+    });
+
+    it('fails the pending requests when the host disconnects', async () => {
+        await connectClient({ status: 'hang' });
+        const status = client.checkStatus();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        client.hpc.emit('disconnect');
+
+        assert.strictEqual(await status, false);
+        assert.strictEqual(client.lastError.code, ErrorCodes.DISCONNECTED);
+        assert.strictEqual(client.hpc, null);
+    });
+
+    it('disconnects when the deadline is aborted', async () => {
+        const deadline = new Deadline();
+        host = new MockHost({ address: 'rHost1', currency: 'EVS01', userPort: 9081, roundTime: 5, faults: { status: 'hang' } });
+        host.createInstance({ contract_id: 'test-contract', owner_pubkey: 'ed00' });
+        client = new BootstrapClient(deadline, createMockHotPocket([host]));
+        await client.generateKeys();
+        assert.strictEqual(await client.connect(host.instance), true);
+
+        const status = client.checkStatus();
+        deadline.abort('Moment expired.');
+        assert.strictEqual(await status.catch(e => e), 'Moment expired.');
+        assert.strictEqual(client.hpc, null);
+    });
+
+    it('stops listening to the deadline once disconnected', async () => {
+        const deadline = new Deadline();
+        const disconnected = new BootstrapClient(deadline, createMockHotPocket([]));
+        await disconnected.disconnect();
+
+        const disconnect = mock.method(disconnected, 'disconnect');
+        deadline.abort('Moment expired.');
+        assert.strictEqual(disconnect.mock.callCount(), 0);
+    });
+
+    // Client of the host whose createClient and connect wait for the returned release functions.
+    const createSlowClient = (deadline) => {
+        host = new MockHost({ address: 'rHost1', currency: 'EVS01', userPort: 9081, roundTime: 5 });
+        host.createInstance({ contract_id: 'test-contract', owner_pubkey: 'ed00' });
+        const hotPocket = createMockHotPocket([host]);
+        const slow = { hpc: null, created: null, connected: null };
+        const createClient = hotPocket.createClient;
+        hotPocket.createClient = async (...args) => {
+            await new Promise(resolve => slow.created = resolve);
+            slow.hpc = await createClient(...args);
+            const connect = slow.hpc.connect.bind(slow.hpc);
+            slow.hpc.connect = async () => {
+                await new Promise(resolve => slow.connected = resolve);
+                return connect();
+            };
+            mock.method(slow.hpc, 'close');
+            return slow.hpc;
+        };
+        client = new BootstrapClient(deadline, hotPocket);
+        return slow;
+    }
+
+    it('closes the new connection when the deadline is aborted while creating the client', async () => {
+        const deadline = new Deadline();
+        const slow = createSlowClient(deadline);
+        await client.generateKeys();
+        const connected = client.connect(host.instance);
+        await new Promise(resolve => setImmediate(resolve));
+
+        deadline.abort('Moment expired.');
+        assert.strictEqual(await connected.catch(e => e), 'Moment expired.');
+        slow.created();
+        await waitFor(() => slow.hpc && slow.hpc.close.mock.callCount() === 1);
+        assert.strictEqual(slow.connected, null);
+        assert.strictEqual(client.hpc, null);
+    });
+
+    it('closes the new connection when the client is disconnected while connecting', async () => {
+        const slow = createSlowClient(null);
+        await client.generateKeys();
+        const connected = client.connect(host.instance);
+        await new Promise(resolve => setImmediate(resolve));
+        slow.created();
+        await waitFor(() => slow.connected);
+
+        await client.disconnect();
+        slow.connected();
+        assert.strictEqual(await connected, false);
+        assert.strictEqual(client.lastError.code, ErrorCodes.CLOSED);
+        assert.strictEqual(slow.hpc.close.mock.callCount(), 1);
+        assert.strictEqual(host.connectedClients, 0);
+        assert.strictEqual(client.hpc, null);
+    });
+
+    it('reports an auditor fault when the bundle cannot be created', async () => {
+        await connectClient();
+        assert.strictEqual(await client.uploadContract(path.join(createTempDir(), 'missing')), false);
+        assert.strictEqual(client.lastError.code, ErrorCodes.BUNDLE_FAILED);
+        assert.strictEqual(client.lastError.fault, Faults.AUDITOR);
+    });
+
+    it('uploads the contract bundle with the instance in the unl', async () => {
+        const contractPath = copyDefaultContract(createTempDir());
+        await connectClient();
+        assert.strictEqual(await client.uploadContract(contractPath), true);
+    });
+
+    it('uploads the bundle with the patched config without modifying the contract', async () => {
+        const contractPath = copyDefaultContract(createTempDir());
+        const originalConfig = fs.readFileSync(path.join(contractPath, 'contract.config'), 'utf8');
+        await connectClient();
+        assert.strictEqual(await client.uploadContract(contractPath), true);
+
+        assert.strictEqual(fs.readFileSync(path.join(contractPath, 'contract.config'), 'utf8'), originalConfig);
+        const files = readZip(host.bundle);
+        assert.deepStrictEqual(JSON.parse(files['contract.config'].toString()).unl, [host.instance.pubkey]);
+        assert.match(client.uploadStats.bundleHash, /^[0-9a-f]{64}$/);
+        assert.strictEqual(client.uploadStats.mode, UploadModes.SINGLE);
+    });
+
+    // Contract with a file which doesn't compress, So the bundle spans several chunks.
+    const createLargeContract = () => {
+        const contractPath = copyDefaultContract(createTempDir());
+        fs.writeFileSync(path.join(contractPath, 'data.bin'), crypto.randomBytes(40 * 1024));
+        return contractPath;
+    }
+
+    it('uploads large bundles in chunks', async () => {
+        const contractPath = createLargeContract();
+        await connectClient();
+        assert.strictEqual(await client.uploadContract(contractPath, { chunkSize: 8192 }), true);
+
+        assert.strictEqual(client.uploadStats.mode, UploadModes.CHUNKED);
+        assert.strictEqual(client.uploadStats.chunks, Math.ceil(host.bundle.length / 8192));
+        assert.strictEqual(client.uploadStats.resentChunks, 0);
+        assert.ok(client.uploadStats.throughput > 0);
+        assert.deepStrictEqual(readZip(host.bundle)['data.bin'], fs.readFileSync(path.join(contractPath, 'data.bin')));
+    });
+
+    it('sends the missing chunks again', async () => {
+        const contractPath = createLargeContract();
+        await connectClient({ chunks: 'drop' });
+        assert.strictEqual(await client.uploadContract(contractPath, { chunkSize: 8192 }), true);
+        assert.strictEqual(client.uploadStats.resentChunks, 1);
+        assert.strictEqual(crypto.createHash('sha256').update(host.bundle).digest('hex'), client.uploadStats.bundleHash);
+    });
+
+    it('falls back to a single input when the bootstrap contract does not support chunks', async () => {
+        const contractPath = createLargeContract();
+        // Host has its own ip, Since the fallback is remembered for the host.
+        await connectClient({ upload: 'legacy' }, '127.0.0.2');
+        assert.strictEqual(await client.uploadContract(contractPath, { chunkSize: 8192, startTimeout: 100 }), true);
+        assert.strictEqual(client.uploadStats.mode, UploadModes.SINGLE);
+        assert.strictEqual(client.uploadStats.chunks, 1);
+    });
+
+    it('does not wait for the chunked upload of a legacy host again', async () => {
+        const contractPath = createLargeContract();
+        await connectClient({ upload: 'legacy' }, '127.0.0.3');
+        assert.strictEqual(await client.uploadContract(contractPath, { chunkSize: 8192, startTimeout: 100 }), true);
+        await client.disconnect();
+
+        // Next audit of the host uploads the single input without asking for the chunked upload.
+        await connectClient({ upload: 'legacy' }, '127.0.0.3');
+        const submit = mock.method(client.hpc, 'submitContractInput');
+        assert.strictEqual(await client.uploadContract(contractPath, { chunkSize: 8192, startTimeout: 100 }), true);
+        assert.deepStrictEqual(submit.mock.calls.map(c => bson.deserialize(c.arguments[0]).type), ['upload']);
+        assert.strictEqual(client.uploadStats.mode, UploadModes.SINGLE);
+        assert.ok(client.uploadStats.duration < 100);
+    });
+
+    it('returns false when the host fails the upload', async () => {
+        const contractPath = copyDefaultContract(createTempDir());
+        await connectClient({ upload: 'fail' });
+        assert.strictEqual(await client.uploadContract(contractPath), false);
+    });
+
+    it('returns false when the upload input submission is rejected', async () => {
+        const contractPath = copyDefaultContract(createTempDir());
+        await connectClient({ submission: true });
+        assert.strictEqual(await client.uploadContract(contractPath), false);
+    });
+});
@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { Buffer } = require('buffer');
+const { ContractBundler, crc32 } = require('../bootstrap-client/bundle');
+const { createTempDir, copyDefaultContract, readZip } = require('./helpers');
+
+describe('ContractBundler', () => {
+    it('computes the standard crc32 checksum', () => {
+        assert.strictEqual(crc32(Buffer.from('123456789')), 0xCBF43926);
+        assert.strictEqual(crc32(Buffer.alloc(0)), 0);
+    });
+
+    it('bundles the contract files with the config overlay', () => {
+        const contractPath = copyDefaultContract(createTempDir());
+        fs.mkdirSync(path.join(contractPath, 'lib'));
+        fs.writeFileSync(path.join(contractPath, 'lib/helper.js'), 'module.exports = {};');
+        fs.writeFileSync(path.join(contractPath, '.hidden'), 'secret');
+        const originalConfig = fs.readFileSync(path.join(contractPath, 'contract.config'), 'utf8');
+
+        const bundle = new ContractBundler().build(contractPath, { unl: ['edabc'] });
+        const files = readZip(bundle.content);
+
+        assert.deepStrictEqual(Object.keys(files).sort(), ['audit-logic.js', 'benchmark.js', 'contract.config', 'default-contract.js', 'lib/helper.js']);
+        assert.deepStrictEqual(files['default-contract.js'], fs.readFileSync(path.join(contractPath, 'default-contract.js')));
+        assert.strictEqual(files['lib/helper.js'].toString(), 'module.exports = {};');
+
+        const config = JSON.parse(files['contract.config'].toString());
+        assert.deepStrictEqual(config.unl, ['edabc']);
+        assert.strictEqual(config.version, JSON.parse(originalConfig).version);
+        assert.strictEqual(fs.readFileSync(path.join(contractPath, 'contract.config'), 'utf8'), originalConfig);
+    });
+
+    it('gives the same hash for the same contract and overlay', () => {
+        const contractPath = copyDefaultContract(createTempDir());
+        const bundler = new ContractBundler();
+        const first = bundler.build(contractPath, { unl: ['ed01'] });
+
+        assert.strictEqual(new ContractBundler().build(contractPath, { unl: ['ed01'] }).hash, first.hash);
+        assert.notStrictEqual(bundler.build(contractPath, { unl: ['ed02'] }).hash, first.hash);
+    });
+
+    it('reuses the cached contract files until a file changes', () => {
+        const contractPath = copyDefaultContract(createTempDir());
+        const bundler = new ContractBundler();
+
+        assert.strictEqual(bundler.build(contractPath).cached, false);
+        assert.strictEqual(bundler.build(contractPath).cached, true);
+
+        fs.writeFileSync(path.join(contractPath, 'audit-logic.js'), '// Changed.');
+        const bundle = bundler.build(contractPath);
+        assert.strictEqual(bundle.cached, false);
+        assert.strictEqual(readZip(bundle.content)['audit-logic.js'].toString(), '// Changed.');
+    });
+});
@@ -0,0 +1,120 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const process = require('process');
+const { parseArgs, runCli } = require('../lib/cli');
+const { AuditStore, AuditVerdicts } = require('../lib/audit-store');
+const { createTempDir, copyDefaultContract } = require('./helpers');
+
+describe('Cli', () => {
+    let output = null;
+
+    beforeEach(() => {
+        output = [];
+        mock.method(console, 'log', (...args) => output.push(args.join(' ')));
+        mock.method(console, 'error', (...args) => output.push(args.join(' ')));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const createSettings = (cfg) => {
+        const dir = createTempDir();
+        const settings = {
+            dataDir: dir,
+            configPath: path.join(dir, 'auditor.cfg'),
+            auditDbPath: path.join(dir, 'db/audits.jsonl'),
+            contractPath: copyDefaultContract(dir),
+            clientPath: path.join(__dirname, '../dependencies/default-client/default-client.js')
+        };
+        fs.writeFileSync(settings.configPath, JSON.stringify(cfg || {
+            xrpl: { address: 'rAuditor', secret: 'sSecret', hookAddress: 'rHook' },
+            instance: { image: 'hp.test' }
+        }));
+        return settings;
+    }
+
+    it('parses the command and the options', () => {
+        assert.deepStrictEqual(parseArgs(['audit', '--host', 'rHost1', '--token', 'EVS01', '--dry-run']), {
+            command: 'audit',
+            positional: [],
+            options: { host: 'rHost1', token: 'EVS01', 'dry-run': true }
+        });
+        assert.deepStrictEqual(parseArgs(['keystore', 'rotate', '--secret']), {
+            command: 'keystore',
+            positional: ['rotate'],
+            options: { secret: true }
+        });
+        assert.strictEqual(parseArgs([]).command, null);
+    });
+
+    it('lists the audit history with the filters', async () => {
+        const settings = createSettings();
+        const store = new AuditStore(settings.auditDbPath);
+        store.init();
+        const r1 = store.createRecord(1000, { address: 'rHost1', currency: 'EVS01' });
+        store.setVerdict(r1, AuditVerdicts.SUCCESS);
+        store.setSubmitted(r1, true);
+        const r2 = store.createRecord(1020, { address: 'rHost2', currency: 'EVS02' }, { dryRun: true });
+        store.setVerdict(r2, AuditVerdicts.FAIL, 'customAudit');
+        const stat = fs.statSync(settings.auditDbPath);
+
+        assert.strictEqual(await runCli(['history', '--host', 'rHost2'], settings), 0);
+        assert.strictEqual(output.length, 1);
+        assert.match(output[0], /moment 1020 {2}rHost2 EVS02 {2}fail \(customAudit\) {2}\[not submitted, dry run\]/);
+
+        output.length = 0;
+        assert.strictEqual(await runCli(['history', '--moment', '1000', '--json'], settings), 0);
+        assert.deepStrictEqual(JSON.parse(output[0]).map(r => r.id), [r1.id]);
+
+        assert.strictEqual(await runCli(['history', '--limit', 'all'], settings), 1);
+
+        // Store file of a running auditor is not rewritten, Though it has old snapshots to compact.
+        assert.strictEqual(await runCli(['reputation'], settings), 0);
+        assert.strictEqual(fs.statSync(settings.auditDbPath).ino, stat.ino);
+        assert.strictEqual(fs.statSync(settings.auditDbPath).size, stat.size);
+    });
+
+    it('exports the host reputation profiles', async () => {
+        const settings = createSettings();
+        const store = new AuditStore(settings.auditDbPath);
+        store.init();
+        for (const address of ['rHost1', 'rHost2', 'rHost2', 'rHost2']) {
+            const record = store.createRecord(1000, { address: address, currency: 'EVS01' });
+            store.setVerdict(record, address === 'rHost1' ? AuditVerdicts.SUCCESS : AuditVerdicts.FAIL, 'connect');
+        }
+
+        assert.strictEqual(await runCli(['reputation', '--flagged'], settings), 0);
+        const profiles = JSON.parse(output[0]);
+        assert.deepStrictEqual(profiles.map(p => [p.address, p.consecutiveFailures, p.flags.map(f => f.type)]), [['rHost2', 3, ['consecutiveFailures']]]);
+
+        const written = [];
+        const write = mock.method(process.stdout, 'write', (text) => written.push(text));
+        assert.strictEqual(await runCli(['reputation', '--host', 'rHost1', '--format', 'csv'], settings), 0);
+        write.mock.restore();
+        assert.match(written.join(''), /^address,tokens,.*\nrHost1,EVS01,1,0,1,1,1,,0,,/);
+
+        assert.strictEqual(await runCli(['reputation', '--format', 'xml'], settings), 1);
+    });
+
+    it('checks the config, the secret and the contract', async () => {
+        const settings = createSettings();
+        assert.strictEqual(await runCli(['check-config'], settings), 0);
+        assert.match(output.join('\n'), /is valid/);
+        assert.match(output.join('\n'), /Audit contracts \(roundRobin\): default \[hp.test\]/);
+
+        const invalid = createSettings({ xrpl: { address: 'rAuditor', hookAddress: 'rHook' }, instance: { image: 'hp.test' } });
+        assert.strictEqual(await runCli(['check-config'], invalid), 1);
+        assert.match(output.join('\n'), /Xrpl secret is not given/);
+    });
+
+    it('fails for unknown commands and missing options', async () => {
+        const settings = createSettings();
+        assert.strictEqual(await runCli(['unknown'], settings), 1);
+        assert.strictEqual(await runCli(['audit', '--host', 'rHost1'], settings), 1);
+        assert.strictEqual(await runCli(['status'], settings), 1);
+        assert.match(output.join('\n'), /statusServer.port is not configured/);
+    });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { validateConfig, readConfig, ConfigWatcher } = require('../lib/config');
+const { createTempDir } = require('./helpers');
+
+const validConfig = () => ({
+    xrpl: { address: 'rAuditor', secret: 'sSecret', hookAddress: 'rHook' },
+    instance: { image: 'hp.test' }
+});
+
+describe('Config', () => {
+    it('fills the defaults for the missing tunables', () => {
+        const cfg = validateConfig(validConfig());
+        assert.strictEqual(cfg.audit.redeemWaitTimeout, 60000);
+        assert.strictEqual(cfg.audit.redeemThresholdRatio, 0.5);
+        assert.strictEqual(cfg.audit.maxConcurrentAudits, 4);
+        assert.strictEqual(cfg.audit.passScore, 0.8);
+        assert.deepStrictEqual(cfg.audit.stages, []);
+        assert.strictEqual(cfg.client.inputTimeout, 5000);
+        assert.deepStrictEqual(cfg.client.challenge, { enabled: true, count: 1, iterations: 1000 });
+        assert.deepStrictEqual(cfg.client.benchmark, { enabled: true, cpuIterations: 100000, diskSize: 1048576, rounds: 3, thresholds: {} });
+        assert.deepStrictEqual(cfg.client.scoring, { passScore: 0.8, latencyTarget: 1000, roundTimeTarget: 2000, weights: { correctness: 0.7, latency: 0.3, roundTime: 0.3 } });
+        assert.strictEqual(cfg.log.fileEnabled, false);
+        assert.strictEqual(cfg.log.level, 'info');
+        assert.deepStrictEqual(cfg.log.components, {});
+        assert.strictEqual(cfg.statusServer, undefined);
+    });
+
+    it('keeps the given values', () => {
+        const cfg = validConfig();
+        cfg.audit = { redeemWaitTimeout: 1000, stages: [{ name: 'connect', timeout: 10 }] };
+        const res = validateConfig(cfg);
+        assert.strictEqual(res.audit.redeemWaitTimeout, 1000);
+        assert.strictEqual(res.audit.redeemThresholdRatio, 0.5);
+        assert.deepStrictEqual(res.audit.stages, [{ name: 'connect', timeout: 10 }]);
+    });
+
+    it('lists all the errors of an invalid config', () => {
+        const cfg = validConfig();
+        cfg.xrpl.address = '';
+        cfg.audit = { redeemThresholdRatio: 2, maxConcurrentAudits: 1.5, passScore: -1, stages: [{ timeout: 'x' }] };
+        cfg.client = { scoring: { weights: { latency: 'high' } } };
+        cfg.statusServer = { port: '8080' };
+        cfg.log = { level: 'verbose', components: { bootstrap: 'all' } };
+        assert.throws(() => validateConfig(cfg), (e) => {
+            assert.match(e, /xrpl\.address is required/);
+            assert.match(e, /audit\.redeemThresholdRatio should be less than or equal to 1/);
+            assert.match(e, /audit\.maxConcurrentAudits should be an integer/);
+            assert.match(e, /audit\.passScore should be greater than or equal to 0/);
+            assert.match(e, /client\.scoring\.weights\.latency should be of type number/);
+            assert.match(e, /audit\.stages\[0\]\.name is required/);
+            assert.match(e, /audit\.stages\[0\]\.timeout should be of type number/);
+            assert.match(e, /statusServer\.port should be of type number/);
+            assert.match(e, /log\.level should be one of trace, debug, info, warn, error/);
+            assert.match(e, /log\.components\.bootstrap should be one of/);
+            return true;
+        });
+    });
+
+    it('reports unparsable config files', () => {
+        const configPath = path.join(createTempDir(), 'auditor.cfg');
+        fs.writeFileSync(configPath, '{ invalid');
+        assert.throws(() => readConfig(configPath), /Could not parse/);
+    });
+
+    it('emits the validated config on reload', async () => {
+        const configPath = path.join(createTempDir(), 'auditor.cfg');
+        fs.writeFileSync(configPath, JSON.stringify(validConfig()));
+        const watcher = new ConfigWatcher(configPath);
+
+        const changed = new Promise(resolve => watcher.once('change', resolve));
+        watcher.reload();
+        assert.strictEqual((await changed).audit.redeemWaitTimeout, 60000);
+
+        fs.writeFileSync(configPath, '{}');
+        const failed = new Promise(resolve => watcher.once('error', resolve));
+        watcher.reload();
+        assert.match(await failed, /xrpl is required/);
+    });
+});
@@ -0,0 +1,82 @@
+const { describe, it, mock, afterEach } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { ContractRegistry, RotationPolicies, satisfiesVersion, getImageHpVersion } = require('../lib/contract-registry');
+const { createTempDir, copyDefaultContract } = require('./helpers');
+
+const CLIENT_PATH = path.join(__dirname, '../dependencies/default-client/default-client.js');
+
+describe('Contract registry', () => {
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    const createRegistry = (contracts) => {
+        const dir = createTempDir();
+        const contractPath = copyDefaultContract(dir);
+        const filePath = path.join(dir, 'registry.json');
+        if (contracts)
+            fs.writeFileSync(filePath, JSON.stringify({ contracts: contracts }));
+        return new ContractRegistry(filePath, { contractPath: contractPath, clientPath: CLIENT_PATH });
+    }
+
+    const entry = (version, fields = {}) => ({ version: version, contract: 'contract', client: CLIENT_PATH, ...fields });
+
+    it('uses the default contract when there is no registry file', () => {
+        const registry = createRegistry();
+        registry.load('hp.test');
+        assert.strictEqual(registry.contracts.length, 1);
+        const contract = registry.select();
+        assert.strictEqual(contract.version, 'default');
+        assert.strictEqual(contract.image, 'hp.test');
+        assert.strictEqual(typeof contract.audit, 'function');
+    });
+
+    it('resolves the registry entries and skips the disabled ones', () => {
+        const registry = createRegistry([entry('1'), entry('2', { image: 'hp.0.6.0' }), entry('3', { enabled: false })]);
+        registry.load('hp.test');
+        assert.deepStrictEqual(registry.contracts.map(c => [c.version, c.image]), [['1', 'hp.test'], ['2', 'hp.0.6.0']]);
+        assert.ok(path.isAbsolute(registry.get('1').contractPath));
+        assert.strictEqual(registry.get('3'), null);
+    });
+
+    it('rejects the invalid registries', () => {
+        assert.throws(() => createRegistry([entry('1'), entry('1')]).load('hp.test'), /listed more than once/);
+        assert.throws(() => createRegistry([entry('1', { contract: 'missing' })]).load('hp.test'), /does not exist/);
+        assert.throws(() => createRegistry([entry('1', { weight: -1 })]).load('hp.test'), /weight should be/);
+        assert.throws(() => createRegistry([entry('1', { enabled: false })]).load('hp.test'), /no enabled contracts/);
+        assert.throws(() => createRegistry([entry('1')]).load('hp.test', 'sometimes'), /Invalid rotation policy/);
+    });
+
+    it('checks the HotPocket compatibility of the images', () => {
+        assert.throws(() => createRegistry([entry('1', { image: 'sashimono:hp.0.5.0-ubt.20.04', hpVersion: '>=0.6.0' })]).load('hp.test'), /has HotPocket 0.5.0/);
+        assert.throws(() => createRegistry([entry('1', { hpVersion: '0.6' })]).load('hp.latest'), /is unknown/);
+        createRegistry([entry('1', { image: 'sashimono:hp.0.6.3-ubt.20.04', hpVersion: '>=0.6.0 <0.7.0' })]).load('hp.test');
+
+        assert.strictEqual(getImageHpVersion('evernodedev/sashimono:hp.0.6.3-ubt.20.04'), '0.6.3');
+        assert.ok(satisfiesVersion('0.6.3', '0.6.x'));
+        assert.ok(satisfiesVersion('0.6.3', '0.6'));
+        assert.ok(!satisfiesVersion('0.7.0', '0.6.x'));
+        assert.ok(satisfiesVersion('1.0.0', '>0.9.9 <=1.0.0'));
+        assert.throws(() => satisfiesVersion('1.0.0', '~1.0'), /Invalid version range/);
+    });
+
+    it('selects the contracts by the rotation policy', () => {
+        const registry = createRegistry([entry('1', { weight: 0 }), entry('2', { weight: 3 }), entry('3')]);
+        registry.load('hp.test', RotationPolicies.ROUND_ROBIN);
+        assert.deepStrictEqual([1, 2, 3, 4].map(() => registry.select().version), ['1', '2', '3', '1']);
+
+        registry.load('hp.test', RotationPolicies.WEIGHTED);
+        mock.method(Math, 'random', () => 0.7);
+        assert.strictEqual(registry.select().version, '2');
+        mock.method(Math, 'random', () => 0.8);
+        assert.strictEqual(registry.select().version, '3');
+        mock.method(Math, 'random', () => 0);
+        assert.strictEqual(registry.select().version, '2');
+
+        registry.load('hp.test', RotationPolicies.RANDOM);
+        mock.method(Math, 'random', () => 0.5);
+        assert.strictEqual(registry.select().version, '2');
+    });
+});
@@ -0,0 +1,284 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+const { AuditorClient } = require('../dependencies/default-client/default-client');
+const { Benchmark } = require('../dependencies/default-client/benchmark');
+const { iterateHash } = require('../dependencies/default-client/challenge');
+const { loadSuites, buildTestCases, matchOutput } = require('../dependencies/default-client/test-suites');
+const { handleInput } = require('../dependencies/default-contract/audit-logic');
+const { MockHost, createMockHotPocket } = require('../lib/simulation/mock-host');
+const { createTempDir } = require('./helpers');
+
+// Fake HotPocket client which records the submitted inputs.
+const createFakeHpc = (submissionStatus = { status: 'accepted' }) => {
+    const hpc = {
+        inputs: [],
+        readRequests: [],
+        submitContractInput: async (input) => {
+            hpc.inputs.push(JSON.parse(input));
+            return { submissionStatus: Promise.resolve(submissionStatus) };
+        },
+        sendContractReadRequest: async (input) => {
+            hpc.readRequests.push(JSON.parse(input));
+        }
+    };
+    return hpc;
+}
+
+const createClient = (hpc, timeout = 1000, scoring = {}) => {
+    const client = new AuditorClient(timeout, [], () => { }, undefined, { scoring: scoring });
+    client.hpc = hpc;
+    client.startTime = new Date().getTime();
+    return client;
+}
+
+describe('Default audit client', () => {
+    it('marks the input success when the output matches with the state proof', async () => {
+        const hpc = createFakeHpc();
+        const client = createClient(hpc);
+        await client.handleInput({ input: 'Hello(*)2', output: 'HelloHello' });
+
+        const id = hpc.inputs[0].id;
+        client.handleOutput(JSON.stringify({ id: id, output: 'HelloHello', ts: 'ts:1\n' }));
+
+        assert.deepStrictEqual(await Promise.all(client.promises), [true]);
+        assert.strictEqual(client.resolvers.ci[id].success, true);
+    });
+
+    it('marks the input failed when the output does not match', async () => {
+        const hpc = createFakeHpc();
+        const client = createClient(hpc);
+        await client.handleInput({ input: 'Hello(*)2', output: 'HelloHello' });
+
+        const id = hpc.inputs[0].id;
+        client.handleOutput(JSON.stringify({ id: id, output: 'Hello', ts: 'ts:1\n' }));
+
+        assert.deepStrictEqual(await Promise.all(client.promises), [false]);
+        assert.strictEqual(client.resolvers.ci[id].success, false);
+    });
+
+    it('marks the input failed when the output has no state proof', async () => {
+        const hpc = createFakeHpc();
+        const client = createClient(hpc);
+        await client.handleInput({ input: 'Hello(*)2', output: 'HelloHello' }, true);
+
+        const id = hpc.readRequests[0].id;
+        client.handleOutput(JSON.stringify({ id: id, output: 'HelloHello' }), true);
+
+        assert.deepStrictEqual(await Promise.all(client.promises), [false]);
+    });
+
+    it('matches read request outputs only with read requests', async () => {
+        const hpc = createFakeHpc();
+        const client = createClient(hpc, 50);
+        await client.handleInput({ input: 'Hello(*)2', output: 'HelloHello' });
+
+        // Output for the contract input is received as a read response.
+        const id = hpc.inputs[0].id;
+        client.handleOutput(JSON.stringify({ id: id, output: 'HelloHello', ts: 'ts:1\n' }), true);
+
+        await assert.rejects(Promise.all(client.promises), /Input timeout reached/);
+    });
+
+    it('rejects the input when the submission is not accepted', async () => {
+        const hpc = createFakeHpc({ status: 'rejected', reason: 'Input expired.' });
+        const client = createClient(hpc);
+        await client.handleInput({ input: 'Hello(*)2', output: 'HelloHello' });
+
+        await assert.rejects(Promise.all(client.promises), /Input expired/);
+    });
+
+    it('builds a structured result from the test outcomes', async () => {
+        const hpc = createFakeHpc();
+        const client = createClient(hpc);
+        await client.handleInput({ input: 'Hello(*)2', output: 'HelloHello' });
+        await client.handleInput({ input: 'Hello(*)2', output: 'HelloHello' }, true);
+
+        client.handleOutput(JSON.stringify({ id: hpc.inputs[0].id, output: 'HelloHello', ts: 'ts:1\n' }));
+        client.handleOutput(JSON.stringify({ id: hpc.readRequests[0].id, output: 'Wrong', ts: 'ts:1\n' }), true);
+        await Promise.allSettled(client.promises);
+
+        const result = client.returnAuditResult();
+        assert.strictEqual(result.success, false);
+        assert.strictEqual(result.score, 0.5);
+        assert.strictEqual(result.tests.length, 2);
+    });
+
+    it('reduces the timing points of the slow responses', () => {
+        const client = createClient(createFakeHpc(), 3000, { latencyTarget: 1000, roundTimeTarget: 2000 });
+        const readRequest = (time, success = true) => ({ type: 'readRequest', success: success, time: time });
+
+        assert.deepStrictEqual(client.scoreTest(readRequest(500)), { correctness: 0.7, latency: 0.3, max: 1 });
+        assert.deepStrictEqual(client.scoreTest(readRequest(2000)), { correctness: 0.7, latency: 0.15, max: 1 });
+        assert.deepStrictEqual(client.scoreTest(readRequest(500, false)), { correctness: 0, latency: 0, max: 1 });
+        // Contract inputs are timed against the round time target.
+        assert.strictEqual(client.scoreTest({ type: 'contractInput', success: true, time: 2500 }).roundTime, 0.15);
+    });
+
+    it('passes the audit when the score reaches the pass score', async () => {
+        const hpc = createFakeHpc();
+        const client = createClient(hpc, 1000, { passScore: 0.8 });
+        for (let i = 0; i < 5; i++)
+            await client.handleInput({ input: 'Hello(*)2', output: 'HelloHello' }, true);
+
+        // One of the five read requests returns a wrong output.
+        hpc.readRequests.forEach((r, i) => client.handleOutput(JSON.stringify({ id: r.id, output: i ? 'HelloHello' : 'Wrong', ts: 'ts:1\n' }), true));
+        await Promise.allSettled(client.promises);
+
+        const result = client.returnAuditResult();
+        assert.strictEqual(result.success, true);
+        assert.strictEqual(result.score, 0.8);
+        assert.deepStrictEqual(result.breakdown, { correctness: 2.8, latency: 1.2, roundTime: 0, max: 5 });
+        assert.strictEqual(result.tests.filter(t => !t.success).length, 1);
+    });
+});
+
+describe('Default audit client test suites', () => {
+    const DEFAULT_TESTS_DIR = path.join(__dirname, '../dependencies/default-client/tests');
+
+    it('loads the json and yaml suites in the file name order', () => {
+        const dir = createTempDir();
+        fs.writeFileSync(path.join(dir, 'b.yml'), 'timeout: 2000\nmode: readRequest\ncases:\n  - input: Hello(*)2\n    expect:\n      regex: ^(Hello)+$\n');
+        fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify({ name: 'first', cases: [{ input: 'Hi', output: 'INVALID_INPUT', mode: 'contractInput', timeout: 100 }] }));
+        fs.writeFileSync(path.join(dir, 'notes.txt'), 'Not a suite.');
+
+        const tests = buildTestCases(loadSuites(dir));
+        assert.deepStrictEqual(tests, [
+            { suite: 'first', input: 'Hi', expect: { exact: 'INVALID_INPUT' }, mode: 'contractInput', timeout: 100 },
+            { suite: 'b', input: 'Hello(*)2', expect: { regex: '^(Hello)+$' }, mode: 'readRequest', timeout: 2000 }
+        ]);
+    });
+
+    it('rejects invalid suites', () => {
+        const dir = createTempDir();
+        fs.writeFileSync(path.join(dir, 'bad.json'), JSON.stringify({ cases: [{ input: 'Hi', expect: { startsWith: 'H' } }] }));
+        assert.throws(() => loadSuites(dir), /Invalid test suite bad\.json\. Case 0 has unknown matchers startsWith/);
+
+        fs.writeFileSync(path.join(dir, 'bad.json'), JSON.stringify({ cases: [{ input: 'Hi' }] }));
+        assert.throws(() => loadSuites(dir), /Case 0 has no expected output/);
+    });
+
+    it('matches the outputs with all the given matchers', () => {
+        const sha256 = crypto.createHash('sha256').update('HelloHello').digest('hex');
+        assert.ok(matchOutput({ exact: 'HelloHello' }, 'HelloHello'));
+        assert.ok(matchOutput({ regex: '^(Hello)+$', length: 10 }, 'HelloHello'));
+        assert.ok(matchOutput({ hash: sha256 }, 'HelloHello'));
+        assert.ok(matchOutput({ hash: { algorithm: 'sha256', value: sha256.toUpperCase() } }, 'HelloHello'));
+        assert.ok(!matchOutput({ regex: '^(Hello)+$', length: 5 }, 'HelloHello'));
+        assert.ok(!matchOutput({ hash: sha256 }, 'Hello'));
+        assert.ok(!matchOutput({ exact: 'Hello' }, undefined));
+    });
+
+    it('generates new inputs for every audit which the default contract passes', () => {
+        const suites = loadSuites(DEFAULT_TESTS_DIR);
+        const first = buildTestCases(suites);
+        const second = buildTestCases(suites);
+
+        assert.notDeepStrictEqual(first.map(t => t.input), second.map(t => t.input));
+        for (const test of [...first, ...second])
+            assert.ok(matchOutput(test.expect, handleInput({ input: test.input }, 'ts:1\n').output), test.input);
+    });
+
+    it('sends the inputs according to the test mode with the case timeout', async () => {
+        const hpc = createFakeHpc();
+        hpc.connect = async () => true;
+        hpc.on = () => { };
+        hpc.close = async () => { };
+        const hotPocket = {
+            events: {},
+            protocols: { bson: 'bson' },
+            generateKeys: async () => ({ publicKey: Buffer.alloc(33) }),
+            createClient: async () => hpc
+        };
+        const client = new AuditorClient(5000, [
+            { input: 'A(*)1', output: 'A', mode: 'readRequest', timeout: 20 },
+            { input: 'B(*)1', output: 'B', mode: 'contractInput', timeout: 20 },
+            { input: 'C(*)1', output: 'C', timeout: 20 }
+        ], () => { }, hotPocket, { challenge: { enabled: false }, benchmark: { enabled: false } });
+
+        const result = await client.audit('127.0.0.1', 8081);
+        assert.deepStrictEqual(hpc.readRequests.map(r => r.input), ['A(*)1', 'C(*)1']);
+        assert.deepStrictEqual(hpc.inputs.map(r => r.input), ['B(*)1', 'C(*)1']);
+        assert.strictEqual(result.success, false);
+        assert.ok(result.tests.every(t => t.timeout === 20 && t.time === null));
+    });
+});
+
+describe('Default audit client challenges', () => {
+    const runAudit = async (faults = {}, options = { benchmark: { enabled: false } }) => {
+        const host = new MockHost({ address: 'rHost1', currency: 'EVS01', userPort: 9091, roundTime: 5, faults: faults });
+        host.createInstance({ contract_id: 'test-contract', owner_pubkey: 'ed00' });
+        // Skip the upload, Host runs the default contract logic.
+        host.mode = 'contract';
+        // Read requests before the first round would have no execution state, So the other tests are contract inputs.
+        const tests = [1, 2, 3, 4, 5, 6, 7, 8].map(n => ({ input: `Hello(*)${n}`, output: 'Hello'.repeat(n), mode: 'contractInput' }));
+        const client = new AuditorClient(1000, tests, () => { }, createMockHotPocket([host]), {
+            challenge: { count: 1, iterations: 10 },
+            ...options
+        });
+        return await client.audit(host.ip, host.userPort);
+    }
+
+    it('passes the challenges answered in the consensus rounds', async () => {
+        const result = await runAudit();
+        assert.strictEqual(result.success, true);
+        const challengeTests = result.tests.filter(t => t.suite === 'challenge');
+        assert.deepStrictEqual(challengeTests.map(t => t.type).sort(), ['contractInput', 'readRequest']);
+        assert.ok(challengeTests.every(t => t.success && t.required));
+    });
+
+    for (const fault of ['wrong', 'noState']) {
+        it(`fails the audit when the challenge answers are ${fault === 'wrong' ? 'made up' : 'not kept in the state'}`, async () => {
+            const result = await runAudit({ challenge: fault });
+            assert.strictEqual(result.success, false);
+            assert.match(result.reason, /required tests failed \(challenge\)/);
+            // Other tests still pass, So the score alone would have passed the audit.
+            assert.ok(result.score >= result.passScore);
+        });
+    }
+
+    it('reports the host benchmarks', async () => {
+        const result = await runAudit({}, { benchmark: { cpuIterations: 1000, diskSize: 4096, rounds: 3 } });
+        assert.strictEqual(result.success, true);
+
+        const { cpu, disk, rounds } = result.benchmarks;
+        assert.strictEqual(cpu.iterations, 1000);
+        assert.ok(cpu.hashRate > 0);
+        assert.strictEqual(disk.size, 4096);
+        assert.ok(disk.duration > 0 && disk.rate > 0);
+        assert.strictEqual(rounds.count, 3);
+        // Mock host rounds are 5ms apart.
+        assert.ok(rounds.avgInterval >= 5 && rounds.maxRoundTrip >= 5);
+        // Shortest ping round trip is taken out of the cpu and disk durations.
+        assert.strictEqual(cpu.workDuration, Math.max(cpu.duration - rounds.minRoundTrip, 1));
+        assert.strictEqual(disk.workDuration, Math.max(disk.duration - rounds.minRoundTrip, 1));
+    });
+
+    it('takes the round trip baseline out of the benchmark durations', async () => {
+        const benchmark = new Benchmark({ cpuIterations: 1000, diskSize: 4096 });
+        benchmark.setRounds([{ timestamp: 1000, roundTrip: 120 }, { timestamp: 1100, roundTrip: 100 }]);
+        assert.strictEqual(benchmark.results.rounds.minRoundTrip, 100);
+
+        const cpu = await benchmark.cpuTest();
+        assert.strictEqual(cpu.verify({ output: iterateHash(cpu.message.nonce, 1000) }), true);
+        assert.strictEqual(cpu.verify({ output: 'made up' }), false);
+        cpu.setDuration(150);
+        assert.deepStrictEqual(benchmark.results.cpu, { iterations: 1000, duration: 150, workDuration: 50, hashRate: 20000 });
+
+        const disk = benchmark.diskTest();
+        const content = Buffer.alloc(4096, crypto.createHash('sha256').update(disk.message.nonce).digest());
+        assert.strictEqual(disk.verify({ output: crypto.createHash('sha256').update(content).digest('hex') }), true);
+        // Work done within the round trip noise counts as 1 ms.
+        disk.setDuration(90);
+        assert.deepStrictEqual(benchmark.results.disk, { size: 4096, duration: 90, workDuration: 1, rate: 4096000 });
+    });
+
+    it('fails the audit when the benchmarks do not meet the thresholds', async () => {
+        const result = await runAudit({}, { benchmark: { cpuIterations: 1000, diskSize: 4096, rounds: 2, thresholds: { minCpuHashRate: 1e12, maxRoundTrip: 10000 } } });
+        assert.strictEqual(result.success, false);
+        assert.match(result.reason, /^CPU hash rate \d+ hashes\/s is below 1000000000000 hashes\/s\.$/);
+    });
+});
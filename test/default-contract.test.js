@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const crypto = require('crypto');
+const { handleInput, iterateHash } = require('../dependencies/default-contract/audit-logic');
+const { benchmarkContent } = require('../dependencies/default-contract/benchmark');
+const { createTempDir } = require('./helpers');
+
+describe('Default audit contract', () => {
+    it('repeats the text the given number of times', () => {
+        const res = handleInput({ id: '1', input: 'Hello world(*)3' }, 'ts:1\n');
+        assert.deepStrictEqual(res, { id: '1', output: 'Hello worldHello worldHello world', ts: 'ts:1\n' });
+    });
+
+    it('returns an empty output for zero repeats', () => {
+        assert.strictEqual(handleInput({ id: '1', input: 'Hello(*)0' }, 'ts').output, '');
+    });
+
+    it('returns invalid input for the inputs which do not match the pattern', () => {
+        for (const input of ['This is invalid input [||]', 'Hi(*)3', 'Hello world', 'Hello(*)x'])
+            assert.strictEqual(handleInput({ id: '1', input: input }, 'ts').output, 'INVALID_INPUT');
+    });
+
+    it('forwards the input id and the execution state', () => {
+        const res = handleInput({ id: 'abc', input: 'Hello(*)1' }, 'ts:1\nts:2\n');
+        assert.strictEqual(res.id, 'abc');
+        assert.strictEqual(res.ts, 'ts:1\nts:2\n');
+    });
+
+    it('answers the challenges with the nonce and the round timestamp and keeps the answer in the state', () => {
+        const state = { challenges: {} };
+        const res = handleInput({ id: '1', type: 'challenge', nonce: 'abc', iterations: 3 }, 'ts:1\nts:2\n', state);
+        assert.strictEqual(res.output, iterateHash('abc:2', 3));
+        assert.strictEqual(res.timestamp, '2');
+        assert.deepStrictEqual(state.challenges.abc, { result: res.output, timestamp: '2' });
+
+        const proof = handleInput({ id: '2', type: 'challengeProof', nonce: 'abc' }, 'ts:1\nts:2\nts:3\n', state, true);
+        assert.deepStrictEqual(proof, { id: '2', output: res.output, timestamp: '2', ts: 'ts:1\nts:2\nts:3\n' });
+        assert.strictEqual(handleInput({ id: '3', type: 'challengeProof', nonce: 'xyz' }, 'ts:1\n', state, true).output, 'UNKNOWN_CHALLENGE');
+    });
+
+    it('does not answer the challenges in read requests', () => {
+        const state = { challenges: {} };
+        const res = handleInput({ id: '1', type: 'challenge', nonce: 'abc', iterations: 3 }, 'ts:1\n', state, true);
+        assert.strictEqual(res.output, 'INVALID_CHALLENGE');
+        assert.deepStrictEqual(state.challenges, {});
+        assert.strictEqual(handleInput({ id: '1', type: 'challenge', nonce: 'abc', iterations: 0 }, 'ts:1\n', state).output, 'INVALID_CHALLENGE');
+    });
+
+    it('runs the cpu and disk benchmarks', () => {
+        const state = { dir: createTempDir(), challenges: {} };
+        const cpu = handleInput({ id: '1', type: 'benchmark', kind: 'cpu', nonce: 'ab12', iterations: 100 }, 'ts:1\n', state);
+        assert.strictEqual(cpu.output, iterateHash('ab12', 100));
+        // Durations are timed by the client, The host doesn't report them.
+        assert.strictEqual(cpu.duration, undefined);
+
+        const disk = handleInput({ id: '2', type: 'benchmark', kind: 'disk', nonce: 'ab12', size: 1000 }, 'ts:1\n', state);
+        assert.strictEqual(disk.output, crypto.createHash('sha256').update(benchmarkContent('ab12', 1000)).digest('hex'));
+        assert.strictEqual(disk.writeDuration, undefined);
+        // Benchmark file is removed from the state.
+        assert.deepStrictEqual(fs.readdirSync(state.dir), []);
+
+        const ping = handleInput({ id: '3', type: 'benchmark', kind: 'ping', nonce: 'ab12' }, 'ts:1\nts:5\n', state);
+        assert.deepStrictEqual(ping, { id: '3', output: 'ab12', timestamp: '5', ts: 'ts:1\nts:5\n' });
+    });
+
+    it('rejects the invalid benchmarks', () => {
+        const state = { dir: createTempDir(), challenges: {} };
+        const invalid = [
+            [{ kind: 'disk', nonce: 'ab12', size: 1000 }, true],
+            [{ kind: 'disk', nonce: '../x', size: 1000 }, false],
+            [{ kind: 'cpu', nonce: 'ab12', iterations: 0 }, false],
+            [{ kind: 'gpu', nonce: 'ab12' }, false]
+        ];
+        for (const [msg, readonly] of invalid)
+            assert.strictEqual(handleInput({ id: '1', type: 'benchmark', ...msg }, 'ts:1\n', state, readonly).output, 'INVALID_BENCHMARK');
+        assert.deepStrictEqual(fs.readdirSync(state.dir), []);
+    });
+});
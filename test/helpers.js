@@ -0,0 +1,114 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const process = require('process');
+const { Auditor } = require('../lib/auditor');
+const { createSimulation } = require('../lib/simulation');
+
+const DEFAULT_CONTRACT_PATH = path.join(__dirname, '../dependencies/default-contract');
+const DEFAULT_CLIENT_PATH = path.join(__dirname, '../dependencies/default-client/default-client.js');
+
+// Temp directories are removed when the test process exits, Since the stopped auditors might still be finishing their work.
+const tempDirs = [];
+process.on('exit', () => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const createTempDir = () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auditor-test-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+// Copies the default contract to a temp directory, So the tests can't affect the original.
+const copyDefaultContract = (dir) => {
+    const contractPath = path.join(dir, 'contract');
+    fs.cpSync(DEFAULT_CONTRACT_PATH, contractPath, { recursive: true });
+    return contractPath;
+}
+
+// Creates an auditor which runs against a simulation with fast ledgers.
+const createTestAuditor = (simOptions = {}, cfg = {}, auditorOptions = {}) => {
+    const dir = createTempDir();
+    const configPath = path.join(dir, 'auditor.cfg');
+    fs.writeFileSync(configPath, JSON.stringify({
+        xrpl: { address: 'rTestAuditor', secret: 'sTestSecret', hookAddress: 'rTestHook', rippledServers: ['wss://rippled1.test', 'wss://rippled2.test'] },
+        instance: { image: 'hp.test' },
+        // Short stage timeouts, So the audits which are left hanging after a test won't keep the process alive.
+        audit: {
+            stages: ['redeemThreshold', 'connect', 'bootstrapStatus', 'upload', 'customAudit'].map(name => ({ name: name, timeout: 3000 }))
+        },
+        ...cfg
+    }));
+
+    const simulation = createSimulation({
+        startLedgerIdx: 1005,
+        momentBaseIdx: 1000,
+        momentSize: 30,
+        ledgerInterval: 20,
+        ...simOptions,
+        hosts: (simOptions.hosts || [{ address: 'rHost1', currency: 'EVS01' }]).map(h => ({ roundTime: 10, ...h }))
+    });
+
+    const auditor = new Auditor(configPath, copyDefaultContract(dir), DEFAULT_CLIENT_PATH,
+        path.join(dir, 'db/audits.jsonl'), path.join(dir, 'db/audit-journal.json'),
+        { workDir: path.join(dir, 'work'), ...auditorOptions, evernode: simulation.evernode, hotPocket: simulation.hotPocket });
+
+    return {
+        dir: dir,
+        auditor: auditor,
+        simulation: simulation,
+        cleanup: () => {
+            // Auditor is disconnected as well, So its rippled failover won't start the ledgers again.
+            auditor.disconnect().catch(() => { });
+            simulation.network.xrplApi.stop();
+        }
+    };
+}
+
+// Resolves when the predicate returns true, Rejects if it doesn't within the timeout.
+const waitFor = (predicate, timeout = 5000, interval = 10) => {
+    return new Promise((resolve, reject) => {
+        const startTime = Date.now();
+        const check = () => {
+            if (predicate())
+                return resolve();
+            if (Date.now() - startTime > timeout)
+                return reject(new Error('Timed out waiting for the condition.'));
+            setTimeout(check, interval);
+        };
+        check();
+    });
+}
+
+// Extracts the files of a zip archive into a map of name to content. Directory entries are skipped.
+const readZip = (buf) => {
+    const files = {};
+    const end = buf.length - 22;
+    let offset = buf.readUInt32LE(end + 16);
+    for (let i = 0; i < buf.readUInt16LE(end + 10); i++) {
+        const method = buf.readUInt16LE(offset + 10);
+        const compressedSize = buf.readUInt32LE(offset + 20);
+        const nameLength = buf.readUInt16LE(offset + 28);
+        const entryOffset = buf.readUInt32LE(offset + 42);
+        const name = buf.toString('utf8', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + buf.readUInt16LE(offset + 30) + buf.readUInt16LE(offset + 32);
+
+        if (name.endsWith('/'))
+            continue;
+        const dataStart = entryOffset + 30 + buf.readUInt16LE(entryOffset + 26) + buf.readUInt16LE(entryOffset + 28);
+        const data = buf.subarray(dataStart, dataStart + compressedSize);
+        files[name] = method === 8 ? zlib.inflateRawSync(data) : data;
+    }
+    return files;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+module.exports = {
+    createTempDir,
+    copyDefaultContract,
+    createTestAuditor,
+    waitFor,
+    readZip,
+    sleep
+}
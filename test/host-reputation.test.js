@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { AuditStore, AuditVerdicts } = require('../lib/audit-store');
+const { HostReputation, ReputationFlags, buildProfile, toCsv } = require('../lib/host-reputation');
+const { createTempDir } = require('./helpers');
+
+// Records of the given verdicts, Latest first. 'F' is a customAudit failure and 'E' is an error.
+const createRecords = (verdicts, redeemLedgers = () => 2) => [...verdicts].map((v, i) => ({
+    host: { address: 'rHost1', currency: 'EVS01' },
+    momentStartIdx: 1000 - i,
+    startedOn: 100000 - i,
+    redeemLedgers: redeemLedgers(i),
+    verdict: v === 'S' ? AuditVerdicts.SUCCESS : (v === 'F' ? AuditVerdicts.FAIL : AuditVerdicts.ERROR),
+    reason: v === 'F' ? 'customAudit' : null
+}));
+
+describe('Host reputation', () => {
+    it('builds the host profile from the audit records', () => {
+        const records = createRecords('FFESSSFS', i => i + 1);
+        records[6].reason = 'upload';
+        const profile = buildProfile('rHost1', records, { windows: [2, 4], maxConsecutiveFailures: 5 });
+
+        assert.strictEqual(profile.audits, 7);
+        assert.strictEqual(profile.errors, 1);
+        assert.deepStrictEqual(profile.tokens, ['EVS01']);
+        assert.deepStrictEqual(profile.passRate, { all: 0.571, last2: 0, last4: 0.5 });
+        assert.strictEqual(profile.consecutiveFailures, 2);
+        assert.deepStrictEqual(profile.commonFailingStage, { stage: 'customAudit', count: 2 });
+        assert.strictEqual(profile.medianRedeemLedgers, 5);
+        assert.strictEqual(profile.lastAudit.verdict, AuditVerdicts.FAIL);
+        assert.deepStrictEqual(profile.flags, []);
+    });
+
+    it('flags the sharp changes of the host behaviour', () => {
+        const options = { trendWindow: 5, minAudits: 5 };
+        const dropped = buildProfile('rHost1', createRecords('FFFFS' + 'SSSSSS'), options);
+        assert.deepStrictEqual(dropped.flags.map(f => f.type), [ReputationFlags.PASS_RATE_CHANGE, ReputationFlags.CONSECUTIVE_FAILURES]);
+        assert.match(dropped.flags[0].message, /dropped from 1 to 0.2/);
+
+        // Suddenly passing host is flagged as well.
+        const rose = buildProfile('rHost1', createRecords('SSSSS' + 'FFFFF'), options);
+        assert.match(rose.flags[0].message, /rose from 0 to 1/);
+
+        const slow = buildProfile('rHost1', createRecords('SSSSSSSSSS', i => i < 5 ? 8 : 2), options);
+        assert.deepStrictEqual(slow.flags.map(f => f.type), [ReputationFlags.LATENCY_INCREASE]);
+
+        // Not enough audits to compare.
+        assert.deepStrictEqual(buildProfile('rHost1', createRecords('FFSSS'), options).flags, []);
+    });
+
+    it('exports the profiles as csv', () => {
+        const profile = buildProfile('rHost1', createRecords('FFFS'), { windows: [2], trendWindow: 2 });
+        const lines = toCsv([profile], [2]).trim().split('\n');
+        assert.strictEqual(lines[0], 'address,tokens,audits,errors,passRate,passRateLast2,passRateTrend,consecutiveFailures,commonFailingStage,medianRedeemLedgers,lastAuditOn,lastVerdict,flags');
+        assert.strictEqual(lines[1], `rHost1,EVS01,4,0,0.25,0,-0.5,3,customAudit,2,${new Date(100000).toISOString()},fail,consecutiveFailures`);
+
+        // Trend is empty without the baseline audits.
+        const [header, line] = toCsv([buildProfile('rHost1', createRecords('FFFS'))]).trim().split('\n');
+        assert.match(header, /,passRate,passRateLast10,passRateLast50,passRateTrend,/);
+        assert.match(line, /,0\.25,0\.25,0\.25,,3,/);
+    });
+
+    it('leaves the on demand and dry run audits out of the profiles', () => {
+        const store = new AuditStore(path.join(createTempDir(), 'audits.jsonl'));
+        store.init();
+        for (const options of [{}, { manual: true }, { dryRun: true }]) {
+            const record = store.createRecord(1000, { address: 'rHost1', currency: 'EVS01' }, options);
+            store.setVerdict(record, AuditVerdicts.FAIL, 'connect');
+        }
+        store.setVerdict(store.createRecord(1000, { address: 'rHost2', currency: 'EVS02' }, { manual: true }), AuditVerdicts.FAIL, 'connect');
+
+        const reputation = new HostReputation(store, { maxConsecutiveFailures: 2 });
+        reputation.init();
+        assert.deepStrictEqual(reputation.getProfiles().map(p => [p.address, p.audits]), [['rHost1', 1]]);
+        assert.strictEqual(reputation.getProfile('rHost2'), null);
+        assert.deepStrictEqual(reputation.flaggedHosts, []);
+    });
+
+    it('reports the new flags once', () => {
+        const store = new AuditStore(path.join(createTempDir(), 'audits.jsonl'));
+        store.init();
+        const addAudit = (address, verdict) => {
+            const record = store.createRecord(1000, { address: address, currency: 'EVS01' });
+            record.startedOn = store.getRecords().length;
+            store.setVerdict(record, verdict, verdict === AuditVerdicts.FAIL ? 'connect' : null);
+        }
+        addAudit('rHost1', AuditVerdicts.FAIL);
+        addAudit('rHost1', AuditVerdicts.FAIL);
+        addAudit('rHost2', AuditVerdicts.FAIL);
+        addAudit('rHost2', AuditVerdicts.FAIL);
+
+        const reputation = new HostReputation(store, { maxConsecutiveFailures: 2 });
+        reputation.init();
+        assert.deepStrictEqual(reputation.flaggedHosts, ['rHost2', 'rHost1']);
+
+        // Known flag is not reported again.
+        addAudit('rHost1', AuditVerdicts.FAIL);
+        assert.deepStrictEqual(reputation.update('rHost1').newFlags, []);
+
+        // Flag is cleared with a higher threshold and reported again when the host reaches it.
+        reputation.setOptions({ maxConsecutiveFailures: 4 });
+        assert.deepStrictEqual(reputation.update('rHost1').newFlags, []);
+        assert.deepStrictEqual(reputation.flaggedHosts, ['rHost2']);
+        addAudit('rHost1', AuditVerdicts.FAIL);
+        assert.deepStrictEqual(reputation.update('rHost1').newFlags.map(f => f.type), [ReputationFlags.CONSECUTIVE_FAILURES]);
+        assert.deepStrictEqual(reputation.getProfiles({ flagged: true }).map(p => p.address), ['rHost1']);
+    });
+});
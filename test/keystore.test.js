@@ -0,0 +1,152 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const process = require('process');
+const { encryptSecret, decryptSecret, writeKeystore, readKeystore, resolveSecret } = require('../lib/keystore');
+const { runKeystoreCommand } = require('../lib/keystore-cli');
+const { createTempDir } = require('./helpers');
+
+// Low cost scrypt params to keep the tests fast.
+const SCRYPT_PARAMS = { n: 1024, r: 8, p: 1 };
+
+const createConfig = (xrpl = {}) => ({
+    xrpl: { address: 'rAuditor', hookAddress: 'rHook', ...xrpl },
+    instance: { image: 'hp.test' }
+});
+
+describe('Keystore', () => {
+    it('decrypts the secret with the passphrase', async () => {
+        const keystore = await encryptSecret('sSecret', 'passphrase', 'rAuditor', SCRYPT_PARAMS);
+        assert.ok(!JSON.stringify(keystore).includes('sSecret'));
+        assert.strictEqual(await decryptSecret(keystore, 'passphrase'), 'sSecret');
+    });
+
+    it('rejects a wrong passphrase or a tampered keystore', async () => {
+        const keystore = await encryptSecret('sSecret', 'passphrase', 'rAuditor', SCRYPT_PARAMS);
+        await assert.rejects(decryptSecret(keystore, 'wrong'), /Keystore decryption failed/);
+
+        keystore.crypto.ciphertext = 'ff' + keystore.crypto.ciphertext.substring(2);
+        await assert.rejects(decryptSecret(keystore, 'passphrase'), /Keystore decryption failed/);
+    });
+
+    it('writes the keystore readable only by the owner', async () => {
+        const keystorePath = path.join(createTempDir(), 'auditor.keystore');
+        writeKeystore(keystorePath, await encryptSecret('sSecret', 'passphrase', 'rAuditor', SCRYPT_PARAMS));
+        assert.strictEqual(fs.statSync(keystorePath).mode & 0o777, 0o600);
+        assert.strictEqual(await decryptSecret(readKeystore(keystorePath), 'passphrase'), 'sSecret');
+    });
+
+    it('resolves the secret from the environment, secret file and credential before the config', async () => {
+        const dir = createTempDir();
+        const configPath = path.join(dir, 'auditor.cfg');
+        fs.writeFileSync(path.join(dir, 'secret'), 'sFileSecret\n');
+        fs.mkdirSync(path.join(dir, 'creds'));
+        fs.writeFileSync(path.join(dir, 'creds/xrpl-secret'), 'sCredSecret');
+        const cfg = createConfig({ secret: 'sConfigSecret' });
+
+        const resolve = async (env) => (await resolveSecret(cfg, configPath, env)).value;
+        assert.strictEqual(await resolve({ AUDITOR_XRPL_SECRET: 'sEnvSecret', AUDITOR_XRPL_SECRET_FILE: path.join(dir, 'secret') }), 'sEnvSecret');
+        assert.strictEqual(await resolve({ AUDITOR_XRPL_SECRET_FILE: path.join(dir, 'secret'), CREDENTIALS_DIRECTORY: path.join(dir, 'creds') }), 'sFileSecret');
+        assert.strictEqual(await resolve({ CREDENTIALS_DIRECTORY: path.join(dir, 'creds') }), 'sCredSecret');
+        assert.strictEqual(await resolve({}), 'sConfigSecret');
+    });
+
+    it('resolves the secret from the keystore relative to the config', async () => {
+        const dir = createTempDir();
+        const configPath = path.join(dir, 'auditor.cfg');
+        writeKeystore(path.join(dir, 'auditor.keystore'), await encryptSecret('sSecret', 'passphrase', 'rAuditor', SCRYPT_PARAMS));
+        const cfg = createConfig({ keystore: 'auditor.keystore' });
+
+        const res = await resolveSecret(cfg, configPath, { AUDITOR_KEYSTORE_PASSPHRASE: 'passphrase' });
+        assert.deepStrictEqual(res, { value: 'sSecret', source: path.join(dir, 'auditor.keystore') });
+
+        await assert.rejects(resolveSecret(cfg, configPath, {}), /Keystore passphrase is not given/);
+        await assert.rejects(resolveSecret(createConfig({ keystore: 'auditor.keystore', address: 'rOther' }), configPath, { AUDITOR_KEYSTORE_PASSPHRASE: 'passphrase' }),
+            /belongs to rAuditor/);
+    });
+
+    it('does not take a plain text secret along with the keystore', async () => {
+        const dir = createTempDir();
+        const configPath = path.join(dir, 'auditor.cfg');
+        writeKeystore(path.join(dir, 'auditor.keystore'), await encryptSecret('sSecret', 'passphrase', 'rAuditor', SCRYPT_PARAMS));
+        fs.writeFileSync(path.join(dir, 'secret'), 'sFileSecret\n');
+        const cfg = createConfig({ keystore: 'auditor.keystore' });
+        const env = { AUDITOR_KEYSTORE_PASSPHRASE: 'passphrase', AUDITOR_XRPL_SECRET_FILE: path.join(dir, 'secret') };
+
+        await assert.rejects(resolveSecret(cfg, configPath, env), /given with .*secret as well as the keystore/);
+        await assert.rejects(resolveSecret(createConfig({ keystore: 'auditor.keystore', secret: 'sConfigSecret' }), configPath, { AUDITOR_KEYSTORE_PASSPHRASE: 'passphrase' }),
+            /xrpl.secret .* as well as the keystore/);
+
+        // Secret file removed by 'keystore create' is not counted.
+        fs.rmSync(path.join(dir, 'secret'));
+        assert.strictEqual((await resolveSecret(cfg, configPath, env)).value, 'sSecret');
+    });
+
+    it('fails when no secret is given', async () => {
+        await assert.rejects(resolveSecret(createConfig(), '/tmp/auditor.cfg', {}), /Xrpl secret is not given/);
+    });
+});
+
+describe('Keystore cli', () => {
+    const ENV_NAMES = ['AUDITOR_XRPL_SECRET', 'AUDITOR_XRPL_SECRET_FILE', 'AUDITOR_KEYSTORE_PASSPHRASE', 'AUDITOR_KEYSTORE_PASSPHRASE_FILE', 'AUDITOR_KEYSTORE_NEW_PASSPHRASE'];
+    let savedEnv = null;
+
+    beforeEach(() => {
+        savedEnv = Object.fromEntries(ENV_NAMES.map(name => [name, process.env[name]]));
+        ENV_NAMES.forEach(name => delete process.env[name]);
+        mock.method(console, 'log', () => { });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        for (const [name, value] of Object.entries(savedEnv)) {
+            if (value === undefined)
+                delete process.env[name];
+            else
+                process.env[name] = value;
+        }
+    });
+
+    it('moves the secret file into the keystore without saving the passphrase', async () => {
+        // Secret file of an auditor installed without a keystore.
+        const dir = createTempDir();
+        const configPath = path.join(dir, 'auditor.cfg');
+        fs.writeFileSync(configPath, JSON.stringify(createConfig()), { mode: 0o600 });
+        fs.writeFileSync(path.join(dir, 'xrpl.secret'), 'sFileSecret\n');
+        process.env.AUDITOR_XRPL_SECRET_FILE = path.join(dir, 'xrpl.secret');
+        process.env.AUDITOR_KEYSTORE_NEW_PASSPHRASE = 'passphrase';
+
+        await runKeystoreCommand(['create'], configPath, dir);
+
+        assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['auditor.cfg', 'auditor.keystore']);
+        assert.ok(!fs.readFileSync(path.join(dir, 'auditor.keystore')).toString().includes('passphrase'));
+
+        // Service environment still names the removed secret file, The keystore is used with the passphrase credential.
+        fs.mkdirSync(path.join(dir, 'creds'));
+        fs.writeFileSync(path.join(dir, 'creds/keystore-passphrase'), 'passphrase');
+        const cfg = JSON.parse(fs.readFileSync(configPath).toString());
+        const res = await resolveSecret(cfg, configPath, { AUDITOR_XRPL_SECRET_FILE: path.join(dir, 'xrpl.secret'), CREDENTIALS_DIRECTORY: path.join(dir, 'creds') });
+        assert.deepStrictEqual(res, { value: 'sFileSecret', source: path.join(dir, 'auditor.keystore') });
+    });
+
+    it('does not save the rotated passphrase', async () => {
+        const dir = createTempDir();
+        const configPath = path.join(dir, 'auditor.cfg');
+        fs.writeFileSync(configPath, JSON.stringify(createConfig()), { mode: 0o600 });
+        process.env.AUDITOR_XRPL_SECRET = 'sEnvSecret';
+        process.env.AUDITOR_KEYSTORE_NEW_PASSPHRASE = 'passphrase';
+        await runKeystoreCommand(['create'], configPath, dir);
+        delete process.env.AUDITOR_XRPL_SECRET;
+
+        // Current passphrase is taken from the passphrase file given by the operator, The file is not updated.
+        fs.writeFileSync(path.join(dir, 'current.passphrase'), 'passphrase');
+        process.env.AUDITOR_KEYSTORE_PASSPHRASE_FILE = path.join(dir, 'current.passphrase');
+        process.env.AUDITOR_KEYSTORE_NEW_PASSPHRASE = 'rotated';
+        await runKeystoreCommand(['rotate'], configPath, dir);
+
+        assert.strictEqual(fs.readFileSync(path.join(dir, 'current.passphrase')).toString(), 'passphrase');
+        const cfg = JSON.parse(fs.readFileSync(configPath).toString());
+        assert.strictEqual((await resolveSecret(cfg, configPath, { AUDITOR_KEYSTORE_PASSPHRASE: 'rotated' })).value, 'sEnvSecret');
+    });
+});
@@ -0,0 +1,96 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../lib/logger');
+const { createTempDir } = require('./helpers');
+
+describe('Logger', () => {
+    let lines = null;
+
+    beforeEach(() => {
+        lines = [];
+        mock.method(console, 'log', (line) => lines.push(line));
+        mock.method(console, 'error', (line) => lines.push(line));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        logger.configure();
+    });
+
+    it('attaches the component and the context to the lines', () => {
+        const log = logger.create('auditor').child({ moment: 1020, host: 'rHost1', token: 'EVS01' });
+        log.info('Auditing the host.');
+        assert.match(lines[0], /^\d{8} \d{2}:\d{2}:\d{2} \[inf\] \[auditor\] \[moment=1020 host=rHost1 token=EVS01\] Auditing the host\.$/);
+    });
+
+    it('writes json lines', () => {
+        logger.configure({ json: true });
+        logger.create('bootstrap', { moment: 1020 }).warn('Connection failed.', 5);
+        const line = JSON.parse(lines[0]);
+        assert.strictEqual(line.level, 'warn');
+        assert.strictEqual(line.component, 'bootstrap');
+        assert.strictEqual(line.moment, 1020);
+        assert.strictEqual(line.msg, 'Connection failed. 5');
+        assert.ok(line.time);
+    });
+
+    it('filters the lines by the global and the component levels', () => {
+        logger.configure({ level: 'warn', components: { bootstrap: 'trace' } });
+        logger.create('auditor').info('hidden');
+        logger.create('auditor').error('shown');
+        logger.create('bootstrap').trace('traced');
+        assert.strictEqual(lines.length, 2);
+        assert.match(lines[0], /\[err\] \[auditor\] shown/);
+        assert.match(lines[1], /\[trc\] \[bootstrap\] traced/);
+    });
+
+    it('shares the context with the loggers of the other components', () => {
+        const log = logger.create('auditor', { moment: 1020 });
+        const clientLog = log.forComponent('client').toFunction();
+        const childLog = log.child({ host: 'rHost1' });
+
+        log.setContext({ stage: 'customAudit' });
+        clientLog('from client');
+        clientLog.error('client error');
+        childLog.info('from child');
+
+        log.setContext({ stage: null });
+        clientLog('after stage');
+
+        assert.match(lines[0], /\[inf\] \[client\] \[moment=1020 stage=customAudit\] from client/);
+        assert.match(lines[1], /\[err\] \[client\] \[moment=1020 stage=customAudit\] client error/);
+        // Child loggers take a copy of the context.
+        assert.match(lines[2], /\[auditor\] \[moment=1020 host=rHost1\] from child/);
+        assert.match(lines[3], /\[client\] \[moment=1020\] after stage/);
+    });
+
+    it('rotates the log file by the size and keeps the max files', () => {
+        const logPath = path.join(createTempDir(), 'log/auditor.log');
+        const file = new logger.RotatingFile(logPath, { maxSize: 100, maxFiles: 2 });
+        for (let i = 0; i < 10; i++)
+            file.write(`line ${i} `.padEnd(49, '.') + '\n');
+        file.close();
+
+        const files = fs.readdirSync(path.dirname(logPath)).sort();
+        assert.deepStrictEqual(files, ['auditor.log', 'auditor.log.1', 'auditor.log.2']);
+        assert.match(fs.readFileSync(logPath).toString(), /^line 8 .*\nline 9 .*\n$/);
+        assert.match(fs.readFileSync(logPath + '.1').toString(), /^line 6 /);
+        assert.match(fs.readFileSync(logPath + '.2').toString(), /^line 4 /);
+    });
+
+    it('rotates the log file when the rotate interval changes', () => {
+        const logPath = path.join(createTempDir(), 'auditor.log');
+        fs.writeFileSync(logPath, 'old line\n');
+        const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        fs.utimesSync(logPath, yesterday, yesterday);
+
+        const file = new logger.RotatingFile(logPath, { rotateInterval: logger.RotateIntervals.DAILY });
+        file.write('new line\n');
+        file.close();
+
+        assert.strictEqual(fs.readFileSync(logPath).toString(), 'new line\n');
+        assert.strictEqual(fs.readFileSync(logPath + '.1').toString(), 'old line\n');
+    });
+});
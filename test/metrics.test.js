@@ -0,0 +1,84 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { Metrics, MetricTypes } = require('../lib/metrics');
+
+describe('Metrics', () => {
+    it('renders the help and type lines of every metric', () => {
+        const metrics = new Metrics();
+        metrics.define('audits_total', MetricTypes.COUNTER, 'Number of audits.');
+        metrics.define('moment_start_idx', MetricTypes.GAUGE, 'Start ledger index of the current moment.');
+
+        assert.strictEqual(metrics.render(), [
+            '# HELP audits_total Number of audits.',
+            '# TYPE audits_total counter',
+            '# HELP moment_start_idx Start ledger index of the current moment.',
+            '# TYPE moment_start_idx gauge',
+            ''
+        ].join('\n'));
+    });
+
+    it('counts the counters by their labels', () => {
+        const metrics = new Metrics();
+        metrics.define('failures_total', MetricTypes.COUNTER, 'Number of failures.');
+        metrics.inc('failures_total', { stage: 'upload' });
+        metrics.inc('failures_total', { stage: 'upload' }, 2);
+        metrics.inc('failures_total', { stage: 'connect' });
+        metrics.inc('failures_total');
+
+        assert.strictEqual(metrics.get('failures_total', { stage: 'upload' }).value, 3);
+        assert.strictEqual(metrics.get('failures_total', { stage: 'redeem' }), undefined);
+        assert.deepStrictEqual(metrics.render().split('\n').slice(2), [
+            'failures_total{stage="upload"} 3',
+            'failures_total{stage="connect"} 1',
+            'failures_total 1',
+            ''
+        ]);
+    });
+
+    it('keeps one series for the same labels in any order', () => {
+        const metrics = new Metrics();
+        metrics.define('retries_total', MetricTypes.COUNTER, 'Number of retries.');
+        metrics.inc('retries_total', { action: 'cash', server: 'a' });
+        metrics.inc('retries_total', { server: 'a', action: 'cash' });
+
+        assert.strictEqual(metrics.get('retries_total', { action: 'cash', server: 'a' }).value, 2);
+        assert.strictEqual(metrics.render().split('\n')[2], 'retries_total{action="cash",server="a"} 2');
+    });
+
+    it('sets the gauges', () => {
+        const metrics = new Metrics();
+        metrics.define('ongoing', MetricTypes.GAUGE, 'Ongoing audits.');
+        metrics.set('ongoing', 3);
+        metrics.set('ongoing', 1);
+        assert.strictEqual(metrics.render().split('\n')[2], 'ongoing 1');
+    });
+
+    it('escapes the label values', () => {
+        const metrics = new Metrics();
+        metrics.define('errors_total', MetricTypes.COUNTER, 'Number of errors.');
+        metrics.inc('errors_total', { reason: 'bad "quote" \\ and\nnew line' });
+        assert.strictEqual(metrics.render().split('\n')[2], 'errors_total{reason="bad \\"quote\\" \\\\ and\\nnew line"} 1');
+    });
+
+    it('renders the histogram buckets, sum and count', () => {
+        const metrics = new Metrics();
+        metrics.define('redeem_ledgers', MetricTypes.HISTOGRAM, 'Redeem ledgers.', [1, 2, 5]);
+        for (const value of [1, 3, 8])
+            metrics.observe('redeem_ledgers', value, { host: 'rHost1' });
+
+        assert.deepStrictEqual(metrics.render().split('\n').slice(2), [
+            'redeem_ledgers_bucket{host="rHost1",le="1"} 1',
+            'redeem_ledgers_bucket{host="rHost1",le="2"} 1',
+            'redeem_ledgers_bucket{host="rHost1",le="5"} 2',
+            'redeem_ledgers_bucket{host="rHost1",le="+Inf"} 3',
+            'redeem_ledgers_sum{host="rHost1"} 12',
+            'redeem_ledgers_count{host="rHost1"} 3',
+            ''
+        ]);
+    });
+
+    it('does not take undefined metrics', () => {
+        const metrics = new Metrics();
+        assert.throws(() => metrics.inc('unknown_total'), /Metric unknown_total is not defined./);
+    });
+});
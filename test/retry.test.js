@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { isTransientError, withRetry } = require('../lib/retry');
+const { Deadline } = require('../lib/deadline');
+
+const FAST_RETRY = { initialDelay: 1, maxDelay: 5 };
+
+describe('Retry', () => {
+    it('classifies the transient errors', () => {
+        for (const e of [{ code: 'tefPAST_SEQ' }, { code: 'telINSUF_FEE_P' }, { code: 'terQUEUED' }, { error: 'websocket was closed' },
+            { error: Object.assign(new Error('Request timed out.'), { name: 'TimeoutError' }) }, new Error('read ECONNRESET')])
+            assert.strictEqual(isTransientError(e), true, JSON.stringify(e));
+
+        for (const e of [{ code: 'tecNO_PERMISSION' }, { code: 'temMALFORMED' }, { code: 'tefBAD_AUTH' }, { reason: 'Redeem timeout.' },
+            { error: 'REDEEM_ERR', reason: 'TIMEOUT' }, 'Redeem timeout.', null])
+            assert.strictEqual(isTransientError(e), false, JSON.stringify(e));
+    });
+
+    it('retries the transient errors with backoff', async () => {
+        const delays = [];
+        let calls = 0;
+        const res = await withRetry(async () => {
+            if (++calls < 3)
+                throw { code: 'tefPAST_SEQ' };
+            return 'done';
+        }, { initialDelay: 2, factor: 2, onRetry: (e, attempt, delay) => delays.push(delay) });
+        assert.strictEqual(res, 'done');
+        assert.deepStrictEqual(delays, [2, 4]);
+    });
+
+    it('does not retry the definitive errors', async () => {
+        let calls = 0;
+        await assert.rejects(withRetry(async () => {
+            calls++;
+            throw { code: 'tecNO_PERMISSION' };
+        }, FAST_RETRY), { code: 'tecNO_PERMISSION' });
+        assert.strictEqual(calls, 1);
+
+        calls = 0;
+        await assert.rejects(withRetry(async () => {
+            calls++;
+            throw { code: 'tefPAST_SEQ' };
+        }, { ...FAST_RETRY, maxAttempts: 3 }), { code: 'tefPAST_SEQ' });
+        assert.strictEqual(calls, 3);
+    });
+
+    it('stops retrying when the deadline is reached', async () => {
+        const deadline = new Deadline(1010, 'Moment expired.');
+        let calls = 0;
+        await assert.rejects(withRetry(async () => {
+            calls++;
+            setTimeout(() => deadline.checkLedger(1010), 5);
+            throw { code: 'tefPAST_SEQ' };
+        }, { initialDelay: 1000, deadline: deadline }), (e) => e === 'Moment expired.');
+        assert.strictEqual(calls, 1);
+        await assert.rejects(withRetry(async () => 'never', { deadline: deadline }), (e) => e === 'Moment expired.');
+    });
+});
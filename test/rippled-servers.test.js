@@ -0,0 +1,36 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+const { RippledServers } = require('../lib/rippled-servers');
+
+describe('Rippled servers', () => {
+    it('parses the server list', () => {
+        assert.deepStrictEqual(new RippledServers('wss://a, wss://b,,wss://a').urls, ['wss://a', 'wss://b']);
+        assert.deepStrictEqual(new RippledServers(['wss://a']).urls, ['wss://a']);
+        assert.throws(() => new RippledServers(''), /No rippled servers/);
+        assert.throws(() => new RippledServers([]), /No rippled servers/);
+    });
+
+    it('orders the candidates by health', (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: 1000 });
+        const servers = new RippledServers(['wss://a', 'wss://b', 'wss://c']);
+        assert.deepStrictEqual(servers.candidates(), ['wss://a', 'wss://b', 'wss://c']);
+
+        servers.setConnected('wss://a');
+        assert.strictEqual(servers.current, 'wss://a');
+        // Current server is tried last.
+        assert.deepStrictEqual(servers.candidates(), ['wss://b', 'wss://c', 'wss://a']);
+
+        servers.setFailed('wss://a', 'No ledgers.');
+        t.mock.timers.tick(10);
+        servers.setFailed('wss://b', 'Refused.');
+        assert.strictEqual(servers.current, null);
+        assert.deepStrictEqual(servers.candidates(), ['wss://c', 'wss://a', 'wss://b']);
+
+        servers.setConnected('wss://b');
+        assert.deepStrictEqual(servers.candidates(), ['wss://c', 'wss://a', 'wss://b']);
+        const status = servers.getStatus();
+        assert.strictEqual(status.current, 'wss://b');
+        assert.deepStrictEqual(status.servers.map(s => [s.failures, s.lastFailureReason]), [[1, 'No ledgers.'], [1, null], [0, null]]);
+        assert.throws(() => servers.setFailed('wss://d'), /Unknown rippled server/);
+    });
+});
@@ -0,0 +1,110 @@
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('assert');
+const path = require('path');
+const { AuditStore, AuditVerdicts } = require('../lib/audit-store');
+const { HostReputation } = require('../lib/host-reputation');
+const { Metrics, MetricTypes } = require('../lib/metrics');
+const { StatusServer } = require('../lib/status-server');
+const { createTempDir } = require('./helpers');
+
+describe('Status server', () => {
+    let server = null;
+    let baseUrl = null;
+
+    before(async () => {
+        const auditStore = new AuditStore(path.join(createTempDir(), 'audits.jsonl'));
+        auditStore.init();
+        for (const [momentStartIdx, address, currency, verdict] of [[1000, 'rHost1', 'EVS01', AuditVerdicts.SUCCESS],
+            [1030, 'rHost2', 'EVS02', AuditVerdicts.FAIL], [1030, 'rHost1', 'EVS01', AuditVerdicts.SUCCESS]]) {
+            const record = auditStore.createRecord(momentStartIdx, { address: address, currency: currency });
+            auditStore.setVerdict(record, verdict, verdict === AuditVerdicts.FAIL ? 'upload' : null);
+            auditStore.complete(record);
+        }
+
+        const metrics = new Metrics();
+        metrics.define('audits_total', MetricTypes.COUNTER, 'Number of audits.');
+        metrics.inc('audits_total', {}, 3);
+
+        // Status server only reads these from the auditor.
+        const auditor = {
+            getStatus: () => ({ momentStartIdx: 1030, ongoingAssignments: 0 }),
+            auditStore: auditStore,
+            hostReputation: new HostReputation(auditStore, { maxConsecutiveFailures: 1 }),
+            metrics: metrics
+        };
+        server = new StatusServer(auditor);
+        const port = await server.start(0);
+        baseUrl = `http://127.0.0.1:${port}`;
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    const getJson = async (urlPath) => {
+        const res = await fetch(baseUrl + urlPath);
+        return { status: res.status, body: await res.json() };
+    };
+
+    it('serves the auditor status', async () => {
+        const res = await getJson('/status');
+        assert.strictEqual(res.status, 200);
+        assert.deepStrictEqual(res.body, { momentStartIdx: 1030, ongoingAssignments: 0 });
+    });
+
+    it('filters the audits', async () => {
+        assert.strictEqual((await getJson('/audits')).body.length, 3);
+        assert.deepStrictEqual((await getJson('/audits?host=rHost1')).body.map(r => r.momentStartIdx).sort(), [1000, 1030]);
+        assert.deepStrictEqual((await getJson('/audits?token=EVS02')).body.map(r => r.host.address), ['rHost2']);
+        assert.deepStrictEqual((await getJson('/audits?moment=1000')).body.map(r => r.host.address), ['rHost1']);
+        assert.strictEqual((await getJson('/audits?limit=2')).body.length, 2);
+    });
+
+    it('filters the host profiles', async () => {
+        assert.deepStrictEqual((await getJson('/hosts')).body.map(p => p.address).sort(), ['rHost1', 'rHost2']);
+        assert.deepStrictEqual((await getJson('/hosts?host=rHost2')).body.map(p => p.audits), [1]);
+        assert.deepStrictEqual((await getJson('/hosts?host=rUnknown')).body, []);
+        assert.deepStrictEqual((await getJson('/hosts?flagged=true')).body.map(p => p.address), ['rHost2']);
+
+        const res = await fetch(baseUrl + '/hosts?host=rHost1&format=csv');
+        assert.strictEqual(res.headers.get('content-type'), 'text/csv');
+        const lines = (await res.text()).trim().split('\n');
+        assert.strictEqual(lines.length, 2);
+        assert.match(lines[1], /^rHost1,EVS01,2,/);
+    });
+
+    it('serves the metrics', async () => {
+        const res = await fetch(baseUrl + '/metrics');
+        assert.strictEqual(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/plain/);
+        assert.strictEqual(await res.text(), '# HELP audits_total Number of audits.\n# TYPE audits_total counter\naudits_total 3\n');
+    });
+
+    it('responds not found to the unknown paths', async () => {
+        const res = await getJson('/unknown');
+        assert.strictEqual(res.status, 404);
+        assert.deepStrictEqual(res.body, { error: 'Not found.' });
+    });
+
+    it('only takes the get requests', async () => {
+        const res = await fetch(baseUrl + '/status', { method: 'POST' });
+        assert.strictEqual(res.status, 405);
+    });
+
+    it('responds internal error when the auditor fails', async () => {
+        // Keep the test output clean from the error log.
+        mock.method(console, 'log', () => { });
+        mock.method(console, 'error', () => { });
+        const auditStore = new AuditStore(path.join(createTempDir(), 'audits.jsonl'));
+        const failing = new StatusServer({ getStatus: () => { throw 'Status failed.'; }, auditStore: auditStore });
+        const port = await failing.start(0);
+        try {
+            const res = await fetch(`http://127.0.0.1:${port}/status`);
+            assert.strictEqual(res.status, 500);
+        }
+        finally {
+            await failing.stop();
+            mock.restoreAll();
+        }
+    });
+});